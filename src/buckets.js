@@ -0,0 +1,95 @@
+import chalk from 'chalk';
+import path from 'path';
+import { getWalletAddress } from './keystore.js';
+import { getObjectVersions, addObjectVersion } from './supabase.js';
+import { startClient } from './client.js';
+import { downloadFile } from './download.js';
+
+// Buckets name stored files by path instead of CID. A bucket path is a list
+// of versions, each pointing at the CID of an upload; writing the path again
+// adds a version and the newest one is current. Buckets belong to the wallet
+// that writes them, so two wallets can use the same bucket name.
+const BUCKET_NAME = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+
+// Split "bucket/some/path" into its bucket and path
+export const parseObjectKey = (key) => {
+  const [bucket, ...segments] = String(key).replace(/^\/+/, '').split('/');
+  if (!BUCKET_NAME.test(bucket)) {
+    throw new Error(`Invalid bucket name "${bucket}": use 3-63 lowercase letters, digits, dots and hyphens`);
+  }
+  const objectPath = segments.join('/').replace(/\/+$/, '');
+  if (!objectPath) {
+    throw new Error(`Missing path after the bucket name: ${bucket}/<path>`);
+  }
+  if (objectPath.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+    throw new Error(`Invalid path "${objectPath}"`);
+  }
+  return { bucket, path: objectPath };
+};
+
+const versionsOf = async (key, wallet) => {
+  const object = parseObjectKey(key);
+  const versions = await getObjectVersions(getWalletAddress(wallet), object.bucket, object.path);
+  if (versions.length === 0) {
+    throw new Error(`${key} does not exist`);
+  }
+  return { object, versions };
+};
+
+const findVersion = (key, versions, version) => {
+  const number = Number(version);
+  const match = versions.find(entry => entry.version === number);
+  if (!match) {
+    throw new Error(`${key} has no version ${version}`);
+  }
+  return match;
+};
+
+// Upload a file or directory and make it the current version of `key`
+export async function putObject(filePath, key, options = {}) {
+  const object = parseObjectKey(key);
+  await startClient([filePath], { ...options, object });
+}
+
+// Download the current version of `key`, or the version `options.at`
+export async function getObject(key, options = {}) {
+  const { object, versions } = await versionsOf(key, options.wallet);
+  const entry = options.at !== undefined ? findVersion(key, versions, options.at) : versions[0];
+  console.log(chalk.blue(`${key} version ${entry.version}: ${entry.cid}`));
+  await downloadFile(entry.cid, {
+    output: options.output || path.basename(object.path),
+    path: options.path,
+    force: options.force,
+    wallet: options.wallet
+  });
+}
+
+export async function showVersions(key, options = {}) {
+  const { versions } = await versionsOf(key, options.wallet);
+  console.log(chalk.blue(`Versions of ${key}\n`));
+  for (const [index, entry] of versions.entries()) {
+    const notes = [
+      index === 0 ? chalk.green('current') : null,
+      entry.restored_from ? `restored from version ${entry.restored_from}` : null
+    ].filter(Boolean);
+    console.log(`${String(entry.version).padStart(4)}  ${entry.cid}  ${new Date(entry.created_at).toLocaleString()}${notes.length ? `  ${notes.join(', ')}` : ''}`);
+  }
+}
+
+// Roll `key` back by adding a version that points at an older one's CID.
+// History is never rewritten, so a restore can itself be undone.
+export async function restoreVersion(key, version, options = {}) {
+  const { object, versions } = await versionsOf(key, options.wallet);
+  const entry = findVersion(key, versions, version);
+  if (entry === versions[0]) {
+    console.log(chalk.yellow(`Version ${entry.version} is already the current version of ${key}`));
+    return;
+  }
+  const restored = await addObjectVersion({
+    ownerAddress: getWalletAddress(options.wallet),
+    ...object,
+    cid: entry.cid,
+    restoredFrom: entry.version
+  });
+  console.log(chalk.green(`${key} restored to version ${entry.version} as version ${restored.version}`));
+}
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// A provider's capacity is measured where its data actually lives: the
+// filesystem holding the IPFS repo (statfs works on Linux, macOS and
+// Windows), and the repo's own size from `ipfs repo stat`. Sizes are in
+// bytes; GB elsewhere in this code base means 1024^3 bytes.
+const GIB = 1024 * 1024 * 1024;
+
+export const bytesToGB = (bytes) => bytes / GIB;
+
+// Kubo's repo directory: IPFS_PATH, else the path the node reports, else
+// Kubo's default
+export const ipfsRepoPath = (reportedPath) =>
+  process.env.IPFS_PATH || reportedPath || path.join(os.homedir(), '.ipfs');
+
+// statfs needs a path that exists; before `ipfs init` the repo does not, so
+// measure the nearest existing parent on the same filesystem
+const existingAncestor = (target) => {
+  let current = path.resolve(target);
+  while (!fs.existsSync(current) && path.dirname(current) !== current) {
+    current = path.dirname(current);
+  }
+  return current;
+};
+
+// Size of the filesystem holding `repoPath` and the space left on it for
+// unprivileged users
+export const diskCapacity = async (repoPath) => {
+  const stats = await fs.promises.statfs(existingAncestor(repoPath));
+  return {
+    totalBytes: stats.bsize * stats.blocks,
+    freeBytes: stats.bsize * stats.bavail
+  };
+};
+
+// Repo usage and disk capacity of the node behind `ipfs`. `storageMax` is
+// the limit the running daemon was started with.
+export const measureCapacity = async (ipfs) => {
+  const stat = await ipfs.repo.stat();
+  const repoPath = ipfsRepoPath(stat.repoPath);
+  const disk = await diskCapacity(repoPath);
+  return {
+    repoPath,
+    repoSize: Number(stat.repoSize),
+    storageMax: Number(stat.storageMax),
+    numObjects: Number(stat.numObjects),
+    ...disk
+  };
+};
+
+// GB the node can offer: what is still free on disk plus what the repo
+// already holds
+export const offerableStorage = (capacity) => Math.floor(bytesToGB(capacity.freeBytes + capacity.repoSize));
+
+// Cap the repo at `allocatedGB` through Kubo's Datastore.StorageMax, so
+// garbage collection keeps unpinned data inside the allocation. The daemon
+// reads the setting at startup; returns true if it has to be restarted for
+// a new value to apply.
+export const enforceStorageMax = async (ipfs, allocatedGB, capacity) => {
+  await ipfs.config.set('Datastore.StorageMax', `${allocatedGB}GiB`);
+  return capacity.storageMax !== allocatedGB * GIB;
+};
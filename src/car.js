@@ -0,0 +1,412 @@
+import crypto from 'crypto';
+
+// Just enough of CIDs, CAR files and UnixFS to check content fetched from
+// nodes we do not trust. Every block is hashed and compared with the CID it
+// claims to be, and a file is only assembled from blocks reachable from the
+// CID that was asked for, so a gateway cannot substitute content.
+//
+// Supported: CIDv0 and CIDv1 (base32 and base58btc strings), sha2-256 and
+// identity multihashes, dag-pb (UnixFS files) and raw leaves, CARv1.
+const CODEC_DAG_PB = 0x70;
+const CODEC_RAW = 0x55;
+const HASH_SHA2_256 = 0x12;
+const HASH_IDENTITY = 0x00;
+
+// Out-of-order blocks are held in memory until they are needed
+const MAX_BUFFERED_BYTES = 64 * 1024 * 1024;
+
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+export class ContentVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContentVerificationError';
+    this.code = 'ERR_CONTENT_VERIFICATION';
+  }
+}
+
+// Unsigned LEB128, as used by multiformats and protobuf. Arithmetic rather
+// than bit operations so values above 2^31 survive.
+const readVarint = (bytes, offset) => {
+  let value = 0;
+  let scale = 1;
+  for (let position = offset; position < bytes.length; position++) {
+    const byte = bytes[position];
+    value += (byte & 0x7f) * scale;
+    if (byte < 0x80) {
+      return [value, position + 1];
+    }
+    scale *= 128;
+    if (scale > 2 ** 56) {
+      break;
+    }
+  }
+  throw new ContentVerificationError('Malformed varint');
+};
+
+const encodeVarint = (value) => {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 128) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return bytes;
+};
+
+const decodeBase32 = (text) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) {
+      throw new ContentVerificationError(`Invalid base32 character "${char}"`);
+    }
+    buffer = (buffer << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const encodeBase32 = (bytes) => {
+  let text = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      text += BASE32[(buffer >> bits) & 31];
+    }
+  }
+  if (bits > 0) {
+    text += BASE32[(buffer << (5 - bits)) & 31];
+  }
+  return text;
+};
+
+const decodeBase58 = (text) => {
+  let value = 0n;
+  for (const char of text) {
+    const index = BASE58.indexOf(char);
+    if (index === -1) {
+      throw new ContentVerificationError(`Invalid base58 character "${char}"`);
+    }
+    value = value * 58n + BigInt(index);
+  }
+  const hex = value === 0n ? '' : value.toString(16);
+  const body = Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+  const zeros = text.length - text.replace(/^1+/, '').length;
+  return Buffer.concat([Buffer.alloc(zeros), body]);
+};
+
+// Parse a binary CID starting at `offset`. Returns the CID and the offset
+// after it.
+const readCid = (bytes, offset = 0) => {
+  if (bytes[offset] === HASH_SHA2_256 && bytes[offset + 1] === 32) {
+    // CIDv0 is a bare sha2-256 multihash of a dag-pb block
+    const digest = Buffer.from(bytes.subarray(offset + 2, offset + 34));
+    if (digest.length !== 32) {
+      throw new ContentVerificationError('Truncated CID');
+    }
+    return [{ version: 0, codec: CODEC_DAG_PB, hashCode: HASH_SHA2_256, digest }, offset + 34];
+  }
+  const [version, afterVersion] = readVarint(bytes, offset);
+  if (version !== 1) {
+    throw new ContentVerificationError(`Unsupported CID version ${version}`);
+  }
+  const [codec, afterCodec] = readVarint(bytes, afterVersion);
+  const [hashCode, afterCode] = readVarint(bytes, afterCodec);
+  const [length, afterLength] = readVarint(bytes, afterCode);
+  const digest = Buffer.from(bytes.subarray(afterLength, afterLength + length));
+  if (digest.length !== length) {
+    throw new ContentVerificationError('Truncated CID');
+  }
+  return [{ version, codec, hashCode, digest }, afterLength + length];
+};
+
+export const parseCid = (text) => {
+  if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(text)) {
+    return readCid(decodeBase58(text))[0];
+  }
+  if (text.startsWith('b')) {
+    return readCid(decodeBase32(text.slice(1)))[0];
+  }
+  if (text.startsWith('z')) {
+    return readCid(decodeBase58(text.slice(1)))[0];
+  }
+  throw new ContentVerificationError(`Unsupported CID encoding: ${text}`);
+};
+
+// Identity for comparing CIDs: a CIDv0 and the equivalent CIDv1 are the same
+const cidKey = (cid) => `${cid.codec}:${cid.hashCode}:${cid.digest.toString('hex')}`;
+
+const formatCidV1 = (cid) => `b${encodeBase32(Buffer.from([
+  ...encodeVarint(1),
+  ...encodeVarint(cid.codec),
+  ...encodeVarint(cid.hashCode),
+  ...encodeVarint(cid.digest.length),
+  ...cid.digest
+]))}`;
+
+// Lowercase base32 CIDv1, the form subdomain gateways need
+export const toCidV1 = (text) => formatCidV1(parseCid(text));
+
+// Check that `data` hashes to `cid`
+export const verifyBlock = (cid, data) => {
+  if (cid.hashCode === HASH_SHA2_256) {
+    if (!crypto.createHash('sha256').update(data).digest().equals(cid.digest)) {
+      throw new ContentVerificationError('Block does not match its CID');
+    }
+    return;
+  }
+  if (cid.hashCode === HASH_IDENTITY) {
+    if (!cid.digest.equals(Buffer.from(data))) {
+      throw new ContentVerificationError('Block does not match its CID');
+    }
+    return;
+  }
+  throw new ContentVerificationError(`Cannot verify blocks hashed with multihash 0x${cid.hashCode.toString(16)}`);
+};
+
+// Walk the fields of a protobuf message, calling `onField(number, value)`
+// with a number for varints and bytes for length-delimited fields
+const readProtobuf = (bytes, onField) => {
+  let offset = 0;
+  while (offset < bytes.length) {
+    const [key, afterKey] = readVarint(bytes, offset);
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+    if (wireType === 0) {
+      const [value, next] = readVarint(bytes, afterKey);
+      onField(field, value);
+      offset = next;
+    } else if (wireType === 2) {
+      const [length, afterLength] = readVarint(bytes, afterKey);
+      if (afterLength + length > bytes.length) {
+        throw new ContentVerificationError('Truncated protobuf field');
+      }
+      onField(field, bytes.subarray(afterLength, afterLength + length));
+      offset = afterLength + length;
+    } else {
+      throw new ContentVerificationError(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+};
+
+// dag-pb node: { data, links: [{ cid, name, size }] }
+export const decodeDagPb = (bytes) => {
+  const node = { data: null, links: [] };
+  readProtobuf(bytes, (field, value) => {
+    if (field === 1) {
+      node.data = value;
+    } else if (field === 2) {
+      const link = { cid: null, name: '', size: 0 };
+      readProtobuf(value, (linkField, linkValue) => {
+        if (linkField === 1) {
+          link.cid = readCid(linkValue)[0];
+        } else if (linkField === 2) {
+          link.name = Buffer.from(linkValue).toString('utf8');
+        } else if (linkField === 3) {
+          link.size = linkValue;
+        }
+      });
+      if (!link.cid) {
+        throw new ContentVerificationError('dag-pb link without a CID');
+      }
+      node.links.push(link);
+    }
+  });
+  return node;
+};
+
+const UNIXFS_RAW = 0;
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+const decodeUnixFs = (bytes) => {
+  const unixfs = { type: null, data: Buffer.alloc(0), fileSize: null };
+  readProtobuf(bytes || Buffer.alloc(0), (field, value) => {
+    if (field === 1) {
+      unixfs.type = value;
+    } else if (field === 2) {
+      unixfs.data = value;
+    } else if (field === 3) {
+      unixfs.fileSize = value;
+    }
+  });
+  return unixfs;
+};
+
+// Find a named entry of a UnixFS directory block, after checking the block
+// against the directory's CID
+export const directoryLink = (cidText, block, name) => {
+  const cid = parseCid(cidText);
+  verifyBlock(cid, block);
+  if (cid.codec !== CODEC_DAG_PB) {
+    throw new ContentVerificationError(`${cidText} is not a directory`);
+  }
+  const node = decodeDagPb(block);
+  if (decodeUnixFs(node.data).type !== UNIXFS_DIRECTORY) {
+    throw new ContentVerificationError(`${cidText} is not a plain UnixFS directory`);
+  }
+  const link = node.links.find(entry => entry.name === name);
+  if (!link) {
+    throw new ContentVerificationError(`${cidText} has no entry named ${name}`);
+  }
+  return formatCidV1(link.cid);
+};
+
+// Pull bytes from an async iterable of chunks on demand
+const createByteReader = (source) => {
+  const iterator = source[Symbol.asyncIterator]();
+  let buffer = Buffer.alloc(0);
+  let done = false;
+
+  const fill = async (length) => {
+    while (buffer.length < length && !done) {
+      const next = await iterator.next();
+      if (next.done) {
+        done = true;
+      } else {
+        buffer = buffer.length ? Buffer.concat([buffer, Buffer.from(next.value)]) : Buffer.from(next.value);
+      }
+    }
+    return buffer.length >= length;
+  };
+
+  return {
+    async atEnd() {
+      return !await fill(1);
+    },
+    async varint() {
+      await fill(10);
+      const [value, next] = readVarint(buffer.subarray(0, Math.min(buffer.length, 10)), 0);
+      buffer = buffer.subarray(next);
+      return value;
+    },
+    async bytes(length) {
+      if (!await fill(length)) {
+        throw new ContentVerificationError('CAR stream is truncated');
+      }
+      const bytes = buffer.subarray(0, length);
+      buffer = buffer.subarray(length);
+      return bytes;
+    },
+    async close() {
+      if (iterator.return) {
+        await iterator.return();
+      }
+    }
+  };
+};
+
+// A CARv2 file starts with a 10-byte pseudo-header { version: 2 }
+const CARV2_HEADER = Buffer.from('a16776657273696f6e02', 'hex');
+
+// Blocks of a CARv1 stream, each checked against its CID
+async function* carBlocks(source) {
+  const reader = createByteReader(source);
+  try {
+    const headerLength = await reader.varint();
+    const header = await reader.bytes(headerLength);
+    if (header.equals(CARV2_HEADER)) {
+      throw new ContentVerificationError('CARv2 responses are not supported');
+    }
+    while (!await reader.atEnd()) {
+      const length = await reader.varint();
+      const section = await reader.bytes(length);
+      const [cid, dataOffset] = readCid(section);
+      const data = section.subarray(dataOffset);
+      verifyBlock(cid, data);
+      yield { cid, data };
+    }
+  } finally {
+    await reader.close();
+  }
+}
+
+// Read the UnixFS file `cidText` from a CAR stream. Resolves once the root
+// block has arrived, with the file size and an async iterable of its bytes.
+// Only verified blocks that belong to the file are used, in file order.
+export const openCarFile = async (source, cidText) => {
+  const root = parseCid(cidText);
+  const blocks = carBlocks(source);
+  const buffered = new Map();
+  let bufferedBytes = 0;
+
+  const blockFor = async (cid) => {
+    if (cid.hashCode === HASH_IDENTITY) {
+      return cid.digest;
+    }
+    const key = cidKey(cid);
+    if (buffered.has(key)) {
+      const data = buffered.get(key);
+      buffered.delete(key);
+      bufferedBytes -= data.length;
+      return data;
+    }
+    for (;;) {
+      const next = await blocks.next();
+      if (next.done) {
+        throw new ContentVerificationError('CAR stream ended before the whole file was received');
+      }
+      if (cidKey(next.value.cid) === key) {
+        return next.value.data;
+      }
+      buffered.set(cidKey(next.value.cid), next.value.data);
+      bufferedBytes += next.value.data.length;
+      if (bufferedBytes > MAX_BUFFERED_BYTES) {
+        throw new ContentVerificationError('CAR stream is not in a streamable block order');
+      }
+    }
+  };
+
+  // A node's own bytes, and the links whose bytes follow them
+  const expand = (cid, data) => {
+    if (cid.codec === CODEC_RAW) {
+      return { bytes: data, links: [] };
+    }
+    if (cid.codec !== CODEC_DAG_PB) {
+      throw new ContentVerificationError(`Unsupported codec 0x${cid.codec.toString(16)}`);
+    }
+    const node = decodeDagPb(data);
+    const unixfs = decodeUnixFs(node.data);
+    if (unixfs.type !== UNIXFS_FILE && unixfs.type !== UNIXFS_RAW) {
+      throw new ContentVerificationError('Content is not a UnixFS file');
+    }
+    return { bytes: unixfs.data, links: node.links.map(link => link.cid), fileSize: unixfs.fileSize };
+  };
+
+  const rootData = await blockFor(root);
+  const rootNode = expand(root, rootData);
+  const total = rootNode.fileSize ?? rootNode.bytes.length;
+
+  // Depth-first, in link order, which is the order of the file's bytes.
+  // UnixFS trees are shallow, so recursion is fine.
+  async function* fileBytes(node) {
+    if (node.bytes.length > 0) {
+      yield node.bytes;
+    }
+    for (const link of node.links) {
+      yield* fileBytes(expand(link, await blockFor(link)));
+    }
+  }
+
+  async function* chunks() {
+    try {
+      yield* fileBytes(rootNode);
+    } finally {
+      await blocks.return();
+    }
+  }
+
+  return { total, chunks: chunks() };
+};
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import { describe, it, expect } from 'vitest';
+import { parseCid, toCidV1, verifyBlock, openCarFile, ContentVerificationError } from './car.js';
+
+const CODEC_DAG_PB = 0x70;
+const CODEC_RAW = 0x55;
+
+const varint = (value) => {
+  const bytes = [];
+  while (value >= 0x80) {
+    bytes.push((value % 128) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+};
+
+const base32 = (bytes) => {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let bits = '';
+  for (const byte of bytes) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  return bits.match(/.{1,5}/g).map(chunk => alphabet[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+// A block and its CIDv1 (sha2-256), in binary and as text
+const block = (codec, data) => {
+  const cid = Buffer.concat([varint(1), varint(codec), varint(0x12), varint(32), crypto.createHash('sha256').update(data).digest()]);
+  return { cid, text: `b${base32(cid)}`, data };
+};
+
+const bytesField = (field, bytes) => Buffer.concat([varint(field * 8 + 2), varint(bytes.length), bytes]);
+const numberField = (field, value) => Buffer.concat([varint(field * 8), varint(value)]);
+
+// A UnixFS file node linking `leaves` in order
+const fileNode = (leaves, fileSize) => block(CODEC_DAG_PB, Buffer.concat([
+  ...leaves.map(leaf => bytesField(2, Buffer.concat([bytesField(1, leaf.cid), numberField(3, leaf.data.length)]))),
+  bytesField(1, Buffer.concat([numberField(1, 2), numberField(3, fileSize)]))
+]));
+
+// CARv1 stream of `blocks`, split into small pieces
+const car = (blocks, pieceSize = 13) => {
+  const header = Buffer.from('a16776657273696f6e01', 'hex');
+  const bytes = Buffer.concat([
+    varint(header.length),
+    header,
+    ...blocks.flatMap(({ cid, data }) => [varint(cid.length + data.length), cid, data])
+  ]);
+  return (async function* () {
+    for (let offset = 0; offset < bytes.length; offset += pieceSize) {
+      yield bytes.subarray(offset, offset + pieceSize);
+    }
+  })();
+};
+
+const readFile = async (source, cidText) => {
+  const { total, chunks } = await openCarFile(source, cidText);
+  const parts = [];
+  for await (const chunk of chunks) {
+    parts.push(chunk);
+  }
+  return { total, data: Buffer.concat(parts) };
+};
+
+describe('CIDs', () => {
+  it('reads CIDv0 and CIDv1 as the same content', () => {
+    const v0 = 'QmUNLLsPACCz1vLxQVkXqqLX5R1X345qqfHbsf67hvA3Nn';
+    const v1 = 'bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354';
+    expect(toCidV1(v0)).toBe(v1);
+    expect(parseCid(v1)).toEqual({ ...parseCid(v0), version: 1 });
+  });
+
+  it('rejects unsupported encodings', () => {
+    expect(() => parseCid('mAXASIA')).toThrow(ContentVerificationError);
+  });
+
+  it('checks a block against its CID', () => {
+    const leaf = block(CODEC_RAW, Buffer.from('hello world'));
+    expect(() => verifyBlock(parseCid(leaf.text), leaf.data)).not.toThrow();
+    expect(() => verifyBlock(parseCid(leaf.text), Buffer.from('hello wOrld'))).toThrow(/does not match its CID/);
+  });
+});
+
+describe('openCarFile', () => {
+  const leaves = [crypto.randomBytes(100), crypto.randomBytes(70), crypto.randomBytes(5)].map(data => block(CODEC_RAW, data));
+  const root = fileNode(leaves, 175);
+  const content = Buffer.concat(leaves.map(leaf => leaf.data));
+
+  it('reads a raw single-block file', async () => {
+    const leaf = leaves[0];
+    expect(await readFile(car([leaf]), leaf.text)).toEqual({ total: 100, data: leaf.data });
+  });
+
+  it('assembles a file from its leaves in link order, whatever the block order', async () => {
+    expect(await readFile(car([root, ...leaves]), root.text)).toEqual({ total: 175, data: content });
+    expect(await readFile(car([leaves[2], root, leaves[1], leaves[0]]), root.text)).toEqual({ total: 175, data: content });
+  });
+
+  it('ignores blocks the file does not link to', async () => {
+    const stray = block(CODEC_RAW, Buffer.from('not part of the file'));
+    expect((await readFile(car([root, stray, ...leaves]), root.text)).data).toEqual(content);
+  });
+
+  it('rejects a block whose data was replaced', async () => {
+    const tampered = { ...leaves[1], data: crypto.randomBytes(70) };
+    await expect(readFile(car([root, leaves[0], tampered, leaves[2]]), root.text))
+      .rejects.toThrow(/does not match its CID/);
+  });
+
+  it('rejects a substitute file under a different CID', async () => {
+    const substitute = block(CODEC_RAW, Buffer.from('something else'));
+    await expect(readFile(car([substitute]), leaves[0].text)).rejects.toThrow(/ended before the whole file/);
+  });
+
+  it('rejects a truncated stream', async () => {
+    const section = Buffer.concat([varint(root.cid.length + root.data.length), root.cid, root.data]);
+    const source = (async function* () {
+      yield Buffer.concat([varint(10), Buffer.from('a16776657273696f6e01', 'hex'), section.subarray(0, section.length - 3)]);
+    })();
+    await expect(readFile(source, root.text)).rejects.toThrow(/truncated/);
+  });
+
+  it('rejects CARv2', async () => {
+    const source = (async function* () {
+      yield Buffer.concat([varint(10), Buffer.from('a16776657273696f6e02', 'hex')]);
+    })();
+    await expect(readFile(source, leaves[0].text)).rejects.toThrow(/CARv2/);
+  });
+});
@@ -1,15 +1,38 @@
 import inquirer from 'inquirer';
 import ora from 'ora';
 import chalk from 'chalk';
-import CryptoJS from 'crypto-js';
 import { create } from 'ipfs-http-client';
-import { promises as fs } from 'fs';
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { Readable, pipeline } from 'stream';
+import { pipeline as streamPipeline } from 'stream/promises';
 import path from 'path';
 import Web3 from 'web3';
 import HDWalletProvider from '@truffle/hdwallet-provider';
 import { getOnlineProviders } from './provider.js';
-import { savePrivateKey, loadPrivateKey } from './keystore.js';
-import { trackFileStorage } from './supabase.js';
+import { savePrivateKey, loadPrivateKey, getWalletAddress } from './keystore.js';
+import { promptWalletCredentials } from './wallet.js';
+import { trackFileStorage, trackShard, trackShardedFile, untrackFileStorage, addObjectVersion } from './supabase.js';
+import { createEncryptStream, deriveFileKey, generateSalt, encryptedSize } from './encryption.js';
+import { walkDirectory, addEncryptedDirectory } from './directory.js';
+import { resolveAlgorithm, compressionFor, compressedSize, createCompressStream } from './compression.js';
+import { placeWithProvider } from './placement.js';
+import { createDigestStream } from './integrity.js';
+import { createMerkleStream, signCommitment } from './proofs.js';
+import { applyProviderPolicy, rankProviders, validateStrategy } from './selection.js';
+import { providerPriceHistory, formatPriceHistory, storageCost, PRICE_HISTORY_DAYS } from './pricing.js';
+import { parseScheme, encodeShards, shardSizeFor, SHARD_HEADER_LENGTH, SHARD_FORMAT_VERSION } from './replication.js';
+import {
+  createUploadJournal,
+  createShardedUploadJournal,
+  loadUploadJournal,
+  listPendingUploads,
+  journalDir,
+  recordPurchaseStep,
+  recordApprovalStep,
+  recordFileStep,
+  recordShardStep,
+  removeUploadJournal
+} from './journal.js';
 
 // BSC Testnet configuration
 const BSC_TESTNET_RPC = 'https://data-seed-prebsc-1-s1.binance.org:8545/';
@@ -62,38 +85,978 @@ const AAI_TOKEN_ABI = [
   }
 ];
 
-export async function startClient() {
+const isInteractive = () => Boolean(process.stdin.isTTY);
+
+const formatSize = (sizeGB) => sizeGB < 1 ?
+  `${(sizeGB * 1024).toFixed(2)}MB` :
+  `${sizeGB.toFixed(2)}GB`;
+
+// Fail with a hint about the missing flag when a prompt cannot be shown
+const requirePrompt = (flag, description) => {
+  if (!isInteractive()) {
+    throw new Error(`Missing ${description}. Pass ${flag} when running non-interactively.`);
+  }
+};
+
+// The `_fileSize` argument of storeFile: thousands of bytes, at least 1
+export const contractFileSize = (sizeBytes) => Math.max(Math.ceil(sizeBytes / 1000), 1);
+
+// Space storeFile charges against purchased storage for a file of this size,
+// mirroring the contract's integer arithmetic
+export const contractStorageUsage = (sizeBytes) => Math.max(Math.floor(contractFileSize(sizeBytes) / 1000), 1);
+
+// Check that a path points to a readable file or directory and return its
+// size in GB
+export const inspectUploadPath = async (filePath) => {
   try {
-    // Get client wallet details first
-    let privateKey = loadPrivateKey();
-    
-    if (!privateKey) {
-      const walletDetails = await inquirer.prompt([
-        {
-          type: 'password',
-          name: 'privateKey',
-          message: 'Enter your BSC wallet private key (for paying AAI tokens):',
-          validate: input => {
-            if (!input) return 'Private key cannot be empty';
-            if (!(input.length === 64 || input.startsWith('0x'))) {
-              return 'Invalid private key format. Must be 64 characters or start with 0x';
-            }
-            return true;
+    // Normalize the file path to handle Windows paths correctly
+    const normalizedPath = path.normalize(filePath);
+    const stats = await fs.stat(normalizedPath);
+
+    if (stats.isDirectory()) {
+      const entries = await walkDirectory(normalizedPath);
+      if (entries.length === 0) {
+        return { error: 'The specified directory contains no files' };
+      }
+      const sizeBytes = entries.reduce((total, entry) => total + entry.size, 0);
+      return { filePath: normalizedPath, type: 'directory', sizeBytes, sizeGB: sizeBytes / (1024 * 1024 * 1024) };
+    }
+    if (!stats.isFile()) {
+      return { error: 'The specified path is not a file or directory' };
+    }
+    return { filePath: normalizedPath, type: 'file', sizeBytes: stats.size, sizeGB: stats.size / (1024 * 1024 * 1024) };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { error: 'File does not exist at the specified path' };
+    } else if (error.code === 'EACCES') {
+      return { error: 'Cannot access the file. Please check file permissions' };
+    }
+    return { error: `Cannot access the file: ${error.message}` };
+  }
+};
+
+// Drop providers excluded by the allow/deny lists in config.json
+const applyConfiguredPolicy = (providers) => {
+  const { allowed, excluded } = applyProviderPolicy(providers);
+  for (const provider of excluded) {
+    console.log(chalk.gray(`Skipping provider ${provider.id} (${provider.excludedBy})`));
+  }
+  if (allowed.length === 0) {
+    throw new Error('No active providers are permitted by the allow/deny lists in config.json');
+  }
+  return allowed;
+};
+
+// Rank the providers that can hold `storage` GB and keep the best `count`
+const selectByStrategy = async (providers, strategy, count, storage) => {
+  const eligible = providers.filter(provider => provider.storage >= storage);
+  if (eligible.length < count) {
+    throw new Error(`${count} providers with at least ${storage}GB available are needed, but only ${eligible.length} are online`);
+  }
+  const selected = (await rankProviders(eligible, strategy)).slice(0, count);
+  for (const provider of selected) {
+    console.log(chalk.blue(`Selected provider ${provider.id} by ${strategy} (score ${provider.score.toFixed(3)}, ${provider.price} AAI/GB)`));
+  }
+  return selected;
+};
+
+const resolveProvider = async (providers, requested, strategy, storage) => {
+  if (requested) {
+    const match = providers.find(provider =>
+      provider.id === requested || provider.address.toLowerCase() === requested.toLowerCase()
+    );
+    if (!match) {
+      throw new Error(`Provider ${requested} is not among the active providers`);
+    }
+    return match;
+  }
+
+  if (strategy) {
+    const [selected] = await selectByStrategy(providers, strategy, 1, storage);
+    return selected;
+  }
+
+  requirePrompt('--provider <id|address> or --select <strategy>', 'storage provider');
+
+  // Format provider choices with detailed information
+  const prices = await providerPriceHistory(providers.map(provider => provider.id));
+  const providerChoices = providers.map(provider => ({
+    name: `Provider ${provider.id} (${provider.storage}GB available at ${provider.price} AAI/GB)\n  Address: ${provider.address}\n  Last Seen: ${new Date(provider.lastSeen).toLocaleString()}\n  Price history (${PRICE_HISTORY_DAYS} days): ${formatPriceHistory(prices.get(provider.id))}`,
+    value: provider
+  }));
+
+  const { provider } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'provider',
+      message: 'Select a storage provider:',
+      choices: providerChoices
+    }
+  ]);
+  return provider;
+};
+
+// Decide which uploads get compressed and measure their compressed size, so
+// storage is purchased for what will actually be stored. Directories are
+// compressed file by file, skipping files that are already compressed.
+export const applyCompression = async (uploads, algorithm) => {
+  if (!algorithm) {
+    return;
+  }
+  const spinner = ora(`Measuring ${algorithm}-compressed sizes...`).start();
+  try {
+    for (const upload of uploads) {
+      const files = upload.type === 'directory'
+        ? await walkDirectory(upload.filePath)
+        : [{ absolutePath: upload.filePath, size: upload.sizeBytes }];
+      let storedBytes = 0;
+      let compressed = false;
+      for (const file of files) {
+        const fileCompression = await compressionFor(file.absolutePath, algorithm);
+        storedBytes += fileCompression ? await compressedSize(file.absolutePath, fileCompression) : file.size;
+        compressed = compressed || Boolean(fileCompression);
+      }
+      upload.compression = compressed ? algorithm : null;
+      upload.storedBytes = storedBytes;
+      upload.sizeGB = storedBytes / (1024 * 1024 * 1024);
+    }
+  } finally {
+    spinner.stop();
+  }
+  for (const upload of uploads) {
+    const note = upload.compression
+      ? `${formatSize(upload.sizeBytes / (1024 * 1024 * 1024))} -> ${formatSize(upload.sizeGB)} with ${upload.compression}`
+      : 'already compressed, stored as is';
+    console.log(chalk.blue(`${upload.filePath}: ${note}`));
+  }
+};
+
+// Source stages for a file's plaintext: the file, hashed by `digest` before
+// it is compressed (when asked to), and a counter reporting the bytes that go
+// on to be encrypted
+const plaintextStages = (filePath, compression, digest, onBytes) => [
+  createReadStream(filePath),
+  digest,
+  ...(compression ? [createCompressStream(compression)] : []),
+  async function* (source) {
+    for await (const chunk of source) {
+      onBytes(chunk.length);
+      yield chunk;
+    }
+  }
+];
+
+// Pick one distinct provider per shard, so losing a provider loses at most
+// one shard of each file
+const resolveShardProviders = async (providers, count, shardStorage, requested, strategy) => {
+  if (requested) {
+    const ids = requested.split(',').map(value => value.trim()).filter(Boolean);
+    if (ids.length !== count) {
+      throw new Error(`--provider must list exactly ${count} providers (comma-separated) for this scheme`);
+    }
+    const selected = ids.map(id => {
+      const match = providers.find(provider =>
+        provider.id === id || provider.address.toLowerCase() === id.toLowerCase()
+      );
+      if (!match) {
+        throw new Error(`Provider ${id} is not among the active providers`);
+      }
+      if (match.storage < shardStorage) {
+        throw new Error(`Provider ${match.id} only has ${match.storage}GB available, ${shardStorage}GB is needed per shard`);
+      }
+      return match;
+    });
+    if (new Set(selected.map(provider => provider.id)).size !== count) {
+      throw new Error('Each shard must go to a different provider');
+    }
+    return selected;
+  }
+
+  // Unattended runs fall back to the providers with the most free space
+  if (strategy || !isInteractive()) {
+    return selectByStrategy(providers, strategy || 'most-free', count, shardStorage);
+  }
+
+  const eligible = providers.filter(provider => provider.storage >= shardStorage);
+  if (eligible.length < count) {
+    throw new Error(`${count} providers with at least ${shardStorage}GB available are needed, but only ${eligible.length} are online`);
+  }
+
+  const prices = await providerPriceHistory(eligible.map(provider => provider.id));
+  const { selected } = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'selected',
+      message: `Select ${count} storage providers (one per shard):`,
+      choices: eligible.map(provider => ({
+        name: `Provider ${provider.id} (${provider.storage}GB available at ${provider.price} AAI/GB, history: ${formatPriceHistory(prices.get(provider.id))})`,
+        value: provider
+      })),
+      validate: input => input.length === count ? true : `Select exactly ${count} providers`
+    }
+  ]);
+  return selected;
+};
+
+// Whole GB to purchase from each provider for one shard of a file
+const shardStorageFor = (scheme, sizeBytes) => {
+  const shardBytes = SHARD_HEADER_LENGTH + shardSizeFor(scheme, encryptedSize(sizeBytes));
+  return Math.max(1, Math.ceil(shardBytes / (1024 * 1024 * 1024)));
+};
+
+const describeScheme = (scheme) => scheme.type === 'replica'
+  ? `${scheme.totalShards} replicas`
+  : `${scheme.dataShards}+${scheme.parityShards} erasure-coded shards`;
+
+const resolveUploadFiles = async (files) => {
+  if (files.length > 0) {
+    const uploads = [];
+    for (const filePath of files) {
+      const upload = await inspectUploadPath(filePath);
+      if (upload.error) {
+        throw new Error(`${filePath}: ${upload.error}`);
+      }
+      uploads.push(upload);
+    }
+    return uploads;
+  }
+
+  requirePrompt('a file path argument', 'file to upload');
+
+  const { filePath } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'filePath',
+      message: 'Enter the path to the file or directory you want to upload:',
+      validate: async (input) => {
+        const upload = await inspectUploadPath(input);
+        return upload.error || true;
+      }
+    }
+  ]);
+  return [await inspectUploadPath(filePath)];
+};
+
+// `put` uploads a single file or directory to a bucket path
+const withObjectKey = (uploads, object) => {
+  if (object) {
+    if (uploads.length !== 1) {
+      throw new Error('Exactly one file or directory can be written to a bucket path');
+    }
+    uploads[0].object = object;
+  }
+  return uploads;
+};
+
+// --lease <days>: how long providers keep the files pinned. Without it the
+// lease lasts for as long as the files are tracked.
+const parseLease = (lease) => {
+  if (lease === undefined) {
+    return null;
+  }
+  const days = Number(lease);
+  if (!Number.isFinite(days) || days <= 0) {
+    throw new Error('--lease must be a number of days greater than 0');
+  }
+  return days;
+};
+
+// Lease end for a file tracked now, counted from when it is recorded
+const leaseExpiry = (journal) => journal.leaseDays
+  ? new Date(Date.now() + journal.leaseDays * 24 * 60 * 60 * 1000).toISOString()
+  : null;
+
+const resolveStorageAmount = async (provider, totalSizeGB, options) => {
+  const validateStorage = (input) => {
+    if (!Number.isInteger(input) || input <= 0) {
+      return 'Please enter a whole number of GB greater than 0';
+    }
+    if (input > provider.storage) {
+      return `Provider only has ${provider.storage}GB available`;
+    }
+    if (totalSizeGB > input) {
+      return `File size (${formatSize(totalSizeGB)}) exceeds requested storage (${input}GB)`;
+    }
+    return true;
+  };
+
+  let storage = options.storage;
+  if (storage === undefined && options.autoPurchase) {
+    // Purchase the smallest whole number of GB that fits the upload
+    storage = Math.max(1, Math.ceil(totalSizeGB));
+  }
+
+  if (storage === undefined) {
+    requirePrompt('--storage <GB> or --auto-purchase', 'storage amount');
+    const answers = await inquirer.prompt([
+      {
+        type: 'number',
+        name: 'storage',
+        message: 'How much storage would you like to purchase (in GB)?',
+        validate: validateStorage
+      }
+    ]);
+    storage = answers.storage;
+  }
+
+  const check = validateStorage(storage);
+  if (check !== true) {
+    throw new Error(check);
+  }
+  return storage;
+};
+
+const confirmUpload = async (provider, uploads, storage, paymentInAAI, options) => {
+  if (options.yes) {
+    return true;
+  }
+  requirePrompt('--yes', 'confirmation');
+
+  const fileList = uploads.map(upload => `  ${upload.filePath} (${formatSize(upload.sizeGB)}${upload.compression ? ` with ${upload.compression}` : ''})`).join('\n');
+  const { confirmed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Purchase ${storage}GB from provider ${provider.id} for ${paymentInAAI} AAI and upload:\n${fileList}\n`,
+      default: true
+    }
+  ]);
+  return confirmed;
+};
+
+const confirmShardedUpload = async (scheme, providers, uploads, paymentInAAI, options) => {
+  if (options.yes) {
+    return true;
+  }
+  requirePrompt('--yes', 'confirmation');
+
+  const providerList = providers.map((provider, index) => `  shard ${index}: provider ${provider.id} at ${provider.price} AAI/GB`).join('\n');
+  const fileList = uploads.map(upload => `  ${upload.filePath} (${formatSize(upload.sizeGB)}, ${upload.shardStorage}GB per shard)`).join('\n');
+  const { confirmed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Store ${describeScheme(scheme)} for ${paymentInAAI} AAI across:\n${providerList}\nand upload:\n${fileList}\n`,
+      default: true
+    }
+  ]);
+  return confirmed;
+};
+
+// Resolve whether a previously sent transaction succeeded. Failed or dropped
+// transactions return false so the step can be retried.
+const transactionSucceeded = async (web3, hash) => {
+  if (!hash) {
+    return false;
+  }
+  const receipt = await web3.eth.getTransactionReceipt(hash);
+  if (receipt) {
+    return Boolean(receipt.status);
+  }
+  if (await web3.eth.getTransaction(hash)) {
+    throw new Error(`Transaction ${hash} is still pending. Resume again once it has been mined.`);
+  }
+  return false;
+};
+
+// Pay for storage unless the journal shows it was already paid for
+const purchaseStorageStep = async (journal, { web3, walletAddress, aaiToken, storageContract, spinner }) => {
+  const { purchase } = journal;
+
+  if (!purchase.purchased && await transactionSucceeded(web3, purchase.purchaseTx)) {
+    recordPurchaseStep(journal, { purchased: true });
+  }
+  if (purchase.purchased) {
+    spinner.info(`Storage already purchased (tx ${purchase.purchaseTx})`);
+    return true;
+  }
+
+  // Calculate payment amount
+  const paymentAmount = storageCost(journal.storage, journal.provider.price).toString();
+
+  // Check token balance and convert to same decimal format
+  spinner.start('Checking AAI token balance...');
+  const balance = await aaiToken.methods.balanceOf(walletAddress).call();
+  const balanceInEther = web3.utils.fromWei(balance, 'ether');
+  const paymentInEther = web3.utils.fromWei(paymentAmount, 'ether');
+
+  if (web3.utils.toBN(balance).lt(web3.utils.toBN(paymentAmount))) {
+    spinner.fail(`Insufficient AAI token balance. Required: ${paymentInEther} AAI, Available: ${balanceInEther} AAI`);
+    return false;
+  }
+
+  // Process payment and purchase storage
+  spinner.text = 'Processing payment and purchasing storage...';
+  try {
+    if (!purchase.approved && await transactionSucceeded(web3, purchase.approveTx)) {
+      recordPurchaseStep(journal, { approved: true });
+    }
+
+    // Approve token transfer
+    if (!purchase.approved) {
+      await aaiToken.methods.approve(STORAGE_CONTRACT_ADDRESS, paymentAmount)
+        .send({ from: walletAddress })
+        .on('transactionHash', hash => recordPurchaseStep(journal, { approveTx: hash }));
+      recordPurchaseStep(journal, { approved: true });
+    }
+
+    // Purchase storage through contract
+    await storageContract.methods.purchaseStorage(journal.provider.address, journal.storage)
+      .send({ from: walletAddress })
+      .on('transactionHash', hash => recordPurchaseStep(journal, { purchaseTx: hash }));
+    recordPurchaseStep(journal, { purchased: true });
+
+    spinner.succeed('Storage purchased successfully');
+    return true;
+  } catch (error) {
+    spinner.fail('Storage purchase failed');
+    console.error(chalk.red('Error:', error.message));
+    return false;
+  }
+};
+
+// Run the remaining steps for one file: IPFS add, Supabase tracking, and
+// on-chain registration, recording each one in the journal as it completes
+const uploadFileStep = async (journal, index, { web3, walletAddress, privateKey, storageContract, spinner }) => {
+  const entry = journal.files[index];
+  spinner.start(`Preparing ${entry.filePath}...`);
+
+  // The size is fixed once the file has been added so resumes register the
+  // same size that was uploaded
+  let fileSizeBytes = entry.sizeBytes;
+  if (fileSizeBytes === null) {
+    fileSizeBytes = entry.type === 'directory'
+      ? (await walkDirectory(entry.filePath)).reduce((total, file) => total + file.size, 0)
+      : (await fs.stat(entry.filePath)).size;
+  }
+  const sizeDisplay = formatSize(fileSizeBytes / (1024 * 1024 * 1024));
+
+  if (entry.step === 'pending' && entry.type === 'directory') {
+    // Each file is encrypted on its own and linked with an encrypted
+    // manifest under a single root CID
+    const ipfs = create({ url: 'http://127.0.0.1:5001' });
+    const result = await addEncryptedDirectory(ipfs, entry.filePath, {
+      walletAddress,
+      privateKey,
+      compression: entry.compression,
+      onProgress: text => { spinner.text = text; }
+    });
+    recordFileStep(journal, index, {
+      step: 'added',
+      cid: result.cid,
+      salt: result.salt.toString('hex'),
+      sizeBytes: result.sizeBytes,
+      storedBytes: result.storedBytes
+    });
+  }
+
+  if (entry.step === 'pending') {
+    // Derive the file encryption key from the wallet with a fresh salt
+    spinner.text = 'Generating encryption key...';
+    const salt = generateSalt();
+    const encryptionKey = await deriveFileKey(walletAddress, privateKey, salt);
+
+    // Add to the local IPFS node; the provider fetches it from there
+    spinner.text = 'Connecting to the local IPFS node...';
+    const ipfs = create({ url: 'http://127.0.0.1:5001' });
+
+    // Compress if requested, then encrypt with AES-256-GCM while streaming
+    // to the local IPFS node
+    spinner.text = `Encrypting and uploading ${entry.fileName} (${sizeDisplay}) to IPFS...`;
+    let storedBytes = 0;
+    const digest = createDigestStream();
+    // The storage commitment covers the encrypted bytes the provider holds
+    const merkle = createMerkleStream();
+    const encrypted = pipeline(
+      ...plaintextStages(entry.filePath, entry.compression, digest, bytes => { storedBytes += bytes; }),
+      createEncryptStream({ key: encryptionKey, salt }),
+      merkle,
+      () => {}
+    );
+    const result = await ipfs.add(encrypted, {
+      progress: bytes => {
+        spinner.text = `Encrypting and uploading ${entry.fileName}: ${formatSize(bytes / (1024 * 1024 * 1024))} of ${sizeDisplay}`;
+      }
+    });
+    const { sha256, length } = digest.result();
+    recordFileStep(journal, index, {
+      step: 'added',
+      cid: result.path,
+      salt: salt.toString('hex'),
+      sizeBytes: length,
+      storedBytes,
+      sha256,
+      commitment: merkle.result()
+    });
+  }
+
+  // Storage is charged for the stored (compressed) size. Journals from before
+  // compression only have the plaintext size.
+  const storedBytes = entry.storedBytes ?? fileSizeBytes;
+  const fileSizeGB = storedBytes / (1024 * 1024 * 1024);
+
+  // Convert file size to milliether format for contract interaction
+  // Ensure minimum size of 1 milliether for small files to match contract logic
+  const fileSizeWei = web3.utils.toBN(contractFileSize(storedBytes).toString());
+
+  if (entry.step === 'added') {
+    // Track file storage in Supabase with exact file size
+    spinner.text = 'Recording file metadata...';
+    try {
+      await trackFileStorage({
+        cid: entry.cid,
+        providerId: journal.provider.id,
+        clientAddress: walletAddress,
+        fileSize: fileSizeGB,
+        fileName: entry.fileName,
+        salt: entry.salt,
+        entryType: entry.type,
+        compression: entry.type === 'file' ? entry.compression : null,
+        plaintextSize: entry.sizeBytes,
+        plaintextSha256: entry.sha256,
+        leaseExpiresAt: leaseExpiry(journal),
+        commitment: entry.commitment ? await signCommitment(privateKey, entry.cid, entry.commitment) : null
+      });
+    } catch (error) {
+      // A unique violation means the row was written before the interruption
+      if (error.code !== '23505') {
+        throw error;
+      }
+    }
+    recordFileStep(journal, index, { step: 'tracked' });
+  }
+
+  if (entry.step === 'tracked') {
+    if (await transactionSucceeded(web3, entry.storeTx)) {
+      recordFileStep(journal, index, { step: 'stored' });
+    } else {
+      // The provider must hold the content before it is registered on-chain
+      const ipfs = create({ url: 'http://127.0.0.1:5001' });
+      await placeWithProvider(ipfs, journal.provider.id, entry.cid, {
+        onProgress: text => { spinner.text = text; }
+      });
+
+      // Register file storage in contract using Wei format
+      spinner.text = 'Registering file in smart contract...';
+      await storageContract.methods.storeFile(
+        journal.provider.address,
+        entry.cid,
+        fileSizeWei
+      ).send({ from: walletAddress })
+        .on('transactionHash', hash => recordFileStep(journal, index, { storeTx: hash }));
+      recordFileStep(journal, index, { step: 'stored' });
+    }
+  }
+
+  spinner.succeed(`${entry.fileName} uploaded and registered successfully!`);
+  console.log(chalk.green(`File CID: ${entry.cid}`));
+};
+
+// Approve the AAI spend for every shard still to be purchased in one
+// transaction. Each shard is then purchased from its own provider.
+const approveShardPaymentStep = async (journal, { web3, walletAddress, aaiToken, spinner }) => {
+  const { approval } = journal;
+  const unpaid = journal.files.flatMap(file => file.shards).filter(shard => !shard.purchased);
+  if (unpaid.length === 0) {
+    return true;
+  }
+
+  if (!approval.approved && await transactionSucceeded(web3, approval.approveTx)) {
+    recordApprovalStep(journal, { approved: true });
+  }
+  if (approval.approved) {
+    spinner.info(`Payment already approved (tx ${approval.approveTx})`);
+    return true;
+  }
+
+  const prices = Object.fromEntries(journal.providers.map(provider => [provider.id, provider.price]));
+  const payment = unpaid.reduce((total, shard) => total.add(storageCost(shard.storage, prices[shard.providerId])), web3.utils.toBN(0));
+  const paymentAmount = payment.toString();
+  const paymentInAAI = web3.utils.fromWei(paymentAmount, 'ether');
+
+  spinner.start('Checking AAI token balance...');
+  const balance = await aaiToken.methods.balanceOf(walletAddress).call();
+  const balanceInEther = web3.utils.fromWei(balance, 'ether');
+
+  if (web3.utils.toBN(balance).lt(payment)) {
+    spinner.fail(`Insufficient AAI token balance. Required: ${paymentInAAI} AAI, Available: ${balanceInEther} AAI`);
+    return false;
+  }
+
+  spinner.text = 'Approving payment for all shards...';
+  try {
+    await aaiToken.methods.approve(STORAGE_CONTRACT_ADDRESS, paymentAmount)
+      .send({ from: walletAddress })
+      .on('transactionHash', hash => recordApprovalStep(journal, { approveTx: hash }));
+    recordApprovalStep(journal, { approved: true });
+    spinner.succeed(`Approved ${paymentInAAI} AAI for ${unpaid.length} shard purchases`);
+    return true;
+  } catch (error) {
+    spinner.fail('Payment approval failed');
+    console.error(chalk.red('Error:', error.message));
+    return false;
+  }
+};
+
+// The shard map lists where every shard of a file lives. It is kept with the
+// file metadata and, encrypted, on IPFS where its CID identifies the file.
+const buildShardMap = (journal, entry) => ({
+  version: SHARD_FORMAT_VERSION,
+  scheme: journal.scheme,
+  payloadLength: encryptedSize(entry.storedBytes ?? entry.sizeBytes),
+  shardSize: entry.shardSize,
+  fileName: entry.fileName,
+  fileSize: entry.sizeBytes,
+  compression: entry.compression || null,
+  shards: entry.shards.map(shard => ({
+    index: shard.index,
+    cid: shard.cid,
+    providerId: shard.providerId,
+    providerAddress: shard.providerAddress
+  }))
+});
+
+// Encrypt one file, split it into shards and place each shard with its
+// provider: purchase storage, IPFS add, on-chain registration
+const uploadShardedFileStep = async (journal, index, { web3, walletAddress, privateKey, storageContract, spinner }) => {
+  const entry = journal.files[index];
+  const { scheme } = journal;
+  const workDir = journalDir(journal.id, String(index));
+  spinner.start(`Preparing ${entry.filePath}...`);
+
+  if (entry.step === 'pending') {
+    const { size } = await fs.stat(entry.filePath);
+    const salt = generateSalt();
+    const encryptionKey = await deriveFileKey(walletAddress, privateKey, salt);
+    const payloadPath = path.join(workDir, 'payload');
+    await fs.mkdir(workDir, { recursive: true });
+
+    spinner.text = `Encrypting ${entry.fileName} (${formatSize(size / (1024 * 1024 * 1024))})...`;
+    let storedBytes = 0;
+    const digest = createDigestStream();
+    await streamPipeline(
+      ...plaintextStages(entry.filePath, entry.compression, digest, bytes => { storedBytes += bytes; }),
+      createEncryptStream({ key: encryptionKey, salt }),
+      createWriteStream(payloadPath)
+    );
+
+    // Shard files stay in the journal directory until the file is stored so
+    // a resumed upload sends exactly the same shards
+    spinner.text = `Encoding ${describeScheme(scheme)}...`;
+    const { shardSize } = await encodeShards(payloadPath, workDir, scheme);
+    await fs.rm(payloadPath, { force: true });
+    const { sha256, length } = digest.result();
+    recordFileStep(journal, index, { step: 'encoded', salt: salt.toString('hex'), sizeBytes: length, storedBytes, sha256, shardSize });
+  }
+
+  if (entry.step === 'encoded') {
+    const ipfs = create({ url: 'http://127.0.0.1:5001' });
+    const shardBytes = SHARD_HEADER_LENGTH + entry.shardSize;
+    const shardSizeWei = web3.utils.toBN(contractFileSize(shardBytes).toString());
+
+    for (const shard of entry.shards) {
+      if (shard.step === 'stored') {
+        continue;
+      }
+      const label = `${entry.fileName} shard ${shard.index + 1}/${entry.shards.length}`;
+
+      if (!shard.purchased && await transactionSucceeded(web3, shard.purchaseTx)) {
+        recordShardStep(journal, index, shard.index, { purchased: true });
+      }
+      if (!shard.purchased) {
+        spinner.text = `Purchasing ${shard.storage}GB from provider ${shard.providerId} for ${label}...`;
+        await storageContract.methods.purchaseStorage(shard.providerAddress, shard.storage)
+          .send({ from: walletAddress })
+          .on('transactionHash', hash => recordShardStep(journal, index, shard.index, { purchaseTx: hash }));
+        recordShardStep(journal, index, shard.index, { purchased: true });
+      }
+
+      if (shard.step === 'pending') {
+        spinner.text = `Uploading ${label} to IPFS...`;
+        const merkle = createMerkleStream();
+        const result = await ipfs.add(pipeline(createReadStream(path.join(workDir, `shard-${shard.index}`)), merkle, () => {}));
+        recordShardStep(journal, index, shard.index, { step: 'added', cid: result.path, commitment: merkle.result() });
+      }
+
+      // The shard's row is how a provider without a public API learns to
+      // fetch it, so it is written before waiting for the provider
+      if (shard.step === 'added') {
+        spinner.text = `Recording ${label}...`;
+        try {
+          await trackShard({
+            cid: shard.cid,
+            providerId: shard.providerId,
+            clientAddress: walletAddress,
+            fileSize: shardBytes / (1024 * 1024 * 1024),
+            fileName: `${entry.fileName}.shard${shard.index}`,
+            salt: entry.salt,
+            leaseExpiresAt: leaseExpiry(journal),
+            commitment: shard.commitment ? await signCommitment(privateKey, shard.cid, shard.commitment) : null
+          });
+        } catch (error) {
+          if (error.code !== '23505') {
+            throw error;
           }
         }
-      ]);
+        recordShardStep(journal, index, shard.index, { step: 'tracked' });
+      }
+
+      if (await transactionSucceeded(web3, shard.storeTx)) {
+        recordShardStep(journal, index, shard.index, { step: 'stored' });
+        continue;
+      }
+      await placeWithProvider(ipfs, shard.providerId, shard.cid, {
+        onProgress: text => { spinner.text = `${label}: ${text}`; }
+      });
+      spinner.text = `Registering ${label} with provider ${shard.providerId}...`;
+      await storageContract.methods.storeFile(shard.providerAddress, shard.cid, shardSizeWei)
+        .send({ from: walletAddress })
+        .on('transactionHash', hash => recordShardStep(journal, index, shard.index, { storeTx: hash }));
+      recordShardStep(journal, index, shard.index, { step: 'stored' });
+    }
+
+    spinner.text = 'Storing shard map...';
+    const shardMap = buildShardMap(journal, entry);
+    const mapSalt = generateSalt();
+    const mapKey = await deriveFileKey(walletAddress, privateKey, mapSalt);
+    const encryptedMap = pipeline(
+      Readable.from([Buffer.from(JSON.stringify(shardMap))]),
+      createEncryptStream({ key: mapKey, salt: mapSalt }),
+      () => {}
+    );
+    const result = await ipfs.add(encryptedMap);
+    recordFileStep(journal, index, { step: 'added', cid: result.path });
+  }
+
+  if (entry.step === 'added') {
+    spinner.text = 'Recording file metadata...';
+    await trackShardedFile({
+      cid: entry.cid,
+      clientAddress: walletAddress,
+      fileSize: (entry.storedBytes ?? entry.sizeBytes) / (1024 * 1024 * 1024),
+      fileName: entry.fileName,
+      salt: entry.salt,
+      plaintextSize: entry.sizeBytes,
+      plaintextSha256: entry.sha256,
+      leaseExpiresAt: leaseExpiry(journal),
+      shardMap: buildShardMap(journal, entry)
+    });
+    recordFileStep(journal, index, { step: 'stored' });
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+
+  spinner.succeed(`${entry.fileName} stored as ${describeScheme(scheme)}!`);
+  console.log(chalk.green(`File CID: ${entry.cid}`));
+};
+
+// Point the file's bucket path at its CID as a new version
+const recordVersionStep = async (journal, index, { walletAddress, spinner }) => {
+  const entry = journal.files[index];
+  const version = await addObjectVersion({ ownerAddress: walletAddress, ...entry.object, cid: entry.cid });
+  recordFileStep(journal, index, { version: version.version });
+  spinner.succeed(`Saved as ${entry.object.bucket}/${entry.object.path} (version ${version.version})`);
+};
+
+// Pick the journal to resume: an explicit ID, or the only/most recent pending
+// upload for this wallet
+const resolvePendingUpload = async (walletAddress, resume) => {
+  if (typeof resume === 'string') {
+    const journal = loadUploadJournal(resume);
+    if (!journal || journal.status !== 'pending') {
+      throw new Error(`No pending upload with ID ${resume}`);
+    }
+    if (journal.walletAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+      throw new Error(`Upload ${resume} belongs to wallet ${journal.walletAddress}. Use --wallet to select it.`);
+    }
+    return journal;
+  }
+
+  const pending = listPendingUploads(walletAddress);
+  if (pending.length === 0) {
+    throw new Error('No pending uploads to resume');
+  }
+  if (pending.length === 1 || !isInteractive()) {
+    return pending[pending.length - 1];
+  }
+
+  const { journal } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'journal',
+      message: 'Select an upload to resume:',
+      choices: pending.map(entry => ({ name: describeJournal(entry), value: entry }))
+    }
+  ]);
+  return journal;
+};
+
+const describeJournal = (journal) => {
+  const done = journal.files.filter(file => file.step === 'stored').length;
+  const created = new Date(journal.createdAt).toLocaleString();
+  if (journal.kind === 'sharded') {
+    const providers = journal.providers.map(provider => provider.id).join(',');
+    return `${journal.id}  ${created}  ${describeScheme(journal.scheme)} on providers ${providers}  ${done}/${journal.files.length} files stored`;
+  }
+  const purchase = journal.purchase.purchased ? 'paid' : 'unpaid';
+  return `${journal.id}  ${created}  provider ${journal.provider.id}  ${journal.storage}GB ${purchase}  ${done}/${journal.files.length} files stored`;
+};
+
+export function showPendingUploads(options = {}) {
+  let walletAddress;
+  if (!options.allWallets) {
+    try {
+      walletAddress = getWalletAddress(options.wallet);
+    } catch {
+      // No wallet profile yet, so show everything
+    }
+  }
+
+  const pending = listPendingUploads(walletAddress);
+  if (pending.length === 0) {
+    console.log(chalk.green('No pending uploads'));
+    return;
+  }
+
+  for (const journal of pending) {
+    console.log(chalk.yellow(describeJournal(journal)));
+    console.log(chalk.gray(`  wallet ${journal.walletAddress}`));
+    if (journal.purchase?.purchaseTx) {
+      console.log(chalk.gray(`  purchase tx ${journal.purchase.purchaseTx}`));
+    }
+    for (const file of journal.files) {
+      const details = [file.step, file.cid, file.storeTx && `tx ${file.storeTx}`].filter(Boolean).join('  ');
+      console.log(`  ${file.filePath}  ${chalk.gray(details)}`);
+      for (const shard of file.shards || []) {
+        const shardDetails = [shard.purchased ? 'paid' : 'unpaid', shard.step, shard.cid].filter(Boolean).join('  ');
+        console.log(chalk.gray(`    shard ${shard.index} on provider ${shard.providerId}  ${shardDetails}`));
+      }
+    }
+  }
+  console.log(chalk.blue('\nFinish with `upload --resume <id>` or undo with `uploads rollback <id>`.'));
+}
+
+// Shards registered on-chain are kept pinned like whole files are; every
+// other shard, and the shard map of each unfinished file, is unpinned
+const rollbackShardedFiles = async (journal, { web3, spinner, unpin }) => {
+  for (let index = 0; index < journal.files.length; index++) {
+    const entry = journal.files[index];
+    if (entry.step === 'stored') {
+      spinner.info(`${entry.fileName} is fully stored and was kept (CID ${entry.cid})`);
+      spinner.start('Rolling back upload...');
+      continue;
+    }
+    if (entry.step === 'added') {
+      await untrackFileStorage(entry.cid);
+      await unpin(entry.cid);
+    }
+    for (const shard of entry.shards) {
+      if (shard.step === 'stored' || await transactionSucceeded(web3, shard.storeTx)) {
+        spinner.info(`${entry.fileName} shard ${shard.index} is registered on-chain with provider ${shard.providerId} and was kept (CID ${shard.cid})`);
+        spinner.start('Rolling back upload...');
+        continue;
+      }
+      if (shard.step === 'tracked') {
+        await untrackFileStorage(shard.cid);
+      }
+      if (shard.cid) {
+        await unpin(shard.cid);
+      }
+    }
+    const purchased = entry.shards.filter(shard => shard.purchased);
+    if (purchased.length > 0) {
+      const providers = purchased.map(shard => `${shard.storage}GB from provider ${shard.providerId}`).join(', ');
+      console.log(chalk.yellow(`Storage purchased for ${entry.fileName} (${providers}) remains credited to ${journal.walletAddress}.`));
+    }
+  }
+};
+
+// Undo the off-chain effects of an interrupted upload: Supabase rows and
+// local pins for files that never made it on-chain. Purchased storage stays
+// credited to this wallet with the provider; files already registered
+// on-chain are left alone.
+export async function rollbackUpload(id, options = {}) {
+  const journal = loadUploadJournal(id);
+  if (!journal || journal.status !== 'pending') {
+    throw new Error(`No pending upload with ID ${id}`);
+  }
+
+  if (!options.yes) {
+    requirePrompt('--yes', 'confirmation');
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Roll back upload ${id}? Files not yet registered on-chain will be removed from tracking and unpinned.`,
+        default: false
+      }
+    ]);
+    if (!confirmed) {
+      console.log(chalk.yellow('Aborted'));
+      return;
+    }
+  }
+
+  const web3 = new Web3(BSC_TESTNET_RPC);
+  const ipfs = create({ url: 'http://127.0.0.1:5001' });
+  const spinner = ora('Rolling back upload...').start();
 
-      if (!walletDetails || !walletDetails.privateKey) {
-        throw new Error('Wallet details not provided');
+  const unpin = async (cid) => {
+    try {
+      await ipfs.pin.rm(cid);
+    } catch (error) {
+      if (!/not pinned/.test(error.message)) {
+        throw error;
       }
+    }
+  };
+
+  if (journal.kind === 'sharded') {
+    await rollbackShardedFiles(journal, { web3, spinner, unpin });
+    removeUploadJournal(id);
+    spinner.succeed(`Upload ${id} rolled back`);
+    return;
+  }
+
+  for (let index = 0; index < journal.files.length; index++) {
+    const entry = journal.files[index];
+    if (entry.step === 'stored' || await transactionSucceeded(web3, entry.storeTx)) {
+      spinner.info(`${entry.fileName} is registered on-chain and was kept (CID ${entry.cid})`);
+      recordFileStep(journal, index, { step: 'stored' });
+      spinner.start('Rolling back upload...');
+      continue;
+    }
+    if (entry.step === 'tracked') {
+      await untrackFileStorage(entry.cid);
+    }
+    if (entry.cid) {
+      await unpin(entry.cid);
+    }
+    recordFileStep(journal, index, { step: 'pending', cid: null, salt: null, sizeBytes: null, storeTx: null });
+  }
 
-      privateKey = walletDetails.privateKey;
+  removeUploadJournal(id);
+  spinner.succeed(`Upload ${id} rolled back`);
+  if (journal.purchase.purchased) {
+    console.log(chalk.yellow(`The ${journal.storage}GB purchased from provider ${journal.provider.id} remains credited to ${journal.walletAddress}.`));
+  }
+}
+
+export async function startClient(files = [], options = {}) {
+  let provider;
+
+  try {
+    // Get client wallet details first
+    let privateKey = await loadPrivateKey(options.wallet);
+    
+    if (!privateKey) {
+      const credentials = await promptWalletCredentials('How do you want to import the BSC wallet that pays AAI tokens?');
+      privateKey = credentials.privateKey;
       // Save the private key for future use
-      savePrivateKey(privateKey);
+      await savePrivateKey(privateKey, options.wallet, credentials.details);
     }
 
     // Initialize Web3 with BSC testnet
-    const provider = new HDWalletProvider(privateKey, BSC_TESTNET_RPC);
+    provider = new HDWalletProvider(privateKey, BSC_TESTNET_RPC);
     const web3 = new Web3(provider);
     const accounts = await web3.eth.getAccounts();
     const walletAddress = accounts[0];
@@ -121,7 +1084,7 @@ export async function startClient() {
               return false;
             });
             if (validProviders.length > 0) {
-              return validProviders;
+              return validProviders.map(([id, provider]) => ({ id, ...provider }));
             }
           }
           console.log(chalk.yellow(`No valid providers found, retrying in ${retryDelay/1000} seconds... (Attempt ${i + 1}/${maxRetries})`));
@@ -133,187 +1096,129 @@ export async function startClient() {
       throw new Error('No storage providers available. Please try again later.');
     };
 
-    const onlineProviders = await getProvidersWithRetry();
-    
-    // Format provider choices with detailed information
-    const providerChoices = onlineProviders.map(([id, provider]) => ({
-      name: `Provider ${id} (${provider.storage}GB available at ${provider.price} AAI/GB)\n  Address: ${provider.address}\n  Last Seen: ${new Date(provider.lastSeen).toLocaleString()}`,
-      value: { id, ...provider }
-    }));
+    // Initialize token and storage contracts
+    const aaiToken = new web3.eth.Contract(AAI_TOKEN_ABI, AAI_TOKEN_ADDRESS);
+    const storageContract = new web3.eth.Contract(STORAGE_CONTRACT_ABI, STORAGE_CONTRACT_ADDRESS);
 
-    const answers = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'provider',
-        message: 'Select a storage provider:',
-        choices: providerChoices
-      },
-      {
-        type: 'number',
-        name: 'storage',
-        message: 'How much storage would you like to purchase (in GB)?',
-        validate: (input, answers) => {
-          if (isNaN(input) || input <= 0) {
-            return 'Please enter a valid number greater than 0';
-          }
-          const selectedProvider = answers.provider;
-          if (input > selectedProvider.storage) {
-            return `Provider only has ${selectedProvider.storage}GB available`;
-          }
-          return true;
-        }
-      },
-      {
-        type: 'input',
-        name: 'filePath',
-        message: 'Enter the path to the file you want to upload:',
-        validate: async (input, { storage }) => {
-          try {
-            // Normalize the file path to handle Windows paths correctly
-            const normalizedPath = path.normalize(input);
-            const stats = await fs.stat(normalizedPath);
-            
-            if (!stats.isFile()) {
-              return 'The specified path is not a file';
-            }
-            
-            const fileSizeGB = stats.size / (1024 * 1024 * 1024);
-            if (fileSizeGB > storage) {
-              return `File size (${fileSizeGB.toFixed(2)}GB) exceeds requested storage (${storage}GB)`;
-            }
-            return true;
-          } catch (error) {
-            if (error.code === 'ENOENT') {
-              return 'File does not exist at the specified path';
-            } else if (error.code === 'EACCES') {
-              return 'Cannot access the file. Please check file permissions';
-            }
-            return `Cannot access the file: ${error.message}`;
-          }
-        }
+    const scheme = parseScheme(options);
+    const compression = resolveAlgorithm(options.compress);
+    const leaseDays = parseLease(options.lease);
+    if (options.select) {
+      const check = validateStrategy(options.select);
+      if (check !== true) {
+        throw new Error(check);
       }
-    ]);
+    }
 
-    const spinner = ora('Processing your request...').start();
+    let journal;
+    if (options.resume) {
+      journal = await resolvePendingUpload(walletAddress, options.resume);
+      const destination = journal.kind === 'sharded'
+        ? `${describeScheme(journal.scheme)} on providers ${journal.providers.map(provider => provider.id).join(', ')}`
+        : `provider ${journal.provider.id}`;
+      console.log(chalk.blue(`Resuming upload ${journal.id} to ${destination}`));
+    } else if (scheme) {
+      if (options.storage !== undefined) {
+        throw new Error('--storage cannot be combined with --replicas or --erasure; storage is purchased per shard');
+      }
+      const onlineProviders = applyConfiguredPolicy(await getProvidersWithRetry());
+      const uploads = withObjectKey(await resolveUploadFiles(files), options.object);
+      if (uploads.some(upload => upload.type === 'directory')) {
+        throw new Error('Directories cannot be uploaded with --replicas or --erasure');
+      }
+      await applyCompression(uploads, compression);
+      for (const upload of uploads) {
+        upload.shardStorage = shardStorageFor(scheme, upload.storedBytes ?? upload.sizeBytes);
+      }
+      const shardStorage = uploads.reduce((total, upload) => total + upload.shardStorage, 0);
+      const selectedProviders = await resolveShardProviders(onlineProviders, scheme.totalShards, shardStorage, options.provider, options.select);
 
-    // Initialize AAI token contract
-    const aaiToken = new web3.eth.Contract(AAI_TOKEN_ABI, AAI_TOKEN_ADDRESS);
+      const payment = selectedProviders.reduce((total, provider) => total.add(storageCost(shardStorage, provider.price)), web3.utils.toBN(0));
+      const paymentInAAI = web3.utils.fromWei(payment.toString(), 'ether');
+      if (!await confirmShardedUpload(scheme, selectedProviders, uploads, paymentInAAI, options)) {
+        console.log(chalk.yellow('Upload cancelled'));
+        return;
+      }
 
-    // Calculate payment amount
-    const paymentAmount = web3.utils.toWei(
-      (parseFloat(answers.storage) * parseFloat(answers.provider.price)).toString(),
-      'ether'
-    );
+      journal = createShardedUploadJournal({ walletAddress, scheme, providers: selectedProviders, files: uploads, leaseDays });
+    } else {
+      const onlineProviders = applyConfiguredPolicy(await getProvidersWithRetry());
+      const uploads = withObjectKey(await resolveUploadFiles(files), options.object);
+      await applyCompression(uploads, compression);
+      const totalSizeGB = uploads.reduce((total, upload) => total + upload.sizeGB, 0);
+      const minimumStorage = options.storage ?? Math.max(1, Math.ceil(totalSizeGB));
+      const selectedProvider = await resolveProvider(onlineProviders, options.provider, options.select, minimumStorage);
+      const storage = await resolveStorageAmount(selectedProvider, totalSizeGB, options);
 
-    // Check token balance and convert to same decimal format
-    const balance = await aaiToken.methods.balanceOf(walletAddress).call();
-    const balanceInEther = web3.utils.fromWei(balance, 'ether');
-    const paymentInEther = web3.utils.fromWei(paymentAmount, 'ether');
+      const paymentInAAI = web3.utils.fromWei(storageCost(storage, selectedProvider.price).toString(), 'ether');
+      if (!await confirmUpload(selectedProvider, uploads, storage, paymentInAAI, options)) {
+        console.log(chalk.yellow('Upload cancelled'));
+        return;
+      }
 
-    if (parseFloat(balanceInEther) < parseFloat(paymentInEther)) {
-      spinner.fail(`Insufficient AAI token balance. Required: ${paymentInEther} AAI, Available: ${balanceInEther} AAI`);
-      return;
+      journal = createUploadJournal({ walletAddress, provider: selectedProvider, storage, files: uploads, leaseDays });
     }
 
-    // Initialize storage contract
-    const storageContract = new web3.eth.Contract(STORAGE_CONTRACT_ABI, STORAGE_CONTRACT_ADDRESS);
-
-    // Process payment and purchase storage
-    spinner.text = 'Processing payment and purchasing storage...';
-    try {
-      // Approve token transfer
-      await aaiToken.methods.approve(STORAGE_CONTRACT_ADDRESS, paymentAmount)
-        .send({ from: walletAddress });
+    const spinner = ora('Processing your request...').start();
+    const context = { web3, walletAddress, privateKey, aaiToken, storageContract, spinner };
 
-      // Purchase storage through contract
-      await storageContract.methods.purchaseStorage(answers.provider.address, answers.storage)
-        .send({ from: walletAddress });
+    const sharded = journal.kind === 'sharded';
 
-      spinner.succeed('Storage purchased successfully');
-    } catch (error) {
-      spinner.fail('Storage purchase failed');
-      console.error(chalk.red('Error:', error.message));
+    const paid = sharded
+      ? await approveShardPaymentStep(journal, context)
+      : await purchaseStorageStep(journal, context);
+    if (!paid) {
+      process.exitCode = 1;
       return;
     }
 
-    // Handle file upload
-    try {
-      const file = await fs.readFile(answers.filePath);
-      const fileName = path.basename(answers.filePath);
-      
-      // Generate a secure encryption key
-      spinner.text = 'Generating encryption key...';
-      const salt = CryptoJS.lib.WordArray.random(128/8);
-      const encryptionKey = CryptoJS.PBKDF2(walletAddress + privateKey, salt, {
-        keySize: 256/32,
-        iterations: 10000
-      });
-      
-      // Encrypt file content with AES-256
-      spinner.text = 'Encrypting file with AES-256...';
-      const encrypted = CryptoJS.AES.encrypt(file.toString(), encryptionKey.toString(), {
-        mode: CryptoJS.mode.CBC,
-        padding: CryptoJS.pad.Pkcs7,
-        iv: CryptoJS.lib.WordArray.random(128/8)
-      }).toString();
-
-      // Connect to provider's IPFS node
-      spinner.text = 'Connecting to provider\'s IPFS node...';
-      const ipfs = create({ url: 'http://127.0.0.1:5001' });
-      
-      // Verify provider's storage capacity and convert file size
-      const fileSizeBytes = file.length;
-      // Calculate file size in GB with higher precision for small files
-      const fileSizeGB = fileSizeBytes / (1024 * 1024 * 1024);
-      
-      // Convert file size to milliether format for contract interaction
-      // Ensure minimum size of 1 milliether for small files to match contract logic
-      const fileSizeWei = web3.utils.toBN(
-        Math.max(Math.ceil(fileSizeBytes / 1000), 1).toString()
-      );
-      
-      const sizeDisplay = fileSizeGB < 1 ? 
-        `${(fileSizeGB * 1024).toFixed(2)}MB` : 
-        `${fileSizeGB.toFixed(2)}GB`;
-      
-      if (fileSizeGB > answers.provider.storage) {
-        spinner.fail(`File size (${sizeDisplay}) exceeds provider's available storage (${answers.provider.storage}GB)`);
-        return;
+    // Handle file uploads
+    let failedUploads = 0;
+    for (let index = 0; index < journal.files.length; index++) {
+      const entry = journal.files[index];
+      if (entry.step === 'stored' && (!entry.object || entry.version)) {
+        continue;
       }
-      
-      // Upload to IPFS through provider's node
-      spinner.text = `Uploading file (${sizeDisplay}) to IPFS...`;
-      const result = await ipfs.add(encrypted);
-
-      // Track file storage in Supabase with exact file size
-      await trackFileStorage({
-        cid: result.path,
-        providerId: answers.provider.id,
-        clientAddress: walletAddress,
-        fileSize: fileSizeGB,
-        fileName: fileName,
-        salt: salt.toString()
-      });
-
-      // Register file storage in contract using Wei format
-      spinner.text = 'Registering file in smart contract...';
-      await storageContract.methods.storeFile(
-        answers.provider.address,
-        result.path,
-        fileSizeWei
-      ).send({ from: walletAddress });
-
-      spinner.succeed('File uploaded and registered successfully!');
-      console.log(chalk.green(`\nFile CID: ${result.path}`));
-      console.log(chalk.yellow('Store this CID safely for future retrieval!'));
-      console.log(chalk.blue(`Provider Address: ${answers.provider.address}`));
+      try {
+        if (entry.step !== 'stored') {
+          if (sharded) {
+            await uploadShardedFileStep(journal, index, context);
+          } else {
+            await uploadFileStep(journal, index, context);
+          }
+        }
+        if (entry.object) {
+          await recordVersionStep(journal, index, context);
+        }
+      } catch (error) {
+        failedUploads++;
+        spinner.fail(`Upload failed: ${journal.files[index].filePath}`);
+        console.error(chalk.red('Error:', error.message));
+      }
+    }
 
-    } catch (error) {
-      spinner.fail('Upload failed');
-      console.error(chalk.red('Error:', error.message));
+    if (failedUploads < journal.files.length) {
+      // Files written with `put` are found again by their bucket path
+      if (journal.files.some(file => !file.object)) {
+        console.log(chalk.yellow('\nStore these CIDs safely for future retrieval!'));
+      }
+      if (!sharded) {
+        console.log(chalk.blue(`Provider Address: ${journal.provider.address}`));
+      }
+    }
+    if (failedUploads > 0) {
+      console.log(chalk.yellow(`\nUpload ${journal.id} is incomplete. Run \`upload --resume ${journal.id}\` to finish it or \`uploads rollback ${journal.id}\` to undo it.`));
+      process.exitCode = 1;
+    } else {
+      removeUploadJournal(journal.id);
     }
 
   } catch (error) {
     console.error(chalk.red('Error:', error.message));
+    process.exitCode = 1;
+  } finally {
+    if (provider) {
+      provider.engine.stop();
+    }
   }
-}
\ No newline at end of file
+}
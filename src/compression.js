@@ -0,0 +1,133 @@
+import zlib from 'zlib';
+import path from 'path';
+import { promises as fs, createReadStream } from 'fs';
+import { pipeline as streamPipeline } from 'stream/promises';
+
+// Files are compressed before encryption, since ciphertext does not
+// compress. The algorithm is recorded with the file metadata; null means the
+// file was stored uncompressed.
+export const ALGORITHMS = ['zstd', 'brotli', 'gzip'];
+
+// zstd is built into zlib from Node.js 22.15
+export const isSupported = (algorithm) => algorithm === 'zstd'
+  ? typeof zlib.createZstdCompress === 'function'
+  : ALGORITHMS.includes(algorithm);
+
+// zstd needs a newer Node.js than the rest of the CLI; say so instead of
+// failing with "zlib.createZstdCompress is not a function"
+const requireZstd = (action) => {
+  if (!isSupported('zstd')) {
+    throw new Error(`${action} needs zstd, which is only built into Node.js 22.15 or newer (running ${process.version})`);
+  }
+};
+
+export const defaultAlgorithm = () => (isSupported('zstd') ? 'zstd' : 'gzip');
+
+// Resolve the --compress option: true picks the default algorithm, a name is
+// checked, and false or undefined disables compression
+export const resolveAlgorithm = (option) => {
+  if (option === undefined || option === false) {
+    return null;
+  }
+  const algorithm = option === true ? defaultAlgorithm() : String(option).toLowerCase();
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown compression algorithm "${option}". Use one of: ${ALGORITHMS.join(', ')}`);
+  }
+  if (algorithm === 'zstd') {
+    requireZstd('zstd compression');
+  }
+  return algorithm;
+};
+
+export const createCompressStream = (algorithm) => {
+  switch (algorithm) {
+    case 'zstd':
+      requireZstd('Compressing with zstd');
+      return zlib.createZstdCompress();
+    case 'brotli':
+      // The default quality (11) is far too slow for large uploads
+      return zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } });
+    case 'gzip':
+      return zlib.createGzip();
+    default:
+      throw new Error(`Unknown compression algorithm "${algorithm}"`);
+  }
+};
+
+export const createDecompressStream = (algorithm) => {
+  switch (algorithm) {
+    case 'zstd':
+      requireZstd('This file was compressed with zstd; downloading it');
+      return zlib.createZstdDecompress();
+    case 'brotli':
+      return zlib.createBrotliDecompress();
+    case 'gzip':
+      return zlib.createGunzip();
+    default:
+      throw new Error(`Unknown compression algorithm "${algorithm}"`);
+  }
+};
+
+// Formats that are already compressed and would only grow
+const COMPRESSED_EXTENSIONS = new Set([
+  '.7z', '.apk', '.avi', '.avif', '.br', '.bz2', '.docx', '.epub', '.flac', '.gif', '.gz',
+  '.heic', '.jar', '.jpeg', '.jpg', '.lz', '.lz4', '.lzma', '.m4a', '.mkv', '.mov', '.mp3',
+  '.mp4', '.odt', '.ogg', '.opus', '.png', '.pptx', '.rar', '.tgz', '.webm', '.webp',
+  '.woff', '.woff2', '.xlsx', '.xz', '.zip', '.zst'
+]);
+
+const COMPRESSED_SIGNATURES = [
+  [0, Buffer.from([0x1f, 0x8b])], // gzip
+  [0, Buffer.from('PK\x03\x04', 'latin1')], // zip and zip-based documents
+  [0, Buffer.from([0x28, 0xb5, 0x2f, 0xfd])], // zstd
+  [0, Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00])], // xz
+  [0, Buffer.from('BZh', 'latin1')], // bzip2
+  [0, Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])], // 7z
+  [0, Buffer.from('Rar!', 'latin1')], // rar
+  [0, Buffer.from([0x89, 0x50, 0x4e, 0x47])], // png
+  [0, Buffer.from([0xff, 0xd8, 0xff])], // jpeg
+  [0, Buffer.from('GIF8', 'latin1')], // gif
+  [8, Buffer.from('WEBP', 'latin1')], // webp
+  [4, Buffer.from('ftyp', 'latin1')], // mp4, mov, heic
+  [0, Buffer.from('OggS', 'latin1')], // ogg
+  [0, Buffer.from('ID3', 'latin1')] // mp3
+];
+
+// Decide whether compressing this file is worthwhile, from its extension and
+// first bytes
+export const isCompressible = async (filePath) => {
+  if (COMPRESSED_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    return false;
+  }
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(16), 0, 16, 0);
+    const head = buffer.subarray(0, bytesRead);
+    return !COMPRESSED_SIGNATURES.some(([offset, signature]) =>
+      head.length >= offset + signature.length && head.subarray(offset, offset + signature.length).equals(signature)
+    );
+  } finally {
+    await handle.close();
+  }
+};
+
+// The algorithm to use for one file, or null to store it as is
+export const compressionFor = async (filePath, algorithm) => (
+  algorithm && await isCompressible(filePath) ? algorithm : null
+);
+
+// Size of the file after compression, without writing it anywhere. The same
+// settings always give the same output, so this is what will be stored.
+export const compressedSize = async (filePath, algorithm) => {
+  let size = 0;
+  await streamPipeline(
+    createReadStream(filePath),
+    createCompressStream(algorithm),
+    async function (source) {
+      for await (const chunk of source) {
+        size += chunk.length;
+      }
+    }
+  );
+  return size;
+};
@@ -0,0 +1,93 @@
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  isSupported,
+  defaultAlgorithm,
+  resolveAlgorithm,
+  createCompressStream,
+  createDecompressStream,
+  isCompressible,
+  compressionFor,
+  compressedSize
+} from './compression.js';
+
+const zstd = typeof zlib.createZstdCompress === 'function';
+const text = Buffer.from('timestamp=2024-01-01 level=info message="request served"\n'.repeat(2000));
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const compress = (algorithm, data) => collect(Readable.from([data]).pipe(createCompressStream(algorithm)));
+const decompress = (algorithm, data) => collect(Readable.from([data]).pipe(createDecompressStream(algorithm)));
+
+describe('resolveAlgorithm', () => {
+  it('picks the default for a bare --compress and nothing without it', () => {
+    expect(resolveAlgorithm(true)).toBe(defaultAlgorithm());
+    expect(defaultAlgorithm()).toBe(zstd ? 'zstd' : 'gzip');
+    expect(resolveAlgorithm(undefined)).toBeNull();
+    expect(resolveAlgorithm(false)).toBeNull();
+  });
+
+  it('accepts names in any case and rejects unknown ones', () => {
+    expect(resolveAlgorithm('Brotli')).toBe('brotli');
+    expect(() => resolveAlgorithm('lzma')).toThrow(/Unknown compression algorithm/);
+  });
+});
+
+describe('compression streams', () => {
+  it.each(['gzip', 'brotli', ...(zstd ? ['zstd'] : [])])('round-trips %s', async (algorithm) => {
+    const compressed = await compress(algorithm, text);
+    expect(compressed.length).toBeLessThan(text.length / 10);
+    expect((await decompress(algorithm, compressed)).equals(text)).toBe(true);
+  });
+
+  it.runIf(!zstd)('explains that zstd needs a newer Node.js', () => {
+    expect(isSupported('zstd')).toBe(false);
+    expect(() => resolveAlgorithm('zstd')).toThrow(/Node\.js 22\.15/);
+    expect(() => createCompressStream('zstd')).toThrow(/Node\.js 22\.15/);
+    expect(() => createDecompressStream('zstd')).toThrow(/Node\.js 22\.15/);
+  });
+});
+
+describe('compressible files', () => {
+  let workDir;
+
+  const write = async (name, data) => {
+    const filePath = path.join(workDir, name);
+    await fs.writeFile(filePath, data);
+    return filePath;
+  };
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'depin-compression-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('skips compressed formats by extension and by content', async () => {
+    expect(await isCompressible(await write('server.log', text))).toBe(true);
+    expect(await isCompressible(await write('photo.JPG', text))).toBe(false);
+    expect(await isCompressible(await write('archive.bin', zlib.gzipSync(text)))).toBe(false);
+    expect(await compressionFor(await write('notes.txt', text), 'gzip')).toBe('gzip');
+    expect(await compressionFor(await write('notes.txt', text), null)).toBeNull();
+  });
+
+  it('measures exactly what will be stored', async () => {
+    const filePath = await write('dump.json', text);
+    const compressedPath = path.join(workDir, 'dump.json.gz');
+    await pipeline(createReadStream(filePath), createCompressStream('gzip'), createWriteStream(compressedPath));
+    expect(await compressedSize(filePath, 'gzip')).toBe((await fs.stat(compressedPath)).size);
+  });
+});
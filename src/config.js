@@ -0,0 +1,44 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Per-user configuration directory, shared by every working directory
+const getConfigDir = () => {
+  if (process.env.DEPIN_CONFIG_DIR) {
+    return process.env.DEPIN_CONFIG_DIR;
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'depin-storage');
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'depin-storage');
+};
+
+export const CONFIG_DIR = getConfigDir();
+
+// Resolve a path inside the config directory, creating its parent directories
+export const configPath = (...segments) => {
+  const target = path.join(CONFIG_DIR, ...segments);
+  fs.mkdirSync(path.dirname(target), { recursive: true, mode: 0o700 });
+  return target;
+};
+
+// Resolve a directory inside the config directory, creating it if needed
+export const configDir = (...segments) => {
+  const target = path.join(CONFIG_DIR, ...segments);
+  fs.mkdirSync(target, { recursive: true, mode: 0o700 });
+  return target;
+};
+
+// User settings from config.json in the config directory. A missing file
+// means defaults; a malformed one is an error rather than silently ignored.
+export const loadConfig = () => {
+  const file = path.join(CONFIG_DIR, 'config.json');
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+};
@@ -0,0 +1,272 @@
+import fs from 'fs';
+import http from 'http';
+import ora from 'ora';
+import chalk from 'chalk';
+import { performance } from 'perf_hooks';
+import Web3 from 'web3';
+import HDWalletProvider from '@truffle/hdwallet-provider';
+import * as IPFS from 'ipfs-http-client';
+import YAML from 'yaml';
+import { loadPrivateKey, resolveWalletName } from './keystore.js';
+import { pingSupabase } from './supabase.js';
+import { sleep } from './scheduler.js';
+import { createProviderMetrics, timed } from './metrics.js';
+import { resolvePricing, pricingProblems, describePricing, isValidPrice } from './pricing.js';
+import {
+  ensureIpfsDaemon,
+  registerProvider,
+  createProviderScheduler,
+  serveProvider,
+  shutdownSignal,
+  scheduleProblems,
+  DEFAULT_SCHEDULE
+} from './provider.js';
+
+// `provider run` drives a provider from a YAML file instead of prompts, so
+// it can run as a service:
+//
+//   wallet: provider-main        # wallet profile (default: the active one)
+//   storage: 500                 # whole GB to allocate
+//   price: 10                    # AAI per GB, or a policy instead:
+//   pricing:                     # see pricing.js
+//     policy: tiered
+//     price: 10
+//     tiers: [{ from: 80, price: 15 }]
+//   rpc: https://...             # BSC RPC endpoint
+//   ipfs:
+//     api: http://127.0.0.1:5001
+//     publicApiUrl: https://...  # read-only endpoint, as IPFS_PUBLIC_API_URL
+//     startDaemon: true          # start a local daemon if none is running
+//   schedule:
+//     heartbeat: 60              # seconds between heartbeats
+//     claim: 300                 # seconds between reward claims
+//     jitter: 0.1                # spread every delay by ±10%
+//   status:
+//     host: 127.0.0.1
+//     port: 9090                 # serve /healthz, /status and /metrics
+//
+// The keystore passphrase comes from DEPIN_KEYSTORE_PASSPHRASE. Startup is
+// retried with backoff until it succeeds, then the provider's tasks run
+// until SIGTERM or SIGINT.
+const BSC_TESTNET_RPC = 'https://data-seed-prebsc-1-s1.binance.org:8545/';
+const DEFAULTS = {
+  rpc: BSC_TESTNET_RPC,
+  ipfs: { api: 'http://127.0.0.1:5001', publicApiUrl: null, startDaemon: true },
+  status: null
+};
+const STATUS_DEFAULTS = { host: '127.0.0.1', port: 9090 };
+const STARTUP_RETRY_MIN = 5 * 1000;
+const STARTUP_RETRY_MAX = 5 * 60 * 1000;
+const CHECK_TIMEOUT = 5000;
+
+// Read and validate a provider config file, filling in defaults
+export const loadProviderConfig = (file) => {
+  let parsed;
+  try {
+    parsed = YAML.parse(fs.readFileSync(file, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+  const config = {
+    ...DEFAULTS,
+    ...parsed,
+    ipfs: { ...DEFAULTS.ipfs, ...parsed.ipfs },
+    schedule: { ...DEFAULT_SCHEDULE, ...parsed.schedule },
+    status: parsed.status ? { ...STATUS_DEFAULTS, ...parsed.status } : null
+  };
+
+  const problems = scheduleProblems(config.schedule);
+  // Allocations are whole GB; registerProvider would truncate a fraction
+  if (!Number.isInteger(config.storage) || config.storage < 1) {
+    problems.push('storage must be a whole number of GB, at least 1');
+  }
+  // `price` alone is a fixed price
+  if (parsed.pricing && parsed.price !== undefined) {
+    problems.push('set either price or pricing, not both');
+  } else if (parsed.pricing) {
+    config.pricing = resolvePricing(parsed.pricing);
+    problems.push(...pricingProblems(config.pricing));
+  } else if (!isValidPrice(config.price)) {
+    problems.push('price must be a positive number of AAI per GB with at most 18 decimals');
+  } else {
+    config.pricing = resolvePricing({ price: config.price });
+  }
+  if (config.status && !(Number.isInteger(config.status.port) && config.status.port > 0 && config.status.port < 65536)) {
+    problems.push('status.port must be a port number');
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid provider config ${file}: ${problems.join('; ')}`);
+  }
+  config.publicApiUrl = config.ipfs.publicApiUrl || process.env.IPFS_PUBLIC_API_URL || null;
+  return config;
+};
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms).unref())
+]);
+
+// Time one connectivity check, recording it in `histogram` if given
+const probe = async (check, histogram, labels) => {
+  const started = performance.now();
+  try {
+    const run = () => withTimeout(check(), CHECK_TIMEOUT);
+    await (histogram ? timed(histogram, labels, run) : run());
+    return { ok: true, latencyMs: Math.round(performance.now() - started) };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
+
+const checkConnectivity = async ({ ipfs, rpc, metrics }) => {
+  const [ipfsCheck, rpcCheck, supabaseCheck] = await Promise.all([
+    probe(() => ipfs.version()),
+    probe(() => rpc.eth.getBlockNumber(), metrics.rpcLatency, { operation: 'block_number' }),
+    probe(() => pingSupabase(), metrics.supabaseLatency, { operation: 'ping' })
+  ]);
+  return { ipfs: ipfsCheck, rpc: rpcCheck, supabase: supabaseCheck };
+};
+
+// Local HTTP endpoint for supervisors, load balancers and Prometheus.
+// /healthz answers 200 while the provider is running and can reach IPFS,
+// the RPC node and Supabase, and 503 otherwise; /status adds the provider's
+// details and the state of each periodic task; /metrics serves the metrics
+// from the last task runs without checking anything itself.
+const startStatusServer = ({ host, port }, daemon) => {
+  const server = http.createServer(async (request, response) => {
+    const send = (statusCode, body) => {
+      response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body, null, 2));
+    };
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (request.method !== 'GET' || !['/healthz', '/status', '/metrics'].includes(pathname)) {
+      send(404, { error: 'not found' });
+      return;
+    }
+    if (pathname === '/metrics') {
+      response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      response.end(daemon.metrics.render());
+      return;
+    }
+    try {
+      const checks = await checkConnectivity(daemon);
+      const healthy = daemon.state === 'running' && Object.values(checks).every(check => check.ok);
+      if (pathname === '/healthz') {
+        send(healthy ? 200 : 503, { status: healthy ? 'ok' : daemon.state === 'running' ? 'degraded' : daemon.state, checks });
+        return;
+      }
+      const { context, scheduler } = daemon;
+      send(200, {
+        state: daemon.state,
+        healthy,
+        startedAt: daemon.startedAt,
+        providerId: context?.providerId ?? null,
+        walletAddress: daemon.walletAddress,
+        storage: context ? { allocated: context.storage, ...context.usage } : null,
+        price: context?.price ?? null,
+        pricing: describePricing(daemon.config.pricing),
+        heartbeat: context ? {
+          state: context.heartbeatState,
+          last: new Date(context.lastHeartbeat).toISOString()
+        } : null,
+        lastStartupError: daemon.lastStartupError,
+        checks,
+        tasks: scheduler ? scheduler.status() : {}
+      });
+    } catch (error) {
+      send(500, { error: error.message });
+    }
+  });
+  server.listen(port, host, () => {
+    console.log(chalk.blue(`Status endpoint listening on http://${host}:${port} (/healthz, /status, /metrics)`));
+  });
+  server.on('error', (error) => {
+    console.error(chalk.red('Status endpoint error:', error.message));
+  });
+  return server;
+};
+
+// Run a provider without prompts from the config file at `file`
+export async function runProvider(file, options = {}) {
+  const config = loadProviderConfig(file);
+  const walletName = resolveWalletName(config.wallet || options.wallet);
+  const privateKey = await loadPrivateKey(walletName);
+  if (!privateKey) {
+    throw new Error(`Wallet "${walletName}" does not exist. Add it with "wallet add" first.`);
+  }
+
+  const signal = shutdownSignal();
+  const wallet = new HDWalletProvider(privateKey, config.rpc);
+  const web3 = new Web3(wallet);
+  const daemon = {
+    config,
+    state: 'starting',
+    startedAt: new Date().toISOString(),
+    walletAddress: null,
+    lastStartupError: null,
+    ipfs: IPFS.create({ url: config.ipfs.api }),
+    rpc: new Web3(config.rpc),
+    metrics: createProviderMetrics(),
+    context: null,
+    scheduler: null
+  };
+  const server = config.status ? startStatusServer(config.status, daemon) : null;
+  const spinner = ora('Starting DePIN Storage Provider...');
+
+  // IPFS, the RPC node or Supabase may not be up yet when a service starts,
+  // so startup is retried rather than given up on
+  let delay = STARTUP_RETRY_MIN;
+  while (!daemon.context && !signal.aborted) {
+    try {
+      if (config.ipfs.startDaemon) {
+        await ensureIpfsDaemon(spinner);
+      }
+      daemon.walletAddress = (await web3.eth.getAccounts())[0];
+      spinner.info(`Connected to BSC with address: ${daemon.walletAddress}`);
+      const registration = await registerProvider({
+        web3,
+        walletAddress: daemon.walletAddress,
+        ipfs: daemon.ipfs,
+        storage: config.storage,
+        pricing: config.pricing,
+        publicApiUrl: config.publicApiUrl,
+        spinner
+      });
+      daemon.context = {
+        ...registration,
+        ipfs: daemon.ipfs,
+        web3,
+        wallet,
+        walletAddress: daemon.walletAddress,
+        rpcUrl: config.rpc,
+        schedule: config.schedule,
+        metrics: daemon.metrics
+      };
+    } catch (error) {
+      daemon.lastStartupError = error.message;
+      spinner.fail(`Provider startup failed, retrying in ${Math.round(delay / 1000)}s`);
+      console.error(chalk.red('Error:', error.message));
+      await sleep(delay, signal);
+      delay = Math.min(delay * 2, STARTUP_RETRY_MAX);
+    }
+  }
+
+  if (!daemon.context) {
+    // Stopped before the provider was registered
+    server?.close();
+    wallet.engine.stop();
+    console.log(chalk.yellow('Provider stopped'));
+    process.exit(0);
+  }
+
+  daemon.scheduler = createProviderScheduler(daemon.context);
+  daemon.state = 'running';
+  daemon.lastStartupError = null;
+  console.log(chalk.green(`Provider ${daemon.context.providerId} is online: ${daemon.context.storage}GB at ${daemon.context.price} AAI per GB (${describePricing(config.pricing)})`));
+
+  signal.addEventListener('abort', () => {
+    daemon.state = 'stopping';
+    server?.close();
+  }, { once: true });
+  await serveProvider(daemon.context, daemon.scheduler, signal);
+}
@@ -0,0 +1,245 @@
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable, pipeline } from 'stream';
+import { pipeline as streamPipeline } from 'stream/promises';
+import { createEncryptStream, createDecryptStream, deriveFileKey, generateSalt } from './encryption.js';
+import { compressionFor, createCompressStream, createDecompressStream } from './compression.js';
+import { createDigestStream, writeVerified } from './integrity.js';
+import { fetchToCache, discardCached, createProgressBar, resolveLink } from './retrieval.js';
+
+// A directory upload is stored as one IPFS directory:
+//
+//   <root>/manifest        encrypted JSON listing every file
+//   <root>/files/000000    each file encrypted individually
+//
+// File names inside the DAG are just indexes so the tree structure and names
+// are only visible through the manifest.
+export const MANIFEST_VERSION = 1;
+const MANIFEST_NAME = 'manifest';
+
+export const manifestPath = (rootCid) => `${rootCid}/${MANIFEST_NAME}`;
+
+// List regular files under `root`, with POSIX relative paths. Symlinks and
+// other special files are skipped.
+export const walkDirectory = async (root) => {
+  const entries = [];
+  const visit = async (dir) => {
+    const children = await fs.readdir(dir, { withFileTypes: true });
+    for (const child of children) {
+      const absolutePath = path.join(dir, child.name);
+      if (child.isDirectory()) {
+        await visit(absolutePath);
+      } else if (child.isFile()) {
+        const { size } = await fs.stat(absolutePath);
+        entries.push({
+          absolutePath,
+          relativePath: path.relative(root, absolutePath).split(path.sep).join('/'),
+          size
+        });
+      }
+    }
+  };
+  await visit(root);
+  return entries.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+};
+
+const addEncrypted = async (ipfs, source, walletAddress, privateKey, compression = null) => {
+  const salt = generateSalt();
+  const key = await deriveFileKey(walletAddress, privateKey, salt);
+  let storedBytes = 0;
+  const digest = createDigestStream();
+  const encrypted = pipeline(
+    source,
+    digest,
+    ...(compression ? [createCompressStream(compression)] : []),
+    async function* (plaintext) {
+      for await (const chunk of plaintext) {
+        storedBytes += chunk.length;
+        yield chunk;
+      }
+    },
+    createEncryptStream({ key, salt }),
+    () => {}
+  );
+  const result = await ipfs.add(encrypted);
+  return { cid: result.cid.toString(), salt, storedBytes, sha256: digest.result().sha256 };
+};
+
+// Encrypt and add every file, then link them with the encrypted manifest
+// into a single pinned directory. Returns the root CID. With `compression`,
+// each file that is not already compressed is compressed first and the
+// algorithm is noted in its manifest entry. Each entry also records the
+// SHA-256 of the file, checked when it is restored.
+export const addEncryptedDirectory = async (ipfs, dirPath, { walletAddress, privateKey, compression = null, onProgress = () => {} }) => {
+  const entries = await walkDirectory(dirPath);
+  if (entries.length === 0) {
+    throw new Error(`Directory ${dirPath} contains no files`);
+  }
+
+  const files = [];
+  for (const [index, entry] of entries.entries()) {
+    onProgress(`Encrypting and uploading ${entry.relativePath} (${index + 1}/${entries.length})`);
+    const fileCompression = await compressionFor(entry.absolutePath, compression);
+    const { cid, storedBytes, sha256 } = await addEncrypted(
+      ipfs,
+      createReadStream(entry.absolutePath),
+      walletAddress,
+      privateKey,
+      fileCompression
+    );
+    files.push({
+      path: entry.relativePath,
+      size: entry.size,
+      sha256,
+      storedSize: storedBytes,
+      compression: fileCompression,
+      cid,
+      name: String(index).padStart(6, '0')
+    });
+  }
+
+  onProgress('Encrypting manifest...');
+  const manifest = {
+    version: MANIFEST_VERSION,
+    name: path.basename(path.resolve(dirPath)),
+    createdAt: new Date().toISOString(),
+    files
+  };
+  const { cid: manifestCid, salt: manifestSalt } = await addEncrypted(
+    ipfs,
+    Readable.from([Buffer.from(JSON.stringify(manifest))]),
+    walletAddress,
+    privateKey
+  );
+
+  // Assemble the directory in a scratch MFS folder to get its CID
+  onProgress('Linking files into a single directory...');
+  const scratch = `/.depin-upload-${crypto.randomUUID()}`;
+  try {
+    await ipfs.files.mkdir(`${scratch}/files`, { parents: true });
+    await ipfs.files.cp(`/ipfs/${manifestCid}`, `${scratch}/${MANIFEST_NAME}`);
+    for (const file of files) {
+      await ipfs.files.cp(`/ipfs/${file.cid}`, `${scratch}/files/${file.name}`);
+    }
+    const { cid } = await ipfs.files.stat(scratch);
+    await ipfs.pin.add(cid);
+    return {
+      cid: cid.toString(),
+      salt: manifestSalt,
+      sizeBytes: files.reduce((total, file) => total + file.size, 0),
+      storedBytes: files.reduce((total, file) => total + file.storedSize, 0),
+      fileCount: files.length
+    };
+  } finally {
+    await ipfs.files.rm(scratch, { recursive: true }).catch(() => {});
+  }
+};
+
+// Fetch one manifest entry into the download cache from `sources` (see
+// createSources), then decrypt it to `outputPath` (or only check it, when
+// `outputPath` is null) against the size and SHA-256 in the manifest
+const decryptToFile = async (sources, file, outputPath, getKey, { label, force, onMismatch, onProgress }) => {
+  let bar = null;
+  const cached = await fetchToCache(sources, file.cid, {
+    onProgress: (done, total) => {
+      bar = bar || createProgressBar(label, total, { onUpdate: onProgress });
+      bar(done);
+    },
+    onSourceError: (name, error) => onProgress(`${label}: ${name} failed (${error.message}), trying another source`)
+  });
+  try {
+    return await writeVerified(
+      createReadStream(cached),
+      [createDecryptStream(getKey), ...(file.compression ? [createDecompressStream(file.compression)] : [])],
+      outputPath,
+      { sha256: file.sha256, size: file.size },
+      { force, onMismatch: problems => onMismatch(file, problems) }
+    );
+  } finally {
+    await discardCached(file.cid);
+  }
+};
+
+// Fetch and decrypt the manifest of a directory upload. `getKey` resolves
+// file keys as for createDecryptStream: from the owner's wallet, or from a
+// share grant.
+export const readManifest = async (sources, rootCid, getKey) => {
+  const manifestCid = await resolveLink(sources, rootCid, MANIFEST_NAME);
+  const cached = await fetchToCache(sources, manifestCid);
+  const chunks = [];
+  try {
+    await streamPipeline(
+      createReadStream(cached),
+      createDecryptStream(getKey),
+      async function* (source) {
+        for await (const chunk of source) {
+          chunks.push(chunk);
+        }
+      }
+    );
+  } finally {
+    await discardCached(manifestCid);
+  }
+  const manifest = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${manifest.version}`);
+  }
+  return manifest;
+};
+
+// Resolve a manifest path under `outputDir`, refusing anything that would
+// escape it
+const safeJoin = (outputDir, relativePath) => {
+  const target = path.resolve(outputDir, ...relativePath.split('/'));
+  if (target !== path.resolve(outputDir) && !target.startsWith(path.resolve(outputDir) + path.sep)) {
+    throw new Error(`Refusing to write outside the output directory: ${relativePath}`);
+  }
+  return target;
+};
+
+// Restore the whole tree into `outputPath`, or only `options.path` (a file
+// or a sub-directory of the upload), fetching from `sources`. With a null
+// `outputPath` every file is decrypted and checked but nothing is written.
+// Files are only put in place once their checksum matches, unless `force`
+// is set.
+export const restoreDirectory = async (sources, manifest, outputPath, { getKey, path: selected, force = false, onMismatch = () => {}, onProgress = () => {} }) => {
+  let files = manifest.files;
+  let single = false;
+
+  if (selected) {
+    const prefix = selected.replace(/^\/+|\/+$/g, '');
+    const exact = files.find(file => file.path === prefix);
+    if (exact) {
+      files = [exact];
+      single = true;
+    } else {
+      files = files.filter(file => file.path.startsWith(`${prefix}/`));
+      if (files.length === 0) {
+        throw new Error(`Path ${selected} is not part of this upload`);
+      }
+    }
+  }
+
+  if (single) {
+    await decryptToFile(sources, files[0], outputPath, getKey, { label: files[0].path, force, onMismatch, onProgress });
+    return [outputPath];
+  }
+
+  const written = [];
+  for (const [index, file] of files.entries()) {
+    let target = null;
+    if (outputPath) {
+      target = safeJoin(outputPath, file.path);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+    }
+    await decryptToFile(sources, file, target, getKey, {
+      label: `${file.path} (${index + 1}/${files.length})`,
+      force,
+      onMismatch,
+      onProgress
+    });
+    written.push(target || file.path);
+  }
+  return written;
+};
@@ -1,14 +1,24 @@
 import inquirer from 'inquirer';
 import ora from 'ora';
 import chalk from 'chalk';
-import CryptoJS from 'crypto-js';
 import { create } from 'ipfs-http-client';
-import { promises as fs } from 'fs';
+import { promises as fs, createReadStream } from 'fs';
+import { Readable } from 'stream';
 import path from 'path';
+import os from 'os';
 import Web3 from 'web3';
 import HDWalletProvider from '@truffle/hdwallet-provider';
 import { loadPrivateKey, savePrivateKey } from './keystore.js';
+import { promptWalletCredentials } from './wallet.js';
 import { supabase } from './supabase.js';
+import { createDecryptStream, decryptLegacy } from './encryption.js';
+import { readManifest, restoreDirectory } from './directory.js';
+import { decodeShards } from './replication.js';
+import { createDecompressStream } from './compression.js';
+import { lookupProviderNode, connectToProvider } from './placement.js';
+import { resolveKeySource } from './sharing.js';
+import { writeVerified } from './integrity.js';
+import { fetchToCache, discardCached, createProgressBar, createSources, retrievalSettings } from './retrieval.js';
 
 // BSC Testnet configuration
 const BSC_TESTNET_RPC = 'https://data-seed-prebsc-1-s1.binance.org:8545/';
@@ -41,9 +51,9 @@ const STORAGE_CONTRACT_ABI = [
   }
 ];
 
-async function debugIPFSConnection() {
+async function debugIPFSConnection(url) {
   try {
-    const ipfs = create({ url: 'http://127.0.0.1:5001' });
+    const ipfs = create({ url });
     const isOnline = await ipfs.isOnline();
     console.log('IPFS Debug:', {
       isOnline,
@@ -57,62 +67,177 @@ async function debugIPFSConnection() {
   }
 }
 
-export async function downloadFile() {
+// Look up the provider holding the content, whose node is a retrieval
+// source of its own. With a local node, also dial the provider's node so the
+// local one fetches from there rather than waiting on the wider IPFS network.
+const connectToHolder = async (ipfs, idOrAddress, spinner) => {
+  let node = null;
+  try {
+    node = await lookupProviderNode(idOrAddress);
+    if (!ipfs || (node.peerId && await connectToProvider(ipfs, node))) {
+      return node;
+    }
+  } catch {
+    // Fall through to the warning
+  }
+  spinner.warn(ipfs
+    ? `Could not connect to provider ${idOrAddress}'s IPFS node, fetching through the IPFS network instead`
+    : `Could not look up provider ${idOrAddress}, fetching from gateways instead`);
+  spinner.start();
+  return node;
+};
+
+// Fetch a CID into the download cache with a progress bar on the spinner
+const fetchWithProgress = (sources, cid, label, spinner) => {
+  let bar = null;
+  return fetchToCache(sources, cid, {
+    onProgress: (done, total) => {
+      bar = bar || createProgressBar(label, total, { onUpdate: text => { spinner.text = text; } });
+      bar(done);
+    },
+    onSourceError: (name, error) => {
+      spinner.warn(`${label}: ${name} failed (${error.message}), trying another source`);
+      spinner.start();
+    }
+  });
+};
+
+// Fetch shards until enough are cached to rebuild the payload. Shards that
+// are unreachable or not registered on-chain to the file's owner are skipped.
+const fetchShards = async (ipfs, storageContract, shardMap, { walletAddress, fileOwner }, spinner) => {
+  const needed = shardMap.scheme.dataShards;
+  const fetched = {};
+  for (const shard of shardMap.shards) {
+    const count = Object.keys(fetched).length;
+    if (count >= needed) {
+      break;
+    }
+    spinner.text = `Fetching shard ${shard.index} from provider ${shard.providerId} (${count}/${needed})...`;
+    try {
+      const [, ownerAddress] = await storageContract.methods
+        .getFileDetails(shard.cid)
+        .call({ from: walletAddress });
+      if (!ownerAddress || ownerAddress.toLowerCase() !== fileOwner.toLowerCase()) {
+        throw new Error('shard is not registered to the file\'s owner');
+      }
+      const holder = await connectToHolder(ipfs, shard.providerId, spinner);
+      const sources = createSources({ ipfs, provider: holder });
+      fetched[shard.index] = await fetchWithProgress(sources, shard.cid, `Shard ${shard.index} (${count + 1}/${needed})`, spinner);
+    } catch (error) {
+      spinner.warn(`Shard ${shard.index} on provider ${shard.providerId} is unavailable: ${error.message}`);
+      spinner.start();
+    }
+  }
+  const count = Object.keys(fetched).length;
+  if (count < needed) {
+    throw new Error(`Only ${count} of the ${needed} shards needed to rebuild the file are available`);
+  }
+  return fetched;
+};
+
+// Rebuild a sharded upload from any k of its shards, then decrypt and check it
+const restoreShardedFile = async (ipfs, storageContract, shardMap, outputPath, { walletAddress, fileOwner, getKey, expected, verifyOptions, spinner }) => {
+  // Shards stay cached until the payload is rebuilt, so an interrupted
+  // download picks up where it stopped
+  const shards = await fetchShards(ipfs, storageContract, shardMap, { walletAddress, fileOwner }, spinner);
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'depin-shards-'));
+  try {
+    spinner.text = 'Rebuilding file from shards...';
+    const payloadPath = path.join(workDir, 'payload');
+    await decodeShards(shards, payloadPath);
+
+    spinner.text = 'Decrypting file...';
+    return await writeVerified(
+      createReadStream(payloadPath),
+      [createDecryptStream(getKey), ...(shardMap.compression ? [createDecompressStream(shardMap.compression)] : [])],
+      outputPath,
+      expected,
+      verifyOptions
+    );
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+    await Promise.all(shardMap.shards.map(shard => discardCached(shard.cid)));
+  }
+};
+
+const reportIntegrity = (result, spinner, verifyOnly) => {
+  if (!result.checked) {
+    spinner.info('No checksum was recorded for this upload, so its contents could not be verified');
+  } else if (verifyOnly && result.problems.length === 0) {
+    spinner.info(`${result.length} bytes, SHA-256 ${result.sha256}`);
+  }
+};
+
+const validateOutputPath = async (input) => {
+  try {
+    const normalizedPath = path.normalize(input);
+    const dir = path.dirname(normalizedPath);
+    await fs.access(dir);
+    return true;
+  } catch (error) {
+    return 'Invalid directory path or directory does not exist';
+  }
+};
+
+// Decrypt a stored file and check it against its recorded checksum without
+// saving it
+export const verifyFile = (cid, options = {}) => downloadFile(cid, { ...options, verifyOnly: true });
+
+// Download, decrypt and verify one stored file. Resolves to true once it has
+// been saved (or verified); failures are reported and resolve to false.
+// `options.privateKey` skips unlocking the wallet, for bulk downloads.
+export async function downloadFile(cid, options = {}) {
   let provider;
   let downloadDetails;
   const spinner = ora('Processing your request...').start();
 
   try {
-    // Get file details from user
-    downloadDetails = await inquirer.prompt([
+    // Get file details from user, prompting only for what was not passed in
+    const answers = await inquirer.prompt([
       {
         type: 'input',
         name: 'cid',
         message: 'Enter the CID of the file you want to download:',
-        validate: input => input && input.trim().length > 0 ? true : 'CID cannot be empty'
+        validate: input => input && input.trim().length > 0 ? true : 'CID cannot be empty',
+        when: () => !cid
       },
       {
         type: 'input',
         name: 'outputPath',
-        message: 'Enter the path where you want to save the file:',
-        validate: async (input) => {
-          try {
-            const normalizedPath = path.normalize(input);
-            const dir = path.dirname(normalizedPath);
-            await fs.access(dir);
-            return true;
-          } catch (error) {
-            return 'Invalid directory path or directory does not exist';
-          }
-        }
+        message: 'Enter the path where you want to save the file (or directory):',
+        validate: validateOutputPath,
+        when: () => !options.output && !options.verifyOnly
       }
     ]);
+    // Verifying decrypts and checks everything without writing it anywhere
+    downloadDetails = {
+      cid: (cid || answers.cid).trim(),
+      outputPath: options.verifyOnly ? null : options.output || answers.outputPath
+    };
+    if (!options.verifyOnly) {
+      const outputCheck = await validateOutputPath(downloadDetails.outputPath);
+      if (outputCheck !== true) {
+        throw new Error(outputCheck);
+      }
+    }
+
+    // Output is only put in place once its plaintext SHA-256 and length match
+    // what was recorded at upload, unless --force is given
+    const verifyOptions = {
+      force: Boolean(options.force),
+      onMismatch: problems => {
+        spinner.warn(`Integrity check failed (${problems.join('; ')}), keeping the output because of --force`);
+        spinner.start();
+      }
+    };
 
     // Get client wallet details
-    let privateKey = loadPrivateKey();
+    let privateKey = options.privateKey || await loadPrivateKey(options.wallet);
     
     if (!privateKey) {
-      const walletDetails = await inquirer.prompt([
-        {
-          type: 'password',
-          name: 'privateKey',
-          message: 'Enter your BSC wallet private key to verify file ownership:',
-          validate: input => {
-            if (!input) return 'Private key cannot be empty';
-            if (!(input.length === 64 || input.startsWith('0x'))) {
-              return 'Invalid private key format. Must be 64 characters or start with 0x';
-            }
-            return true;
-          }
-        }
-      ]);
-
-      if (!walletDetails || !walletDetails.privateKey) {
-        throw new Error('Wallet details not provided');
-      }
-
-      privateKey = walletDetails.privateKey;
-      savePrivateKey(privateKey);
+      const credentials = await promptWalletCredentials('How do you want to import the BSC wallet that owns this file?');
+      privateKey = credentials.privateKey;
+      await savePrivateKey(privateKey, options.wallet, credentials.details);
     }
 
     // Initialize Web3 with BSC testnet
@@ -137,20 +262,60 @@ export async function downloadFile() {
     if (dbError) {
       console.error('Database Error:', dbError);
       spinner.fail('Failed to verify file in database');
-      return;
+      return false;
     }
 
-    // Before IPFS operations, add connection check
-    const ipfs = await debugIPFSConnection();
-    if (!ipfs) {
-      spinner.fail('Failed to connect to IPFS node');
-      return;
+    // The owner decrypts with keys derived from its wallet; anyone else needs
+    // a share grant wrapped to their public key
+    const access = await resolveKeySource(dbCheck, walletAddress, privateKey);
+    if (!access) {
+      spinner.fail('You do not have permission to download this file. Only the owner, or wallets it was shared with, can download it.');
+      return false;
+    }
+    const fileOwner = dbCheck.client_address;
+    const expected = { sha256: dbCheck.plaintext_sha256, size: dbCheck.plaintext_size };
+    if (access.shared) {
+      spinner.info(`This file was shared with you by ${fileOwner}`);
+      spinner.start();
+    }
+
+    // The local IPFS node is used when it is running; without it content is
+    // fetched from the provider's node and the configured gateways
+    const settings = retrievalSettings();
+    const ipfs = settings.sources.includes('local') ? await debugIPFSConnection(settings.localApi) : null;
+    if (!ipfs && settings.sources.includes('local')) {
+      spinner.warn(`No IPFS node at ${settings.localApi}, fetching from the provider and gateways instead`);
+      spinner.start();
     }
 
     try {
       // Initialize storage contract
       const storageContract = new web3.eth.Contract(STORAGE_CONTRACT_ABI, STORAGE_CONTRACT_ADDRESS);
 
+      // Sharded uploads are identified by their shard map; ownership is
+      // checked for each shard as it is fetched
+      if (dbCheck.entry_type === 'sharded') {
+        if (options.path) {
+          throw new Error('--path can only be used with directory uploads');
+        }
+        const result = await restoreShardedFile(ipfs, storageContract, dbCheck.shard_map, downloadDetails.outputPath, {
+          walletAddress,
+          fileOwner,
+          getKey: access.getKey,
+          expected,
+          verifyOptions,
+          spinner
+        });
+        reportIntegrity(result, spinner, options.verifyOnly);
+        if (options.verifyOnly) {
+          spinner.succeed(result.checked ? 'File rebuilt from shards and verified' : 'File rebuilt from shards and decrypted');
+          return true;
+        }
+        spinner.succeed('File rebuilt from shards and decrypted successfully!');
+        console.log(chalk.green(`\nFile saved to: ${downloadDetails.outputPath}`));
+        return true;
+      }
+
       // Get file details from contract
       spinner.text = 'Verifying file ownership and size...';
       const fileDetails = await storageContract.methods
@@ -165,25 +330,28 @@ export async function downloadFile() {
       // Verify file exists and has valid details
       if (!fileDetails || !Array.isArray(fileDetails) || fileDetails.length !== 3) {
         spinner.fail('File not found or invalid file details. Please check if the CID is correct.');
-        return;
+        return false;
       }
 
       const [providerAddress, ownerAddress, fileSize] = fileDetails;
 
       if (!ownerAddress || ownerAddress === '0x0000000000000000000000000000000000000000') {
         spinner.fail('File not found or access denied. Please check if you are the owner of this file.');
-        return;
+        return false;
       }
 
       if (!providerAddress || providerAddress === '0x0000000000000000000000000000000000000000') {
         spinner.fail('Invalid file details. Provider information not found.');
-        return;
+        return false;
       }
 
-      // Verify ownership with case-insensitive comparison
-      if (ownerAddress.toLowerCase() !== walletAddress.toLowerCase()) {
-        spinner.fail('You do not have permission to download this file. Only the owner can download it.');
-        return;
+      // Verify ownership with case-insensitive comparison. Shared files must
+      // still be registered on-chain to the owner who granted access.
+      if (ownerAddress.toLowerCase() !== fileOwner.toLowerCase()) {
+        spinner.fail(access.shared
+          ? 'This file is no longer registered to the wallet that shared it.'
+          : 'You do not have permission to download this file. Only the owner can download it.');
+        return false;
       }
 
       // Get file size from database for accurate reporting
@@ -195,7 +363,7 @@ export async function downloadFile() {
 
       if (metadataError || !fileMetadata) {
         spinner.fail('Could not retrieve file metadata');
-        return;
+        return false;
       }
 
       // Display accurate file size from database
@@ -206,18 +374,10 @@ export async function downloadFile() {
     
       spinner.info(`File size: ${sizeDisplay}`);
       
-      // Connect to provider's IPFS node
-      spinner.text = 'Connecting to IPFS...';
-      const ipfs = create({ url: 'http://127.0.0.1:5001' });
-      console.log('IPFS node connection status:', ipfs.isOnline());
-
-      // Download encrypted file from IPFS
-      spinner.text = 'Downloading encrypted file from IPFS...';
-      const chunks = [];
-      for await (const chunk of ipfs.cat(downloadDetails.cid)) {
-        chunks.push(chunk);
-      }
-      const encryptedContent = Buffer.concat(chunks);
+      // Connect the local IPFS node to the provider's node
+      spinner.text = 'Connecting to provider\'s IPFS node...';
+      const holder = await connectToHolder(ipfs, providerAddress, spinner);
+      const sources = createSources({ ipfs, provider: holder });
 
       // Get encryption salt from database
       spinner.text = 'Retrieving encryption details...';
@@ -229,36 +389,71 @@ export async function downloadFile() {
 
       if (saltError || !fileData?.encryption_salt) {
         spinner.fail('Could not retrieve file encryption details');
-        return;
+        return false;
       }
 
-      // Generate decryption key
-      spinner.text = 'Decrypting file...';
-      const encryptionKey = CryptoJS.PBKDF2(walletAddress + privateKey, fileData.encryption_salt, {
-        keySize: 256/32,
-        iterations: 10000
-      });
-
-      // Convert the binary buffer to WordArray for CryptoJS
-      const encryptedWordArray = CryptoJS.lib.WordArray.create(encryptedContent);
-      const decrypted = CryptoJS.AES.decrypt(
-        { ciphertext: encryptedWordArray },
-        encryptionKey,
-        {
-          mode: CryptoJS.mode.CBC,
-          padding: CryptoJS.pad.Pkcs7
+      if (dbCheck.entry_type === 'directory') {
+        spinner.text = 'Decrypting directory manifest...';
+        const manifest = await readManifest(sources, downloadDetails.cid, access.getKey);
+        const written = await restoreDirectory(sources, manifest, downloadDetails.outputPath, {
+          getKey: access.getKey,
+          path: options.path,
+          force: verifyOptions.force,
+          onMismatch: (file, problems) => verifyOptions.onMismatch([`${file.path}: ${problems.join('; ')}`]),
+          onProgress: text => { spinner.text = text; }
+        });
+        if (manifest.files.some(file => !file.sha256)) {
+          spinner.info('Some files have no recorded checksum, so their contents could not be verified');
+        }
+        if (options.verifyOnly) {
+          spinner.succeed(`Verified ${written.length} file(s) from ${manifest.name}`);
+          return true;
         }
-      );
+        spinner.succeed(`Restored ${written.length} file(s) from ${manifest.name}`);
+        console.log(chalk.green(`\nSaved to: ${downloadDetails.outputPath}`));
+        return true;
+      }
+      if (options.path) {
+        throw new Error('--path can only be used with directory uploads');
+      }
 
-      // Convert decrypted data to Buffer maintaining binary integrity
-      const fileContent = Buffer.from(decrypted.toString(CryptoJS.enc.Base64), 'base64');
+      // Fetch the encrypted file into the download cache (resuming an
+      // earlier attempt), then stream it through decryption and
+      // decompression, if it was compressed, to a temporary file that is
+      // renamed into place once verified. The salt and KDF parameters come
+      // from the container header.
+      const cached = await fetchWithProgress(sources, downloadDetails.cid, 'Downloading', spinner);
+      spinner.text = 'Decrypting file...';
+      let result;
+      try {
+        result = await writeVerified(
+          createReadStream(cached),
+          [createDecryptStream(access.getKey), ...(dbCheck.compression ? [createDecompressStream(dbCheck.compression)] : [])],
+          downloadDetails.outputPath,
+          expected,
+          verifyOptions
+        );
+      } catch (error) {
+        if (error.code !== 'ERR_NOT_CONTAINER' || access.shared) {
+          throw error;
+        }
 
-      // Save file to specified location
-      spinner.text = 'Saving file...';
-      await fs.writeFile(downloadDetails.outputPath, fileContent);
+        // Uploads made before the container format are small CryptoJS strings
+        spinner.text = 'Decrypting file uploaded in the legacy format...';
+        const fileContent = decryptLegacy(await fs.readFile(cached), walletAddress, privateKey, fileData.encryption_salt);
+        result = await writeVerified(Readable.from([fileContent]), [], downloadDetails.outputPath, expected, verifyOptions);
+      } finally {
+        await discardCached(downloadDetails.cid);
+      }
 
+      reportIntegrity(result, spinner, options.verifyOnly);
+      if (options.verifyOnly) {
+        spinner.succeed(result.checked ? 'File decrypted and verified' : 'File decrypted');
+        return true;
+      }
       spinner.succeed('File downloaded and decrypted successfully!');
       console.log(chalk.green(`\nFile saved to: ${downloadDetails.outputPath}`));
+      return true;
 
     } catch (error) {
       spinner.fail('Error verifying file details');
@@ -272,6 +467,11 @@ export async function downloadFile() {
       stack: error.stack
     });
     spinner.fail(`Download failed: ${error.message}`);
+    if (error.code === 'ERR_INTEGRITY' && !options.verifyOnly) {
+      console.error(chalk.yellow('Nothing was saved. Pass --force to keep the output anyway.'));
+    }
+    process.exitCode = 1;
+    return false;
   } finally {
     if (provider) {
       provider.engine.stop();
@@ -0,0 +1,270 @@
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { promisify } from 'util';
+import CryptoJS from 'crypto-js';
+
+const pbkdf2Async = promisify(crypto.pbkdf2);
+
+// Container layout (all integers big-endian):
+//
+//   magic "DPSE" (4) | version (1) | chunk size (4) | PBKDF2 iterations (4) |
+//   salt (16) | nonce prefix (8)
+//
+// followed by AES-256-GCM frames of `chunk size` plaintext bytes, each
+// `ciphertext || tag (16)`. The last frame may be shorter (or empty) and is
+// the only one sealed with the "final" flag, so truncation is detected. The
+// header is authenticated as part of every frame.
+export const ENCRYPTION_FORMAT_VERSION = 1;
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+export const KEY_DERIVATION_ITERATIONS = 100000;
+
+const MAGIC = Buffer.from('DPSE');
+const SALT_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 8;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + 1 + 4 + 4 + SALT_LENGTH + NONCE_PREFIX_LENGTH;
+export const CONTAINER_HEADER_LENGTH = HEADER_LENGTH;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+// The header is read before anything is authenticated, so a crafted one
+// could otherwise keep PBKDF2 busy for hours
+const MAX_ITERATIONS = KEY_DERIVATION_ITERATIONS * 10;
+const MAX_CHUNKS = 2 ** 32;
+
+export class EncryptionFormatError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'EncryptionFormatError';
+    this.code = code;
+  }
+}
+
+export const generateSalt = () => crypto.randomBytes(SALT_LENGTH);
+
+// Size of the container for a plaintext of `size` bytes. There is always at
+// least one (final) frame, even for empty input.
+export const encryptedSize = (size, chunkSize = DEFAULT_CHUNK_SIZE) => {
+  const frames = size === 0 ? 1 : Math.ceil(size / chunkSize);
+  return HEADER_LENGTH + size + frames * TAG_LENGTH;
+};
+
+// Derive the file key from the wallet the same way uploads always have:
+// PBKDF2 over the wallet address and private key with a per-file salt
+export const deriveFileKey = (walletAddress, privateKey, salt, iterations = KEY_DERIVATION_ITERATIONS) =>
+  pbkdf2Async(walletAddress + privateKey, salt, iterations, 32, 'sha256');
+
+// `getKey` for createDecryptStream that derives keys from the owner's wallet
+export const walletKeySource = (walletAddress, privateKey) =>
+  ({ salt, iterations }) => deriveFileKey(walletAddress, privateKey, salt, iterations);
+
+const encodeHeader = ({ chunkSize, iterations, salt, noncePrefix }) => {
+  const header = Buffer.alloc(HEADER_LENGTH);
+  let offset = MAGIC.copy(header, 0);
+  offset = header.writeUInt8(ENCRYPTION_FORMAT_VERSION, offset);
+  offset = header.writeUInt32BE(chunkSize, offset);
+  offset = header.writeUInt32BE(iterations, offset);
+  offset += salt.copy(header, offset);
+  noncePrefix.copy(header, offset);
+  return header;
+};
+
+export const isEncryptedContainer = (buffer) =>
+  buffer.length >= MAGIC.length && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+
+const decodeHeader = (header) => {
+  if (!isEncryptedContainer(header)) {
+    throw new EncryptionFormatError('Content is not an encrypted DePIN storage container', 'ERR_NOT_CONTAINER');
+  }
+  let offset = MAGIC.length;
+  const version = header.readUInt8(offset);
+  offset += 1;
+  if (version !== ENCRYPTION_FORMAT_VERSION) {
+    throw new EncryptionFormatError(`Unsupported encryption format version ${version}`, 'ERR_UNSUPPORTED_VERSION');
+  }
+  const chunkSize = header.readUInt32BE(offset);
+  offset += 4;
+  const iterations = header.readUInt32BE(offset);
+  offset += 4;
+  if (chunkSize === 0 || chunkSize > MAX_CHUNK_SIZE || iterations === 0 || iterations > MAX_ITERATIONS) {
+    throw new EncryptionFormatError('Corrupt encryption header', 'ERR_CORRUPT_HEADER');
+  }
+  const salt = header.subarray(offset, offset + SALT_LENGTH);
+  offset += SALT_LENGTH;
+  const noncePrefix = header.subarray(offset, offset + NONCE_PREFIX_LENGTH);
+  return { version, chunkSize, iterations, salt, noncePrefix };
+};
+
+// Parse the header at the start of a container, read from an async iterable
+// of chunks such as ipfs.cat(cid, { length: CONTAINER_HEADER_LENGTH })
+export const readContainerHeader = async (source) => {
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of source) {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= HEADER_LENGTH) {
+      break;
+    }
+  }
+  const head = Buffer.concat(chunks);
+  if (head.length >= MAGIC.length && !isEncryptedContainer(head)) {
+    decodeHeader(head);
+  }
+  if (head.length < HEADER_LENGTH) {
+    throw new EncryptionFormatError('Encrypted content is truncated', 'ERR_TRUNCATED');
+  }
+  return decodeHeader(Buffer.from(head.subarray(0, HEADER_LENGTH)));
+};
+
+const frameNonce = (noncePrefix, index) => {
+  if (index >= MAX_CHUNKS) {
+    throw new EncryptionFormatError('File is too large for the encryption container', 'ERR_TOO_MANY_CHUNKS');
+  }
+  const nonce = Buffer.alloc(NONCE_PREFIX_LENGTH + 4);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_LENGTH);
+  return nonce;
+};
+
+const frameAAD = (header, final) => Buffer.concat([header, Buffer.from([final ? 1 : 0])]);
+
+const sealFrame = (key, header, noncePrefix, index, plaintext, final) => {
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, frameNonce(noncePrefix, index));
+  cipher.setAAD(frameAAD(header, final));
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+const openFrame = (key, header, noncePrefix, index, frame, final) => {
+  if (frame.length < TAG_LENGTH) {
+    throw new EncryptionFormatError('Encrypted content is truncated', 'ERR_TRUNCATED');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, frameNonce(noncePrefix, index));
+  decipher.setAAD(frameAAD(header, final));
+  decipher.setAuthTag(frame.subarray(frame.length - TAG_LENGTH));
+  try {
+    return Buffer.concat([decipher.update(frame.subarray(0, frame.length - TAG_LENGTH)), decipher.final()]);
+  } catch {
+    throw new EncryptionFormatError(
+      'Decryption failed: wrong key, or the content was modified or truncated',
+      'ERR_AUTHENTICATION'
+    );
+  }
+};
+
+// Transform plaintext into the chunked container
+export const createEncryptStream = ({ key, salt, iterations = KEY_DERIVATION_ITERATIONS, chunkSize = DEFAULT_CHUNK_SIZE }) => {
+  const noncePrefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+  const header = encodeHeader({ chunkSize, iterations, salt, noncePrefix });
+  let pending = Buffer.alloc(0);
+  let index = 0;
+  let headerSent = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        if (!headerSent) {
+          this.push(header);
+          headerSent = true;
+        }
+        pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+        // Only seal a full frame once more data is known to follow it
+        while (pending.length > chunkSize) {
+          this.push(sealFrame(key, header, noncePrefix, index++, pending.subarray(0, chunkSize), false));
+          pending = pending.subarray(chunkSize);
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        if (!headerSent) {
+          this.push(header);
+          headerSent = true;
+        }
+        this.push(sealFrame(key, header, noncePrefix, index++, pending, true));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+};
+
+// Transform the chunked container back into plaintext. `getKey` receives the
+// parsed header ({ salt, iterations }) and resolves to the file key.
+export const createDecryptStream = (getKey) => {
+  let pending = Buffer.alloc(0);
+  let header = null;
+  let params = null;
+  let key = null;
+  let index = 0;
+
+  const drain = (push, final) => {
+    const frameSize = params.chunkSize + TAG_LENGTH;
+    while (pending.length > frameSize) {
+      push(openFrame(key, header, params.noncePrefix, index++, pending.subarray(0, frameSize), false));
+      pending = pending.subarray(frameSize);
+    }
+    if (final) {
+      push(openFrame(key, header, params.noncePrefix, index++, pending, true));
+      pending = Buffer.alloc(0);
+    }
+  };
+
+  return new Transform({
+    async transform(chunk, encoding, callback) {
+      try {
+        pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+        if (!header) {
+          if (pending.length >= MAGIC.length && !isEncryptedContainer(pending)) {
+            decodeHeader(pending);
+          }
+          if (pending.length < HEADER_LENGTH) {
+            return callback();
+          }
+          header = Buffer.from(pending.subarray(0, HEADER_LENGTH));
+          params = decodeHeader(header);
+          key = await getKey(params);
+          pending = pending.subarray(HEADER_LENGTH);
+        }
+        drain(data => this.push(data), false);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        if (!header) {
+          throw new EncryptionFormatError('Encrypted content is truncated', 'ERR_TRUNCATED');
+        }
+        drain(data => this.push(data), true);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+};
+
+// Decrypt content uploaded before the container format existed: a base64
+// CryptoJS (OpenSSL-compatible) string whose passphrase is the hex PBKDF2 key.
+// Those uploads encrypted `file.toString()`, so only text files survive.
+export const decryptLegacy = (content, walletAddress, privateKey, saltHex) => {
+  const encryptionKey = CryptoJS.PBKDF2(walletAddress + privateKey, CryptoJS.enc.Hex.parse(saltHex), {
+    keySize: 256/32,
+    iterations: 10000
+  });
+  let plaintext = '';
+  try {
+    const decrypted = CryptoJS.AES.decrypt(content.toString('utf8'), encryptionKey.toString());
+    plaintext = decrypted.toString(CryptoJS.enc.Utf8);
+  } catch {
+    // Malformed UTF-8 means the key was wrong
+  }
+  if (!plaintext && content.length > 0) {
+    throw new EncryptionFormatError('Decryption failed: wrong key or corrupt legacy content', 'ERR_AUTHENTICATION');
+  }
+  return Buffer.from(plaintext, 'utf8');
+};
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createEncryptStream,
+  createDecryptStream,
+  readContainerHeader,
+  encryptedSize,
+  generateSalt,
+  CONTAINER_HEADER_LENGTH,
+  KEY_DERIVATION_ITERATIONS
+} from './encryption.js';
+
+const CHUNK_SIZE = 64;
+const TAG_LENGTH = 16;
+const ITERATIONS_OFFSET = 4 + 1 + 4;
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Feed `data` in pieces of `pieceSize` so frames straddle chunk boundaries
+const pieces = (data, pieceSize) => {
+  const parts = [];
+  for (let offset = 0; offset < data.length; offset += pieceSize) {
+    parts.push(data.subarray(offset, offset + pieceSize));
+  }
+  return Readable.from(parts);
+};
+
+const encrypt = (key, plaintext, pieceSize = 7) =>
+  collect(pieces(plaintext, pieceSize).pipe(createEncryptStream({ key, salt: generateSalt(), chunkSize: CHUNK_SIZE })));
+
+const decrypt = (key, container, pieceSize = 11) =>
+  collect(pieces(container, pieceSize).pipe(createDecryptStream(async () => key)));
+
+const frames = (container) => {
+  const body = container.subarray(CONTAINER_HEADER_LENGTH);
+  const frameSize = CHUNK_SIZE + TAG_LENGTH;
+  const result = [];
+  for (let offset = 0; offset < body.length; offset += frameSize) {
+    result.push(body.subarray(offset, offset + frameSize));
+  }
+  return result;
+};
+
+describe('encryption container', () => {
+  const key = crypto.randomBytes(32);
+
+  it.each([0, 1, CHUNK_SIZE - 1, CHUNK_SIZE, CHUNK_SIZE + 1, 3 * CHUNK_SIZE + 5])('round-trips %i bytes', async (size) => {
+    const plaintext = crypto.randomBytes(size);
+    const container = await encrypt(key, plaintext);
+    expect(container.length).toBe(encryptedSize(size, CHUNK_SIZE));
+    expect((await decrypt(key, container)).equals(plaintext)).toBe(true);
+  });
+
+  it('reads the header it wrote', async () => {
+    const container = await encrypt(key, crypto.randomBytes(10));
+    const header = await readContainerHeader(pieces(container, 5));
+    expect(header).toMatchObject({ version: 1, chunkSize: CHUNK_SIZE, iterations: KEY_DERIVATION_ITERATIONS });
+  });
+
+  it('rejects a wrong key', async () => {
+    const container = await encrypt(key, crypto.randomBytes(100));
+    await expect(decrypt(crypto.randomBytes(32), container)).rejects.toMatchObject({ code: 'ERR_AUTHENTICATION' });
+  });
+
+  it('detects a missing final frame', async () => {
+    const container = await encrypt(key, crypto.randomBytes(3 * CHUNK_SIZE + 5));
+    const truncated = container.subarray(0, container.length - (5 + TAG_LENGTH));
+    await expect(decrypt(key, truncated)).rejects.toMatchObject({ code: 'ERR_AUTHENTICATION' });
+  });
+
+  it('detects truncation at a frame boundary of a full last frame', async () => {
+    const container = await encrypt(key, crypto.randomBytes(2 * CHUNK_SIZE));
+    const truncated = container.subarray(0, CONTAINER_HEADER_LENGTH + CHUNK_SIZE + TAG_LENGTH);
+    await expect(decrypt(key, truncated)).rejects.toMatchObject({ code: 'ERR_AUTHENTICATION' });
+  });
+
+  it('detects a truncated header', async () => {
+    const container = await encrypt(key, crypto.randomBytes(10));
+    await expect(decrypt(key, container.subarray(0, CONTAINER_HEADER_LENGTH - 1))).rejects.toMatchObject({ code: 'ERR_TRUNCATED' });
+  });
+
+  it('detects reordered frames', async () => {
+    const container = await encrypt(key, crypto.randomBytes(3 * CHUNK_SIZE + 5));
+    const [first, second, ...rest] = frames(container);
+    const reordered = Buffer.concat([container.subarray(0, CONTAINER_HEADER_LENGTH), second, first, ...rest]);
+    await expect(decrypt(key, reordered)).rejects.toMatchObject({ code: 'ERR_AUTHENTICATION' });
+  });
+
+  it('detects a modified header', async () => {
+    const container = Buffer.from(await encrypt(key, crypto.randomBytes(100)));
+    container[CONTAINER_HEADER_LENGTH - 1] ^= 1;
+    await expect(decrypt(key, container)).rejects.toMatchObject({ code: 'ERR_AUTHENTICATION' });
+  });
+
+  it('refuses content that is not a container', async () => {
+    await expect(decrypt(key, Buffer.from('plain text, not encrypted at all'))).rejects.toMatchObject({ code: 'ERR_NOT_CONTAINER' });
+  });
+
+  it('refuses an iteration count far above the default before deriving a key', async () => {
+    const container = Buffer.from(await encrypt(key, crypto.randomBytes(10)));
+    container.writeUInt32BE(0xFFFFFFFF, ITERATIONS_OFFSET);
+    const getKey = vi.fn(async () => key);
+    await expect(collect(Readable.from([container]).pipe(createDecryptStream(getKey)))).rejects.toMatchObject({ code: 'ERR_CORRUPT_HEADER' });
+    expect(getKey).not.toHaveBeenCalled();
+  });
+});
@@ -1,10 +1,20 @@
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import figlet from 'figlet';
 import chalk from 'chalk';
 import * as dotenv from 'dotenv';
 import { startProvider } from './provider.js';
-import { startClient } from './client.js';
-import { downloadFile } from './download.js';
+import { runProvider } from './daemon.js';
+import { startClient, showPendingUploads, rollbackUpload } from './client.js';
+import { downloadFile, verifyFile } from './download.js';
+import { listFiles, downloadMatching, SORT_FIELDS } from './listing.js';
+import { showProviders, STRATEGIES } from './selection.js';
+import { challengeProviders, CHALLENGE_LEAVES, CHALLENGE_TIMEOUT } from './proofs.js';
+import { quoteUpload } from './quote.js';
+import { putObject, getObject, showVersions, restoreVersion } from './buckets.js';
+import { shareFile, unshareFile, showSharedWithMe, publishPublicKey } from './sharing.js';
+import { ALGORITHMS, defaultAlgorithm } from './compression.js';
+import { DEFAULT_DERIVATION_PATH } from './keystore.js';
+import { addWallet, showWallets, useWallet, removeWallet, exportWalletAddress } from './wallet.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -15,6 +25,24 @@ process.on('unhandledRejection', (error) => {
   process.exit(1);
 });
 
+// Storage is bought on-chain in whole GB, so fractions are refused before
+// anything is paid
+const parseStorage = (value) => {
+  const gb = Number(value);
+  if (!Number.isInteger(gb) || gb < 1) {
+    throw new InvalidArgumentError('Storage must be a whole number of GB, at least 1.');
+  }
+  return gb;
+};
+
+const parsePort = (value) => {
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new InvalidArgumentError('Port must be a whole number between 1 and 65535.');
+  }
+  return port;
+};
+
 const program = new Command();
 
 console.clear(); // Clear the console before displaying the banner
@@ -22,26 +50,55 @@ console.log(chalk.blue(figlet.textSync('DePIN Storage')));
 
 program
   .version('1.0.0')
-  .description('DePIN-based decentralized cloud storage system');
+  .description('DePIN-based decentralized cloud storage system')
+  .option('-w, --wallet <name>', 'Wallet profile to use (defaults to the active wallet)');
 
 program
   .command('start-mining')
   .description('Start provider mining mode')
-  .action(async () => {
+  .option('--metrics-port <port>', 'Serve Prometheus metrics on http://127.0.0.1:<port>/metrics', parsePort)
+  .action(async (options) => {
     try {
-      await startProvider();
+      await startProvider({ ...options, wallet: program.opts().wallet });
     } catch (error) {
       console.error(chalk.red('Error starting provider:', error.message));
       process.exit(1);
     }
   });
 
+const provider = program
+  .command('provider')
+  .description('Run a storage provider');
+
+provider
+  .command('run')
+  .description('Run a provider without prompts from a YAML config file, e.g. as a system service')
+  .requiredOption('-c, --config <file>', 'Provider config file (storage, price, wallet, IPFS and status endpoint settings)')
+  .action(async (options) => {
+    try {
+      await runProvider(options.config, { wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error running provider:', error.message));
+      process.exit(1);
+    }
+  });
+
 program
-  .command('upload')
-  .description('Upload a file as a client')
-  .action(async () => {
+  .command('upload [files...]')
+  .description('Upload one or more files or directories as a client')
+  .option('-p, --provider <id|address>', 'Storage provider ID or wallet address (comma-separated, one per shard, with --replicas/--erasure)')
+  .option('--select <strategy>', `Pick providers automatically (${STRATEGIES.join(', ')})`)
+  .option('-s, --storage <GB>', 'Amount of storage to purchase in whole GB', parseStorage)
+  .option('--auto-purchase', 'Purchase just enough storage for the files')
+  .option('-z, --compress [algorithm]', `Compress files before encryption (${ALGORITHMS.join(', ')}; default: ${defaultAlgorithm()})`)
+  .option('--replicas <N>', 'Store a full copy of each file with N different providers')
+  .option('--erasure <k/m>', 'Split each file into k data and m parity shards on k+m providers')
+  .option('--lease <days>', 'Have providers keep the files pinned for this many days (default: while they are tracked)')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--resume [id]', 'Finish an interrupted upload (the most recent one if no ID is given)')
+  .action(async (files, options) => {
     try {
-      await startClient();
+      await startClient(files, { ...options, wallet: program.opts().wallet });
     } catch (error) {
       console.error(chalk.red('Error starting client:', error.message));
       process.exit(1);
@@ -49,17 +106,317 @@ program
   });
 
 program
-  .command('download')
-  .description('Download a file from storage')
-  .action(async () => {
+  .command('download [cid]')
+  .description('Download a file or directory from storage')
+  .option('-o, --output <path>', 'Where to save the file, or the directory to restore into')
+  .option('--path <relative-path>', 'Restore only this file or sub-directory of a directory upload')
+  .option('--force', 'Keep the output even if it does not match the checksum recorded at upload')
+  .option('--all', 'Download every file stored by the wallet into the --output directory')
+  .option('--match <glob>', 'Download the stored files whose name matches a pattern into the --output directory')
+  .action(async (cid, options) => {
     try {
-      await downloadFile();
+      if (options.all || options.match) {
+        if (cid) {
+          throw new Error('Pass either a CID or --all/--match, not both');
+        }
+        await downloadMatching({ ...options, wallet: program.opts().wallet });
+        return;
+      }
+      await downloadFile(cid, { ...options, wallet: program.opts().wallet });
     } catch (error) {
       console.error(chalk.red('Error downloading file:', error.message));
       process.exit(1);
     }
   });
 
+program
+  .command('ls')
+  .description('List the files stored by the wallet with their on-chain and provider status')
+  .option('--sort <field>', `Sort by ${SORT_FIELDS.join(', ')} (default: date)`, 'date')
+  .option('-r, --reverse', 'Reverse the sort order')
+  .option('--name <glob>', 'Only files whose name matches a pattern, e.g. "*.pdf"')
+  .option('--larger-than <size>', 'Only files larger than a size, e.g. 10MB')
+  .option('--smaller-than <size>', 'Only files smaller than a size')
+  .option('--since <date>', 'Only files uploaded on or after a date')
+  .option('--before <date>', 'Only files uploaded before a date')
+  .option('-p, --provider <id|address>', 'Only files held by a provider')
+  .option('--no-chain', 'Skip the on-chain registration check')
+  .action(async (options) => {
+    try {
+      await listFiles({ ...options, wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error listing files:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('challenge [cids...]')
+  .description('Check that providers still hold the wallet\'s files by challenging them for random pieces with Merkle proofs')
+  .option('--leaves <count>', `Leaves to challenge per file (default: ${CHALLENGE_LEAVES})`)
+  .option('--sample <count>', 'Challenge only this many randomly chosen files per round')
+  .option('--timeout <minutes>', `Minutes a provider has to answer (default: ${CHALLENGE_TIMEOUT / 60000})`)
+  .option('--watch', 'Keep running as a verifier, challenging on an interval')
+  .option('--interval <minutes>', 'Minutes between rounds with --watch (default: 60)')
+  .action(async (cids, options) => {
+    try {
+      await challengeProviders(cids, { ...options, wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error challenging providers:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('verify <cid>')
+  .description('Download and decrypt a file to check it against its recorded checksum, without saving it')
+  .option('--path <relative-path>', 'Check only this file or sub-directory of a directory upload')
+  .action(async (cid, options) => {
+    try {
+      await verifyFile(cid, { ...options, wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error verifying file:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('put <file> <bucket/path>')
+  .description('Upload a file or directory to a bucket path, adding a new version if it exists')
+  .option('-p, --provider <id|address>', 'Storage provider ID or wallet address (comma-separated, one per shard, with --replicas/--erasure)')
+  .option('--select <strategy>', `Pick providers automatically (${STRATEGIES.join(', ')})`)
+  .option('-s, --storage <GB>', 'Amount of storage to purchase in whole GB', parseStorage)
+  .option('--auto-purchase', 'Purchase just enough storage for the file')
+  .option('-z, --compress [algorithm]', `Compress before encryption (${ALGORITHMS.join(', ')}; default: ${defaultAlgorithm()})`)
+  .option('--replicas <N>', 'Store a full copy with N different providers')
+  .option('--erasure <k/m>', 'Split into k data and m parity shards on k+m providers')
+  .option('--lease <days>', 'Have providers keep it pinned for this many days (default: while it is tracked)')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (file, key, options) => {
+    try {
+      await putObject(file, key, { ...options, wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error writing to bucket:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('get <bucket/path>')
+  .description('Download the current (or an older) version of a bucket path')
+  .option('-o, --output <path>', 'Where to save it (default: the file name in the current directory)')
+  .option('--at <version>', 'Version to download instead of the current one')
+  .option('--path <relative-path>', 'Restore only this file or sub-directory of a directory')
+  .option('--force', 'Keep the output even if it does not match the checksum recorded at upload')
+  .action(async (key, options) => {
+    try {
+      await getObject(key, { ...options, wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error reading from bucket:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('versions <bucket/path>')
+  .description('List the versions of a bucket path')
+  .action(async (key) => {
+    try {
+      await showVersions(key, { wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error listing versions:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('restore <bucket/path> <version>')
+  .description('Make an older version current again (recorded as a new version)')
+  .action(async (key, version) => {
+    try {
+      await restoreVersion(key, version, { wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error restoring version:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('share <cid> [address]')
+  .description('Let another wallet download a file, or list who it is shared with')
+  .option('--public-key <key>', 'Recipient\'s secp256k1 public key, if they have not published one')
+  .action(async (cid, address, options) => {
+    try {
+      await shareFile(cid, address, { ...options, wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error sharing file:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('unshare <cid> <address>')
+  .description('Stop sharing a file with a wallet')
+  .action(async (cid, address) => {
+    try {
+      await unshareFile(cid, address, { wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error unsharing file:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('shared-with-me')
+  .description('List files other wallets have shared with this wallet')
+  .action(async () => {
+    try {
+      await showSharedWithMe({ wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error listing shared files:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('quote <files...>')
+  .description('Estimate the AAI cost and gas of an upload without sending anything')
+  .option('-p, --provider <id|address>', 'Storage provider ID or wallet address')
+  .option('--select <strategy>', `Strategy used to pick a provider when --provider is not given (${STRATEGIES.join(', ')})`, 'cheapest')
+  .option('-s, --storage <GB>', 'Amount of storage to quote in whole GB (default: just enough for the files)', parseStorage)
+  .option('-z, --compress [algorithm]', 'Quote for compressed files, as upload --compress would store them')
+  .action(async (files, options) => {
+    try {
+      await quoteUpload(files, { ...options, wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error preparing quote:', error.message));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('providers')
+  .description('List active providers ranked by a selection strategy')
+  .option('--select <strategy>', `Strategy to rank by (${STRATEGIES.join(', ')})`, 'weighted')
+  .action(async (options) => {
+    try {
+      await showProviders(options);
+    } catch (error) {
+      console.error(chalk.red('Error listing providers:', error.message));
+      process.exit(1);
+    }
+  });
+
+const uploads = program
+  .command('uploads')
+  .description('Manage interrupted uploads');
+
+uploads
+  .command('pending')
+  .description('List uploads that did not finish')
+  .option('--all-wallets', 'Include uploads from every wallet')
+  .action((options) => {
+    try {
+      showPendingUploads({ ...options, wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error listing pending uploads:', error.message));
+      process.exit(1);
+    }
+  });
+
+uploads
+  .command('rollback <id>')
+  .description('Undo the off-chain steps of an interrupted upload')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (id, options) => {
+    try {
+      await rollbackUpload(id, options);
+    } catch (error) {
+      console.error(chalk.red('Error rolling back upload:', error.message));
+      process.exit(1);
+    }
+  });
+
+const wallet = program
+  .command('wallet')
+  .description('Manage wallet profiles');
+
+wallet
+  .command('add <name>')
+  .description('Add a wallet profile from a private key or mnemonic')
+  .option('-m, --mnemonic', 'Import from a BIP-39 mnemonic (seed phrase)')
+  .option('--derivation-path <path>', `HD derivation path without the account index (default: ${DEFAULT_DERIVATION_PATH})`)
+  .option('--account-index <index>', 'HD account index (default: 0)', value => parseInt(value, 10))
+  .action(async (name, options) => {
+    try {
+      await addWallet(name, options);
+    } catch (error) {
+      console.error(chalk.red('Error adding wallet:', error.message));
+      process.exit(1);
+    }
+  });
+
+wallet
+  .command('list')
+  .description('List wallet profiles')
+  .action(() => {
+    try {
+      showWallets();
+    } catch (error) {
+      console.error(chalk.red('Error listing wallets:', error.message));
+      process.exit(1);
+    }
+  });
+
+wallet
+  .command('use <name>')
+  .description('Set the default wallet profile')
+  .action((name) => {
+    try {
+      useWallet(name);
+    } catch (error) {
+      console.error(chalk.red('Error selecting wallet:', error.message));
+      process.exit(1);
+    }
+  });
+
+wallet
+  .command('remove <name>')
+  .description('Remove a wallet profile')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (name, options) => {
+    try {
+      await removeWallet(name, options);
+    } catch (error) {
+      console.error(chalk.red('Error removing wallet:', error.message));
+      process.exit(1);
+    }
+  });
+
+wallet
+  .command('export-address [name]')
+  .description('Print the address of a wallet profile')
+  .action((name) => {
+    try {
+      exportWalletAddress(name || program.opts().wallet);
+    } catch (error) {
+      console.error(chalk.red('Error exporting address:', error.message));
+      process.exit(1);
+    }
+  });
+
+wallet
+  .command('publish-key')
+  .description('Publish the wallet\'s public key so others can share files with it')
+  .action(async () => {
+    try {
+      await publishPublicKey({ wallet: program.opts().wallet });
+    } catch (error) {
+      console.error(chalk.red('Error publishing key:', error.message));
+      process.exit(1);
+    }
+  });
+
 program.parse(process.argv);
 
 // Show help if no arguments provided
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import path from 'path';
+import { promises as fs, createWriteStream } from 'fs';
+import { Transform, Writable } from 'stream';
+import { pipeline as streamPipeline } from 'stream/promises';
+
+// Uploads record the SHA-256 and length of the original plaintext (before
+// compression and encryption). Downloads hash what they decrypt and compare,
+// so a wrong key, a bad decompression or a truncated fetch is caught before
+// the output is put in place.
+export class IntegrityError extends Error {
+  constructor(problems) {
+    super(`Integrity check failed: ${problems.join('; ')}`);
+    this.name = 'IntegrityError';
+    this.code = 'ERR_INTEGRITY';
+    this.problems = problems;
+  }
+}
+
+// Pass-through stage that hashes and counts the bytes flowing through it.
+// `result()` is valid once the pipeline has finished.
+export const createDigestStream = () => {
+  const hash = crypto.createHash('sha256');
+  let length = 0;
+  let sha256 = null;
+  const stage = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      length += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  stage.result = () => {
+    sha256 = sha256 || hash.digest('hex');
+    return { sha256, length };
+  };
+  return stage;
+};
+
+// Files uploaded before checksums were recorded cannot be checked
+export const hasChecksum = (expected) => Boolean(expected && expected.sha256);
+
+// Differences between the recorded `expected` ({ sha256, size }) and the
+// digest of what was decrypted
+export const integrityProblems = (expected, actual) => {
+  const problems = [];
+  if (expected.size !== null && expected.size !== undefined && Number(expected.size) !== actual.length) {
+    problems.push(`got ${actual.length} bytes, expected ${expected.size}`);
+  }
+  if (expected.sha256 !== actual.sha256) {
+    problems.push(`SHA-256 is ${actual.sha256}, expected ${expected.sha256}`);
+  }
+  return problems;
+};
+
+// Run `source` through the plaintext `stages` into a temporary file beside
+// `outputPath`, and move it into place only if it matches `expected`. With
+// `force`, a mismatch is passed to `onMismatch` and the output is kept.
+// Without an output path nothing is written; the content is only checked.
+export const writeVerified = async (source, stages, outputPath, expected, { force = false, onMismatch = () => {} } = {}) => {
+  const digest = createDigestStream();
+  const temp = outputPath
+    ? path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.${crypto.randomUUID()}.partial`)
+    : null;
+  const sink = temp ? createWriteStream(temp) : new Writable({ write: (chunk, encoding, callback) => callback() });
+
+  try {
+    await streamPipeline(source, ...stages, digest, sink);
+    const actual = digest.result();
+    const checked = hasChecksum(expected);
+    const problems = checked ? integrityProblems(expected, actual) : [];
+    if (problems.length > 0) {
+      if (!force || !temp) {
+        throw new IntegrityError(problems);
+      }
+      onMismatch(problems);
+    }
+    if (temp) {
+      await fs.rename(temp, outputPath);
+    }
+    return { ...actual, checked, problems };
+  } finally {
+    if (temp) {
+      await fs.rm(temp, { force: true });
+    }
+  }
+};
@@ -0,0 +1,136 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { configDir } from './config.js';
+
+// Each upload gets a journal under the per-user config directory that records
+// every completed step, so an interrupted upload can be finished or rolled
+// back without purchasing storage again.
+//
+// File steps advance: pending -> added (CID known) -> tracked (Supabase row)
+// -> stored (registered on-chain). Transaction hashes are written as soon as
+// they are known, before the receipt arrives. Files uploaded with `put` carry
+// the bucket path they are written to, and get a version of it once stored.
+const JOURNAL_DIR = configDir('uploads');
+
+const journalFile = (id) => path.join(JOURNAL_DIR, `${id}.json`);
+
+const writeJournal = (journal) => {
+  journal.updatedAt = new Date().toISOString();
+  const target = journalFile(journal.id);
+  const temp = `${target}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(journal, null, 2), { mode: 0o600 });
+  fs.renameSync(temp, target);
+  return journal;
+};
+
+export const createUploadJournal = ({ walletAddress, provider, storage, files, leaseDays = null }) => writeJournal({
+  id: crypto.randomUUID(),
+  status: 'pending',
+  createdAt: new Date().toISOString(),
+  walletAddress,
+  leaseDays,
+  provider: { id: provider.id, address: provider.address, price: provider.price },
+  storage,
+  purchase: { approveTx: null, approved: false, purchaseTx: null, purchased: false },
+  files: files.map(file => ({
+    filePath: path.resolve(file.filePath),
+    fileName: path.basename(path.resolve(file.filePath)),
+    type: file.type || 'file',
+    compression: file.compression || null,
+    step: 'pending',
+    cid: null,
+    salt: null,
+    sizeBytes: null,
+    storedBytes: null,
+    sha256: null,
+    storeTx: null,
+    object: file.object || null,
+    version: null
+  }))
+});
+
+// Sharded uploads approve the total payment once, then purchase storage and
+// register one shard per provider. A file advances: pending -> encoded
+// (shard files written locally) -> added (shard map CID known) -> stored
+// (Supabase rows written, all shards on-chain).
+export const createShardedUploadJournal = ({ walletAddress, scheme, providers, files, leaseDays = null }) => writeJournal({
+  id: crypto.randomUUID(),
+  kind: 'sharded',
+  status: 'pending',
+  createdAt: new Date().toISOString(),
+  walletAddress,
+  leaseDays,
+  scheme,
+  providers: providers.map(provider => ({ id: provider.id, address: provider.address, price: provider.price })),
+  approval: { approveTx: null, approved: false },
+  files: files.map(file => ({
+    filePath: path.resolve(file.filePath),
+    fileName: path.basename(path.resolve(file.filePath)),
+    type: 'file',
+    compression: file.compression || null,
+    step: 'pending',
+    cid: null,
+    salt: null,
+    sizeBytes: null,
+    storedBytes: null,
+    sha256: null,
+    object: file.object || null,
+    version: null,
+    shards: providers.map((provider, index) => ({
+      index,
+      providerId: provider.id,
+      providerAddress: provider.address,
+      storage: file.shardStorage,
+      purchaseTx: null,
+      purchased: false,
+      step: 'pending',
+      cid: null,
+      storeTx: null
+    }))
+  }))
+});
+
+export const journalDir = (id, ...segments) => path.join(JOURNAL_DIR, id, ...segments);
+
+export const loadUploadJournal = (id) => {
+  if (!/^[0-9a-f-]+$/i.test(id) || !fs.existsSync(journalFile(id))) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(journalFile(id), 'utf8'));
+};
+
+// Merge `patch` into the journal (or into one of its files) and persist it
+export const recordPurchaseStep = (journal, patch) => {
+  Object.assign(journal.purchase, patch);
+  return writeJournal(journal);
+};
+
+export const recordFileStep = (journal, index, patch) => {
+  Object.assign(journal.files[index], patch);
+  return writeJournal(journal);
+};
+
+export const recordApprovalStep = (journal, patch) => {
+  Object.assign(journal.approval, patch);
+  return writeJournal(journal);
+};
+
+export const recordShardStep = (journal, fileIndex, shardIndex, patch) => {
+  Object.assign(journal.files[fileIndex].shards[shardIndex], patch);
+  return writeJournal(journal);
+};
+
+export const removeUploadJournal = (id) => {
+  if (fs.existsSync(journalFile(id))) {
+    fs.unlinkSync(journalFile(id));
+  }
+  fs.rmSync(journalDir(id), { recursive: true, force: true });
+};
+
+export const listPendingUploads = (walletAddress) => fs.readdirSync(JOURNAL_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => JSON.parse(fs.readFileSync(path.join(JOURNAL_DIR, file), 'utf8')))
+  .filter(journal => journal.status === 'pending')
+  .filter(journal => !walletAddress || journal.walletAddress.toLowerCase() === walletAddress.toLowerCase())
+  .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
@@ -1,44 +1,297 @@
 import fs from 'fs';
 import path from 'path';
 import CryptoJS from 'crypto-js';
+import inquirer from 'inquirer';
+import { Wallet, HDNodeWallet, Mnemonic, getAddress } from 'ethers';
+import { configDir, configPath } from './config.js';
 
-const KEYSTORE_FILE = path.join(process.cwd(), '.keystore');
-const ENCRYPTION_KEY = 'depin-storage-secure-key'; // In production, this should be an environment variable
+const LEGACY_KEYSTORE_FILE = path.join(process.cwd(), '.keystore');
+const WALLETS_INDEX_FILE = configPath('wallets.json');
+const WALLETS_DIR = configDir('wallets');
+const PASSPHRASE_ENV = 'DEPIN_KEYSTORE_PASSPHRASE';
+const DEFAULT_WALLET_NAME = 'default';
+const PASSPHRASE_ATTEMPTS = 3;
 
-export const savePrivateKey = (privateKey) => {
+export const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0";
+
+// Only used to read keystores written by older versions of the CLI
+const LEGACY_ENCRYPTION_KEY = 'depin-storage-secure-key';
+
+export class KeystorePassphraseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeystorePassphraseError';
+  }
+}
+
+const isLegacyKeystore = (contents) => !contents.trim().startsWith('{');
+
+const walletFile = (name) => path.join(WALLETS_DIR, `${name}.json`);
+
+export const validateWalletName = (name) => {
+  if (!name) return 'Wallet name cannot be empty';
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    return 'Wallet name may only contain letters, numbers, "-" and "_"';
+  }
+  return true;
+};
+
+const loadIndex = () => {
   try {
-    // Encrypt the private key before storing
-    const encrypted = CryptoJS.AES.encrypt(privateKey, ENCRYPTION_KEY).toString();
-    fs.writeFileSync(KEYSTORE_FILE, encrypted);
-    return true;
+    if (fs.existsSync(WALLETS_INDEX_FILE)) {
+      return JSON.parse(fs.readFileSync(WALLETS_INDEX_FILE, 'utf8'));
+    }
   } catch (error) {
-    console.error('Error saving private key:', error.message);
-    return false;
+    console.error('Error loading wallet index:', error.message);
+  }
+  return { default: null };
+};
+
+const saveIndex = (index) => {
+  fs.writeFileSync(WALLETS_INDEX_FILE, JSON.stringify(index, null, 2), { mode: 0o600 });
+};
+
+export const validatePrivateKey = (input) => {
+  if (!input) return 'Private key cannot be empty';
+  const key = input.trim();
+  if (!/^(0x)?[0-9a-fA-F]{64}$/.test(key)) {
+    return 'Invalid private key format. Must be 64 hex characters, optionally prefixed with 0x';
   }
+  try {
+    new Wallet(key.startsWith('0x') ? key : `0x${key}`);
+  } catch {
+    return 'Invalid private key. Value is outside the secp256k1 key range';
+  }
+  return true;
+};
+
+const normalizeMnemonic = (input) => input.trim().toLowerCase().split(/\s+/).join(' ');
+
+export const validateMnemonic = (input) => {
+  if (!input || !input.trim()) return 'Mnemonic cannot be empty';
+  const words = normalizeMnemonic(input).split(' ');
+  if (![12, 15, 18, 21, 24].includes(words.length)) {
+    return `Mnemonic must have 12, 15, 18, 21 or 24 words (got ${words.length})`;
+  }
+  if (!Mnemonic.isValidMnemonic(normalizeMnemonic(input))) {
+    return 'Invalid mnemonic. Check the spelling of each word';
+  }
+  return true;
+};
+
+export const validateDerivationPath = (input) => {
+  if (!/^m(\/\d+'?)+$/.test(input)) {
+    return `Invalid derivation path. Expected a form like ${DEFAULT_DERIVATION_PATH}`;
+  }
+  return true;
+};
+
+// Derive the account key for `${basePath}/${accountIndex}` from a BIP-39
+// mnemonic and optional BIP-39 passphrase
+export const deriveFromMnemonic = (mnemonic, { passphrase = '', basePath = DEFAULT_DERIVATION_PATH, accountIndex = 0 } = {}) => {
+  const derivationPath = `${basePath}/${accountIndex}`;
+  const wallet = HDNodeWallet.fromPhrase(normalizeMnemonic(mnemonic), passphrase, derivationPath);
+  return {
+    privateKey: wallet.privateKey,
+    address: wallet.address,
+    derivationPath
+  };
+};
+
+// Ask for the keystore passphrase unless it is provided through the environment
+const getPassphrase = async ({ confirm = false, name } = {}) => {
+  if (process.env[PASSPHRASE_ENV]) {
+    return process.env[PASSPHRASE_ENV];
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new Error(`Keystore passphrase required. Set ${PASSPHRASE_ENV} when running non-interactively.`);
+  }
+
+  const questions = [
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: confirm
+        ? `Choose a passphrase to protect wallet "${name}":`
+        : `Enter the passphrase for wallet "${name}":`,
+      validate: input => {
+        if (!input) return 'Passphrase cannot be empty';
+        if (confirm && input.length < 8) return 'Passphrase must be at least 8 characters';
+        return true;
+      }
+    }
+  ];
+
+  if (confirm) {
+    questions.push({
+      type: 'password',
+      name: 'confirmation',
+      message: 'Confirm passphrase:',
+      validate: (input, answers) => input === answers.passphrase ? true : 'Passphrases do not match'
+    });
+  }
+
+  const { passphrase } = await inquirer.prompt(questions);
+  return passphrase;
+};
+
+// Encrypt a private key into the Web3 Secret Storage (v3) JSON format.
+// The key format the user entered is kept in `x-depin` so that keys derived
+// from the raw string (file encryption keys) stay the same after a reload.
+// For mnemonic imports only the derived key and its path are stored, never
+// the phrase itself.
+const encryptKeystore = async (privateKey, passphrase, details = {}) => {
+  const prefixed = privateKey.startsWith('0x');
+  const wallet = new Wallet(prefixed ? privateKey : `0x${privateKey}`);
+  const keystore = JSON.parse(await wallet.encrypt(passphrase));
+  keystore['x-depin'] = { keyFormat: prefixed ? 'prefixed' : 'raw', ...details };
+  return JSON.stringify(keystore, null, 2);
 };
 
-export const loadPrivateKey = () => {
+const decryptKeystore = async (contents, passphrase) => {
+  let wallet;
   try {
-    if (!fs.existsSync(KEYSTORE_FILE)) {
-      return null;
+    wallet = await Wallet.fromEncryptedJson(contents, passphrase);
+  } catch (error) {
+    if (error.code === 'INVALID_ARGUMENT' && error.argument === 'password') {
+      throw new KeystorePassphraseError('Incorrect keystore passphrase');
     }
-    const encrypted = fs.readFileSync(KEYSTORE_FILE, 'utf8');
-    const decrypted = CryptoJS.AES.decrypt(encrypted, ENCRYPTION_KEY);
-    return decrypted.toString(CryptoJS.enc.Utf8);
+    throw error;
+  }
+
+  const { keyFormat } = JSON.parse(contents)['x-depin'] || {};
+  return keyFormat === 'raw' ? wallet.privateKey.slice(2) : wallet.privateKey;
+};
+
+const writeWallet = (name, keystore) => {
+  fs.writeFileSync(walletFile(name), keystore, { mode: 0o600 });
+  const index = loadIndex();
+  if (!index.default) {
+    index.default = name;
+    saveIndex(index);
+  }
+};
+
+// Move a `.keystore` from the working directory into the per-user wallet
+// store. Files written with the old hard-coded key are re-encrypted.
+const migrateLegacyKeystore = async () => {
+  if (!fs.existsSync(LEGACY_KEYSTORE_FILE) || listWallets().length > 0) {
+    return;
+  }
+
+  const contents = fs.readFileSync(LEGACY_KEYSTORE_FILE, 'utf8');
+  if (!contents.trim()) {
+    return;
+  }
+
+  if (isLegacyKeystore(contents)) {
+    const privateKey = CryptoJS.AES.decrypt(contents.trim(), LEGACY_ENCRYPTION_KEY).toString(CryptoJS.enc.Utf8);
+    if (!privateKey) {
+      throw new Error('Could not read legacy keystore');
+    }
+    console.log('Your stored private key uses the old keystore format and will be re-encrypted with a passphrase.');
+    const passphrase = await getPassphrase({ confirm: true, name: DEFAULT_WALLET_NAME });
+    writeWallet(DEFAULT_WALLET_NAME, await encryptKeystore(privateKey, passphrase));
+  } else {
+    writeWallet(DEFAULT_WALLET_NAME, contents);
+  }
+
+  fs.unlinkSync(LEGACY_KEYSTORE_FILE);
+  console.log(`Keystore migrated to wallet "${DEFAULT_WALLET_NAME}".`);
+};
+
+export const listWallets = () => {
+  const { default: defaultName } = loadIndex();
+  return fs.readdirSync(WALLETS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const name = path.basename(file, '.json');
+      const keystore = JSON.parse(fs.readFileSync(walletFile(name), 'utf8'));
+      const { source = 'private-key', derivationPath = null } = keystore['x-depin'] || {};
+      return {
+        name,
+        address: getAddress(`0x${keystore.address.replace(/^0x/, '')}`),
+        source,
+        derivationPath,
+        isDefault: name === defaultName
+      };
+    });
+};
+
+export const walletExists = (name) => fs.existsSync(walletFile(name));
+
+// Resolve the wallet a command should use: explicit name, then the default
+export const resolveWalletName = (name) => name || loadIndex().default || DEFAULT_WALLET_NAME;
+
+export const setDefaultWallet = (name) => {
+  if (!walletExists(name)) {
+    throw new Error(`Wallet "${name}" does not exist`);
+  }
+  saveIndex({ ...loadIndex(), default: name });
+};
+
+export const getWalletAddress = (name) => {
+  const walletName = resolveWalletName(name);
+  const wallet = listWallets().find(entry => entry.name === walletName);
+  if (!wallet) {
+    throw new Error(`Wallet "${walletName}" does not exist`);
+  }
+  return wallet.address;
+};
+
+export const savePrivateKey = async (privateKey, name, details = {}) => {
+  try {
+    const walletName = resolveWalletName(name);
+    const passphrase = await getPassphrase({ confirm: true, name: walletName });
+    writeWallet(walletName, await encryptKeystore(privateKey, passphrase, details));
+    return true;
   } catch (error) {
-    console.error('Error loading private key:', error.message);
+    console.error('Error saving private key:', error.message);
+    return false;
+  }
+};
+
+// The wallet's private key, or null when there is no such wallet. A wrong
+// passphrase typed at the prompt is asked for again; one that still fails,
+// or a wrong DEPIN_KEYSTORE_PASSPHRASE, throws KeystorePassphraseError.
+export const loadPrivateKey = async (name) => {
+  await migrateLegacyKeystore();
+
+  const walletName = resolveWalletName(name);
+  if (!walletExists(walletName)) {
     return null;
   }
+
+  const contents = fs.readFileSync(walletFile(walletName), 'utf8');
+  for (let attempt = 1; ; attempt++) {
+    const passphrase = await getPassphrase({ name: walletName });
+    try {
+      return await decryptKeystore(contents, passphrase);
+    } catch (error) {
+      const prompted = !process.env[PASSPHRASE_ENV];
+      if (!(error instanceof KeystorePassphraseError) || !prompted || attempt >= PASSPHRASE_ATTEMPTS) {
+        throw error;
+      }
+      console.error('Incorrect passphrase, try again.');
+    }
+  }
 };
 
-export const clearPrivateKey = () => {
+export const clearPrivateKey = (name) => {
   try {
-    if (fs.existsSync(KEYSTORE_FILE)) {
-      fs.unlinkSync(KEYSTORE_FILE);
+    const walletName = resolveWalletName(name);
+    if (fs.existsSync(walletFile(walletName))) {
+      fs.unlinkSync(walletFile(walletName));
+    }
+    const index = loadIndex();
+    if (index.default === walletName) {
+      const [next] = listWallets();
+      saveIndex({ ...index, default: next ? next.name : null });
     }
     return true;
   } catch (error) {
     console.error('Error clearing private key:', error.message);
     return false;
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,356 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import path from 'path';
+import { promises as fs } from 'fs';
+import Web3 from 'web3';
+import { getAddress } from 'ethers';
+import { getWalletAddress, loadPrivateKey } from './keystore.js';
+import { getClientFiles, getProvidersById, PROVIDER_ACTIVE_WINDOW } from './supabase.js';
+import { downloadFile } from './download.js';
+import { latestChallenges } from './proofs.js';
+
+// BSC Testnet configuration
+const BSC_TESTNET_RPC = 'https://data-seed-prebsc-1-s1.binance.org:8545/';
+const STORAGE_CONTRACT_ADDRESS = '0xD87FC38Eab64Ddde4dED5D1c020Ea5EF1a69f412';
+const STORAGE_CONTRACT_ABI = [
+  {
+    "inputs": [{ "name": "_cid", "type": "string" }],
+    "name": "getFileDetails",
+    "outputs": [
+      { "name": "provider", "type": "address" },
+      { "name": "owner", "type": "address" },
+      { "name": "fileSize", "type": "uint256" }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// getFileDetails calls in flight at once
+const CHAIN_CONCURRENCY = 8;
+
+export const SORT_FIELDS = ['name', 'size', 'date', 'provider'];
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+// "500", "10KB", "1.5 GB" -> bytes
+export const parseSize = (text) => {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?B)?\s*$/i.exec(String(text));
+  if (!match) {
+    throw new Error(`Invalid size "${text}": use a number of bytes or a value like 10MB`);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()]);
+};
+
+const parseDate = (text) => {
+  const date = new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${text}"`);
+  }
+  return date;
+};
+
+// Shell-style pattern: * and ? within a name, ** across slashes, [abc] and
+// [!abc] for character sets
+export const globToRegExp = (pattern) => {
+  let source = '';
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      source += '.*';
+      index++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', index + 2) !== -1) {
+      const end = pattern.indexOf(']', index + 2);
+      const set = pattern.slice(index + 1, end).replace(/\\/g, '\\\\');
+      source += set.startsWith('!') ? `[^${set.slice(1)}]` : `[${set}]`;
+      index = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+const formatBytes = (bytes) => {
+  const units = Object.keys(SIZE_UNITS);
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)}${units[unit]}`;
+};
+
+const formatAge = (timestamp) => {
+  const minutes = Math.max(0, Math.round((Date.now() - timestamp) / 60000));
+  if (minutes < 60) {
+    return `${minutes}m ago`;
+  }
+  return minutes < 48 * 60 ? `${Math.round(minutes / 60)}h ago` : `${Math.round(minutes / (24 * 60))}d ago`;
+};
+
+// Size of the original contents when it was recorded, otherwise the stored
+// size the upload paid for
+const sizeOf = (entry) => entry.plaintext_size !== null && entry.plaintext_size !== undefined
+  ? Number(entry.plaintext_size)
+  : Math.round(Number(entry.file_size) * SIZE_UNITS.GB);
+
+// Providers holding an entry: one for a file or directory, one per shard for
+// a sharded file
+const providerIdsOf = (entry) => entry.entry_type === 'sharded'
+  ? (entry.shard_map?.shards || []).map(shard => shard.providerId)
+  : [entry.provider_id].filter(Boolean);
+
+// CIDs a provider holds for an entry: its own, or its shards'
+const storedCidsOf = (entry) => entry.entry_type === 'sharded'
+  ? (entry.shard_map?.shards || []).map(shard => shard.cid)
+  : [entry.cid];
+
+// Latest storage challenge outcome of an entry; a sharded file shows how
+// many of its challenged shards passed
+const proofStatus = (entry, proofs) => {
+  const results = storedCidsOf(entry).map(cid => proofs.get(cid)).filter(Boolean);
+  if (results.length === 0) {
+    return { label: '-', color: chalk.gray };
+  }
+  const passed = results.filter(result => result.status === 'passed').length;
+  if (entry.entry_type === 'sharded') {
+    return { label: `${passed}/${results.length} passed`, color: passed === results.length ? chalk.green : chalk.red };
+  }
+  return { label: results[0].status, color: passed ? chalk.green : chalk.red };
+};
+
+const liveness = (provider) => {
+  if (!provider) {
+    return { online: false, label: 'not found' };
+  }
+  const lastSeen = new Date(provider.last_updated).getTime();
+  if (!provider.is_active) {
+    return { online: false, label: 'inactive' };
+  }
+  if (Date.now() - lastSeen > PROVIDER_ACTIVE_WINDOW) {
+    return { online: false, label: `offline, seen ${formatAge(lastSeen)}` };
+  }
+  return { online: true, label: 'online' };
+};
+
+// Run `worker` over `items` with at most `limit` in flight
+const mapLimit = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+};
+
+// Whether `cid` is registered on-chain to `owner`
+const registration = async (contract, cid, owner) => {
+  try {
+    const [, fileOwner] = await contract.methods.getFileDetails(cid).call({ from: owner });
+    if (!fileOwner || fileOwner === ZERO_ADDRESS) {
+      return 'unregistered';
+    }
+    return fileOwner.toLowerCase() === owner.toLowerCase() ? 'registered' : 'other owner';
+  } catch {
+    return 'unknown';
+  }
+};
+
+// On-chain state of an entry, with the color to show it in. A sharded file
+// is checked shard by shard and is recoverable while enough of them are.
+const chainStatus = async (contract, entry, owner) => {
+  if (entry.entry_type !== 'sharded') {
+    const state = await registration(contract, entry.cid, owner);
+    return { label: state, color: state === 'registered' ? chalk.green : state === 'unknown' ? chalk.yellow : chalk.red };
+  }
+  const shards = entry.shard_map?.shards || [];
+  const states = await Promise.all(shards.map(shard => registration(contract, shard.cid, owner)));
+  const registered = states.filter(state => state === 'registered').length;
+  const needed = entry.shard_map?.scheme?.dataShards ?? shards.length;
+  return {
+    label: `${registered}/${shards.length} shards`,
+    color: registered === shards.length ? chalk.green : registered >= needed ? chalk.yellow : chalk.red
+  };
+};
+
+// Filter stored files by name (glob), size, upload date and provider (ID or
+// wallet address; a sharded file matches if any shard is with it)
+const filterFiles = (files, providers, options) => {
+  const name = options.name ? globToRegExp(options.name) : null;
+  const largerThan = options.largerThan !== undefined ? parseSize(options.largerThan) : null;
+  const smallerThan = options.smallerThan !== undefined ? parseSize(options.smallerThan) : null;
+  const since = options.since ? parseDate(options.since) : null;
+  const before = options.before ? parseDate(options.before) : null;
+  const provider = options.provider ? String(options.provider).toLowerCase() : null;
+
+  return files.filter(entry => {
+    const created = new Date(entry.created_at);
+    return (!name || name.test(entry.file_name)) &&
+      (largerThan === null || sizeOf(entry) > largerThan) &&
+      (smallerThan === null || sizeOf(entry) < smallerThan) &&
+      (!since || created >= since) &&
+      (!before || created < before) &&
+      (!provider || providerIdsOf(entry).some(id =>
+        String(id).toLowerCase() === provider || providers.get(id)?.wallet_address?.toLowerCase() === provider
+      ));
+  });
+};
+
+// Names and providers sort A-Z, sizes largest first and dates newest first;
+// `reverse` flips the order
+const sortFiles = (files, field = 'date', reverse = false) => {
+  if (!SORT_FIELDS.includes(field)) {
+    throw new Error(`Unknown sort field "${field}". Use one of: ${SORT_FIELDS.join(', ')}`);
+  }
+  const compare = {
+    name: (a, b) => a.file_name.localeCompare(b.file_name),
+    size: (a, b) => sizeOf(b) - sizeOf(a),
+    date: (a, b) => new Date(b.created_at) - new Date(a.created_at),
+    provider: (a, b) => providerIdsOf(a).join(',').localeCompare(providerIdsOf(b).join(','))
+  }[field];
+  const sorted = [...files].sort((a, b) => compare(a, b) || a.file_name.localeCompare(b.file_name));
+  return reverse ? sorted.reverse() : sorted;
+};
+
+const loadProviders = async (files) => {
+  const ids = [...new Set(files.flatMap(providerIdsOf))];
+  return new Map((await getProvidersById(ids)).map(provider => [provider.provider_id, provider]));
+};
+
+// The wallet's stored files after applying the ls filters and sort
+const selectFiles = async (walletAddress, options) => {
+  const files = await getClientFiles(walletAddress);
+  const providers = await loadProviders(files);
+  return { files: sortFiles(filterFiles(files, providers, options), options.sort, options.reverse), providers };
+};
+
+// Print the wallet's stored files with their provider's liveness, their
+// latest storage challenge and, unless `options.chain` is false, their
+// on-chain registration
+export async function listFiles(options = {}) {
+  const walletAddress = getAddress(getWalletAddress(options.wallet));
+  const spinner = ora('Loading stored files...').start();
+  let files;
+  let providers;
+  let statuses;
+  let proofs;
+  try {
+    ({ files, providers } = await selectFiles(walletAddress, options));
+    proofs = await latestChallenges(files.flatMap(storedCidsOf));
+    statuses = files.map(() => ({ label: 'not checked', color: chalk.gray }));
+    if (options.chain !== false && files.length > 0) {
+      spinner.text = `Checking on-chain registration of ${files.length} file(s)...`;
+      const web3 = new Web3(BSC_TESTNET_RPC);
+      const storageContract = new web3.eth.Contract(STORAGE_CONTRACT_ABI, STORAGE_CONTRACT_ADDRESS);
+      statuses = await mapLimit(files, CHAIN_CONCURRENCY, entry => chainStatus(storageContract, entry, walletAddress));
+    }
+    spinner.stop();
+  } catch (error) {
+    spinner.fail('Could not list stored files');
+    throw error;
+  }
+  if (files.length === 0) {
+    console.log(chalk.yellow(`No stored files found for ${walletAddress}`));
+    return;
+  }
+
+  const header = ['Name', 'Type', 'Size', 'Uploaded', 'Provider', 'Provider status', 'On-chain', 'Last proof', 'CID'];
+  const rows = files.map((entry, index) => {
+    const ids = providerIdsOf(entry);
+    const states = ids.map(id => liveness(providers.get(id)));
+    const online = states.filter(state => state.online).length;
+    const proof = proofStatus(entry, proofs);
+    const providerStatus = entry.entry_type === 'sharded'
+      ? { label: `${online}/${ids.length} online`, color: online === ids.length ? chalk.green : online >= (entry.shard_map?.scheme?.dataShards ?? ids.length) ? chalk.yellow : chalk.red }
+      : { label: states[0]?.label || 'none', color: states[0]?.online ? chalk.green : chalk.red };
+    return [
+      { text: entry.file_name },
+      { text: entry.entry_type },
+      { text: formatBytes(sizeOf(entry)) },
+      { text: new Date(entry.created_at).toLocaleString() },
+      { text: entry.entry_type === 'sharded' ? `${ids.length} providers` : ids[0] || '-' },
+      { text: providerStatus.label, color: providerStatus.color },
+      { text: statuses[index].label, color: statuses[index].color },
+      { text: proof.label, color: proof.color },
+      { text: entry.cid }
+    ];
+  });
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].text.length)));
+
+  console.log(chalk.blue(`Files stored by ${walletAddress}\n`));
+  console.log(chalk.bold(header.map((title, column) => title.padEnd(widths[column])).join('  ')));
+  for (const row of rows) {
+    console.log(row.map((cell, column) => {
+      const text = cell.text.padEnd(widths[column]);
+      return cell.color ? cell.color(text) : text;
+    }).join('  '));
+  }
+  const total = files.reduce((sum, entry) => sum + sizeOf(entry), 0);
+  console.log(chalk.gray(`\n${files.length} file(s), ${formatBytes(total)}`));
+}
+
+// Output name for a bulk download. Names are not unique across uploads, so a
+// repeated one gets the end of its CID appended.
+const outputName = (entry, used) => {
+  let name = path.basename(entry.file_name);
+  if (!name || name === '.' || name === '..') {
+    name = entry.cid;
+  }
+  if (used.has(name)) {
+    name = `${name}.${entry.cid.slice(-8)}`;
+  }
+  used.add(name);
+  return name;
+};
+
+// Download every stored file of the wallet, or those whose name matches
+// `options.match`, into the directory `options.output`. A failed file does
+// not stop the rest; they are listed at the end.
+export async function downloadMatching(options = {}) {
+  const walletAddress = getAddress(getWalletAddress(options.wallet));
+  const { files } = await selectFiles(walletAddress, { name: options.match });
+  if (files.length === 0) {
+    console.log(chalk.yellow(options.match ? `No stored files match ${options.match}` : 'No stored files'));
+    return;
+  }
+
+  const outputDir = path.resolve(options.output || '.');
+  await fs.mkdir(outputDir, { recursive: true });
+  // Unlock the wallet once rather than for every file
+  const privateKey = await loadPrivateKey(options.wallet);
+  console.log(chalk.blue(`Downloading ${files.length} file(s) to ${outputDir}`));
+
+  const used = new Set();
+  const failed = [];
+  for (const [index, entry] of files.entries()) {
+    console.log(chalk.blue(`\n[${index + 1}/${files.length}] ${entry.file_name} (${entry.cid})`));
+    const saved = await downloadFile(entry.cid, {
+      output: path.join(outputDir, outputName(entry, used)),
+      force: options.force,
+      privateKey,
+      wallet: options.wallet
+    });
+    if (!saved) {
+      failed.push(entry);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.log(chalk.red(`\n${failed.length} of ${files.length} file(s) could not be downloaded:`));
+    failed.forEach(entry => console.log(chalk.red(`  ${entry.file_name} (${entry.cid})`)));
+    process.exitCode = 1;
+    return;
+  }
+  console.log(chalk.green(`\nDownloaded ${files.length} file(s) to ${outputDir}`));
+}
@@ -0,0 +1,144 @@
+import http from 'http';
+import { performance } from 'perf_hooks';
+
+// Prometheus metrics for the provider process, rendered in the text
+// exposition format (version 0.0.4) on the status endpoint's /metrics, or
+// on start-mining's --metrics-port.
+// Counters, gauges and histograms with labels are all the provider needs,
+// so they are kept here rather than pulling in a client library.
+const GIB = 1024 * 1024 * 1024;
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN';
+
+// Series are keyed by their label values so each combination is tracked on
+// its own
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+export const createRegistry = () => {
+  const metrics = [];
+
+  const register = (name, help, type, render) => {
+    metrics.push({ name, help, type, render });
+  };
+
+  const counter = (name, help) => {
+    const series = new Map();
+    register(name, help, 'counter', () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`));
+    return {
+      inc: (labels = {}, amount = 1) => {
+        const key = seriesKey(labels);
+        const entry = series.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      }
+    };
+  };
+
+  const gauge = (name, help) => {
+    const series = new Map();
+    register(name, help, 'gauge', () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`));
+    return {
+      set: (labels, value) => {
+        series.set(seriesKey(labels), { labels, value });
+      }
+    };
+  };
+
+  const histogram = (name, help, buckets = LATENCY_BUCKETS) => {
+    const series = new Map();
+    register(name, help, 'histogram', () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ]));
+    return {
+      observe: (labels, value) => {
+        const key = seriesKey(labels);
+        const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, index) => {
+          if (value <= bound) {
+            entry.counts[index] += 1;
+          }
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      }
+    };
+  };
+
+  const render = () => metrics
+    .map(({ name, help, type, render: lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()].join('\n'))
+    .join('\n') + '\n';
+
+  return { counter, gauge, histogram, render };
+};
+
+// Time `fn` into `histogram` under `labels`, whether it succeeds or not
+export const timed = async (histogram, labels, fn) => {
+  const started = performance.now();
+  try {
+    return await fn();
+  } finally {
+    histogram.observe(labels, (performance.now() - started) / 1000);
+  }
+};
+
+// The provider's metrics. Tasks update them as they run; storage figures
+// arrive in GB and are exported in bytes.
+export const createProviderMetrics = () => {
+  const registry = createRegistry();
+  const storage = registry.gauge('depin_provider_storage_bytes', 'Provider storage by kind: allocated, used or available');
+  const repoSize = registry.gauge('depin_provider_ipfs_repo_size_bytes', 'Size of the IPFS repo');
+  const repoObjects = registry.gauge('depin_provider_ipfs_repo_objects', 'Objects in the IPFS repo');
+  const pinned = registry.gauge('depin_provider_pinned_objects', 'Recursive pins on the IPFS node');
+  const price = registry.gauge('depin_provider_price_per_gb_aai', 'Price per GB in AAI');
+  const balance = registry.gauge('depin_provider_aai_balance', 'AAI balance of the provider wallet after the last reward claim');
+
+  return {
+    render: registry.render,
+    taskRuns: registry.counter('depin_provider_task_runs_total', 'Runs of the periodic tasks by task name and result'),
+    rewardClaimed: registry.counter('depin_provider_reward_claimed_aai_total', 'AAI gained by the provider wallet across reward claims'),
+    rpcLatency: registry.histogram('depin_provider_rpc_request_duration_seconds', 'BSC RPC request latency by operation'),
+    supabaseLatency: registry.histogram('depin_provider_supabase_request_duration_seconds', 'Supabase request latency by operation'),
+    setStorage: ({ allocated, used, available }) => {
+      storage.set({ kind: 'allocated' }, allocated * GIB);
+      storage.set({ kind: 'used' }, used * GIB);
+      storage.set({ kind: 'available' }, available * GIB);
+    },
+    setRepo: (capacity) => {
+      repoSize.set({}, capacity.repoSize);
+      repoObjects.set({}, capacity.numObjects);
+    },
+    setPinned: (count) => pinned.set({}, count),
+    setPrice: (value) => price.set({}, Number(value)),
+    setBalance: (value) => balance.set({}, Number(value))
+  };
+};
+
+// Serve `metrics` alone on http://host:port/metrics, for `start-mining`;
+// `provider run` serves them from its status endpoint instead
+export const serveMetrics = (metrics, { host = '127.0.0.1', port }, { onListening = () => {}, onError = () => {} } = {}) => {
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (request.method !== 'GET' || pathname !== '/metrics') {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('not found\n');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    response.end(metrics.render());
+  });
+  server.listen(port, host, () => onListening(`http://${host}:${port}/metrics`));
+  server.on('error', onError);
+  return server;
+};
@@ -0,0 +1,227 @@
+import fs from 'fs';
+import { configPath } from './config.js';
+import { getProviderFiles, getProviderPins, savePinStatuses } from './supabase.js';
+
+// A running provider keeps its IPFS node in step with the files it has been
+// given. Every pass it collects the CIDs it should hold: stored_files rows
+// addressed to it whose lease has not lapsed, plus CIDs from FileStored
+// events naming its wallet that have no row yet and were first seen within
+// the grace period. Missing ones are pinned, and the outcome of every pin is
+// reported to provider_pins.
+//
+// Files clients are still uploading are fetched sooner: every
+// PLACEMENT_FETCH_INTERVAL the provider pins rows from the last hour it does
+// not hold yet, since the client waits for that pin before it registers
+// the file on-chain.
+//
+// Content is only unpinned when it was pinned for a client (it has a
+// provider_pins row) and is no longer wanted: its row was deleted or its
+// lease ran out. It is marked released first and unpinned after a grace
+// period, so a renewed lease or a re-tracked row in the meantime keeps it.
+// A CID known only from an event counts as released when it was first seen,
+// so it is unpinned once the grace period passes without a row for it.
+const STORAGE_CONTRACT_ADDRESS = '0xD87FC38Eab64Ddde4dED5D1c020Ea5EF1a69f412';
+const STORAGE_EVENTS_ABI = [
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "name": "client", "type": "address" },
+      { "indexed": true, "name": "provider", "type": "address" },
+      { "indexed": false, "name": "cid", "type": "string" }
+    ],
+    "name": "FileStored",
+    "type": "event"
+  }
+];
+
+export const PIN_SYNC_INTERVAL = 5 * 60 * 1000;
+export const GC_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+export const PLACEMENT_FETCH_INTERVAL = 30 * 1000;
+const PIN_TIMEOUT = 10 * 60 * 1000;
+// A placement fetch gives up sooner so one unreachable client does not hold
+// up the others; the next fetch or pass tries again
+const PLACEMENT_PIN_TIMEOUT = 2 * 60 * 1000;
+const PLACEMENT_WINDOW = 60 * 60 * 1000;
+// Public BSC RPC endpoints reject log queries over wide block ranges
+const EVENT_BLOCK_RANGE = 5000;
+
+const leaseActive = (row, now) => !row.lease_expires_at || new Date(row.lease_expires_at).getTime() > now;
+
+// Recursively pinned CIDs on the local node
+const localPins = async (ipfs) => {
+  const pinned = new Set();
+  for await (const pin of ipfs.pin.ls({ type: 'recursive' })) {
+    pinned.add(pin.cid.toString());
+  }
+  return pinned;
+};
+
+// What the event scan has seen, kept in the config directory: the last
+// block read and the CIDs announced only by events, each with when it was
+// first seen. They stay wanted until a stored_files row for them appears and
+// decides their fate, or until the grace period runs out without one.
+const eventStatePath = (providerId) => configPath('provider', `events-${providerId}.json`);
+
+const readEventState = (providerId) => {
+  const stateFile = eventStatePath(providerId);
+  const state = fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : {};
+  // Older state files list the CIDs without a time; count them from now
+  const eventCids = Array.isArray(state.eventCids)
+    ? Object.fromEntries(state.eventCids.map(cid => [cid, new Date().toISOString()]))
+    : state.eventCids || {};
+  return { lastBlock: state.lastBlock, eventCids: new Map(Object.entries(eventCids)) };
+};
+
+const writeEventState = (providerId, { lastBlock, eventCids }) => {
+  fs.writeFileSync(eventStatePath(providerId), JSON.stringify({ lastBlock, eventCids: Object.fromEntries(eventCids) }));
+};
+
+// CIDs from FileStored events for `walletAddress` after `lastBlock`, and the
+// block read up to. A provider's first pass starts from the current block,
+// since the stored_files rows already cover anything older.
+const newFileStoredEvents = async (web3, walletAddress, lastBlock) => {
+  const latest = Number(await web3.eth.getBlockNumber());
+  const contract = new web3.eth.Contract(STORAGE_EVENTS_ABI, STORAGE_CONTRACT_ADDRESS);
+
+  const cids = new Set();
+  let fromBlock = lastBlock !== undefined ? lastBlock + 1 : latest + 1;
+  while (fromBlock <= latest) {
+    const toBlock = Math.min(fromBlock + EVENT_BLOCK_RANGE - 1, latest);
+    const events = await contract.getPastEvents('FileStored', {
+      filter: { provider: walletAddress },
+      fromBlock,
+      toBlock
+    });
+    events.forEach(event => cids.add(event.returnValues.cid));
+    fromBlock = toBlock + 1;
+  }
+  return { cids, lastBlock: Math.max(latest, lastBlock ?? latest) };
+};
+
+// Pin the files placed with this provider in the last hour that it does not
+// hold yet, fetching them from the uploading client's node. Returns the CIDs
+// by outcome.
+export const fetchPlacedFiles = async ({ ipfs, providerId }) => {
+  const now = Date.now();
+  const records = new Map((await getProviderPins(providerId)).map(record => [record.cid, record]));
+  const placed = (await getProviderFiles(providerId)).filter(row => leaseActive(row, now) &&
+    now - new Date(row.created_at).getTime() < PLACEMENT_WINDOW &&
+    records.get(row.cid)?.status !== 'pinned');
+  const result = { pinned: [], failed: [] };
+  if (placed.length === 0) {
+    return result;
+  }
+
+  const pinned = await localPins(ipfs);
+  const updates = [];
+  for (const row of placed) {
+    const report = { providerId, cid: row.cid, leaseExpiresAt: row.lease_expires_at ?? null, releasedAt: null, error: null };
+    if (pinned.has(row.cid)) {
+      updates.push({ ...report, status: 'pinned' });
+      continue;
+    }
+    try {
+      await ipfs.pin.add(row.cid, { timeout: PLACEMENT_PIN_TIMEOUT });
+      updates.push({ ...report, status: 'pinned' });
+      result.pinned.push(row.cid);
+    } catch (error) {
+      updates.push({ ...report, status: 'failed', error: error.message });
+      result.failed.push(row.cid);
+    }
+  }
+  await savePinStatuses(updates);
+  return result;
+};
+
+// One pinning and garbage-collection pass. Returns the CIDs acted on, by
+// outcome, and how many recursive pins the node holds afterwards.
+export const syncPins = async ({ ipfs, web3, providerId, walletAddress }, { graceMs = GC_GRACE_PERIOD } = {}) => {
+  const now = Date.now();
+  const rows = await getProviderFiles(providerId);
+  const leased = new Map(rows.filter(row => leaseActive(row, now)).map(row => [row.cid, row]));
+  const wanted = new Set(leased.keys());
+  // Events can announce a file before its row is visible here. Such CIDs are
+  // kept, and retried if their pin fails, until a row takes over. One whose
+  // row never comes (the upload was abandoned or rolled back) is dropped
+  // once the grace period since it was first seen has passed.
+  const eventState = readEventState(providerId);
+  const events = await newFileStoredEvents(web3, walletAddress, eventState.lastBlock);
+  const tracked = new Set(rows.map(row => row.cid));
+  const eventCids = new Map();
+  const expiredEventCids = new Map();
+  for (const cid of new Set([...eventState.eventCids.keys(), ...events.cids])) {
+    if (tracked.has(cid)) {
+      continue;
+    }
+    const firstSeenAt = eventState.eventCids.get(cid) ?? new Date(now).toISOString();
+    if (now - new Date(firstSeenAt).getTime() < graceMs) {
+      eventCids.set(cid, firstSeenAt);
+      wanted.add(cid);
+    } else {
+      expiredEventCids.set(cid, firstSeenAt);
+    }
+  }
+
+  const records = new Map((await getProviderPins(providerId)).map(record => [record.cid, record]));
+  const pinned = await localPins(ipfs);
+  const result = { pinned: [], failed: [], released: [], unpinned: [] };
+  const updates = [];
+  const report = (cid, fields) => updates.push({
+    providerId,
+    cid,
+    leaseExpiresAt: leased.get(cid)?.lease_expires_at ?? records.get(cid)?.lease_expires_at ?? null,
+    error: null,
+    releasedAt: null,
+    ...fields
+  });
+
+  for (const cid of wanted) {
+    const record = records.get(cid);
+    if (pinned.has(cid)) {
+      // Already held; (re)claim it if it was not recorded as a client pin
+      if (!record || record.status !== 'pinned' || record.lease_expires_at !== (leased.get(cid)?.lease_expires_at ?? null)) {
+        report(cid, { status: 'pinned' });
+      }
+      continue;
+    }
+    try {
+      await ipfs.pin.add(cid, { timeout: PIN_TIMEOUT });
+      report(cid, { status: 'pinned' });
+      result.pinned.push(cid);
+    } catch (error) {
+      report(cid, { status: 'failed', error: error.message });
+      result.failed.push(cid);
+    }
+  }
+  // Only now are the events read this pass settled: their CIDs were pinned
+  // or are kept to be retried
+  writeEventState(providerId, { lastBlock: events.lastBlock, eventCids });
+
+  for (const record of records.values()) {
+    if (wanted.has(record.cid) || record.status === 'unpinned') {
+      continue;
+    }
+    // An expired event CID has already had its grace period
+    const releasedAt = record.released_at ?? expiredEventCids.get(record.cid);
+    if (record.status === 'failed') {
+      // Never held, so there is nothing to collect
+      report(record.cid, { status: 'unpinned' });
+    } else if (!releasedAt) {
+      report(record.cid, { status: 'released', releasedAt: new Date(now).toISOString() });
+      result.released.push(record.cid);
+    } else if (now - new Date(releasedAt).getTime() >= graceMs) {
+      try {
+        if (pinned.has(record.cid)) {
+          await ipfs.pin.rm(record.cid);
+        }
+        report(record.cid, { status: 'unpinned' });
+        result.unpinned.push(record.cid);
+      } catch (error) {
+        report(record.cid, { status: 'released', releasedAt, error: error.message });
+      }
+    }
+  }
+
+  await savePinStatuses(updates);
+  return { ...result, pinCount: pinned.size + result.pinned.length - result.unpinned.length };
+};
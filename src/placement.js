@@ -0,0 +1,86 @@
+import { getProvider, getProviderPin } from './supabase.js';
+
+// Uploads are added to the client's local IPFS node, then fetched by the
+// provider's node. A provider advertises its peer ID and multiaddrs; the
+// client connects to it and waits while the provider, which watches for new
+// stored_files rows addressed to it, pins the content over bitswap and
+// reports the pin in provider_pins. Clients never ask a provider's node to
+// pin anything, so providers do not expose their IPFS RPC API.
+const CONNECT_TIMEOUT = 15000;
+const PLACEMENT_TIMEOUT = 10 * 60 * 1000;
+const ANNOUNCE_POLL_INTERVAL = 15000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Advertised IPFS details of a provider, looked up fresh because they change
+// whenever the provider's node restarts
+export const lookupProviderNode = async (idOrAddress) => {
+  const provider = await getProvider(idOrAddress);
+  if (!provider) {
+    throw new Error(`Provider ${idOrAddress} is not registered`);
+  }
+  return {
+    id: provider.provider_id,
+    peerId: provider.ipfs_peer_id,
+    multiaddrs: provider.ipfs_multiaddrs || [],
+    ipfsApiUrl: provider.ipfs_api_url
+  };
+};
+
+// Dial the provider's node from the local one. Returns false if none of its
+// addresses could be reached.
+export const connectToProvider = async (ipfs, node) => {
+  for (const address of node.multiaddrs) {
+    const target = address.includes('/p2p/') ? address : `${address}/p2p/${node.peerId}`;
+    try {
+      await ipfs.swarm.connect(target, { timeout: CONNECT_TIMEOUT });
+      return true;
+    } catch {
+      // Try the next address
+    }
+  }
+  return false;
+};
+
+const announcedBy = async (ipfs, cid, peerId) => {
+  try {
+    for await (const event of ipfs.routing.findProvs(cid, { timeout: ANNOUNCE_POLL_INTERVAL })) {
+      if (event.name === 'PROVIDER' && event.providers.some(peer => peer.id.toString() === peerId)) {
+        return true;
+      }
+    }
+  } catch {
+    // A routing timeout just means it was not found this round
+  }
+  return false;
+};
+
+// Make sure the provider's node holds `cid`, so it is never registered
+// on-chain with a provider that does not have the data. The file's
+// stored_files row must already exist: that is what the provider fetches.
+// Placement is confirmed by the provider reporting the pin, or by its peer ID
+// being announced as holding the content.
+export const placeWithProvider = async (ipfs, providerId, cid, { timeout = PLACEMENT_TIMEOUT, onProgress = () => {} } = {}) => {
+  const node = await lookupProviderNode(providerId);
+  if (!node.peerId) {
+    throw new Error(`Provider ${providerId} does not advertise an IPFS node. It must be restarted with a current version before it can accept uploads.`);
+  }
+
+  onProgress(`Connecting to provider ${providerId}'s IPFS node...`);
+  if (!await connectToProvider(ipfs, node)) {
+    throw new Error(`Could not connect to provider ${providerId}'s IPFS node at any advertised address`);
+  }
+
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const pin = await getProviderPin(providerId, cid);
+    if (pin?.status === 'pinned' || await announcedBy(ipfs, cid, node.peerId)) {
+      return;
+    }
+    onProgress(pin?.status === 'failed'
+      ? `Provider ${providerId} could not fetch ${cid} yet (${pin.error}), waiting for a retry...`
+      : `Waiting for provider ${providerId} to fetch ${cid}...`);
+    await sleep(ANNOUNCE_POLL_INTERVAL);
+  }
+  throw new Error(`Provider ${providerId} did not confirm it holds ${cid} within ${Math.round(timeout / 60000)} minutes`);
+};
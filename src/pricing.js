@@ -0,0 +1,155 @@
+import Web3 from 'web3';
+import { getPriceHistory } from './supabase.js';
+
+// Pricing policies for providers. A policy turns how full the provider's
+// allocation is into a price per GB:
+//
+//   policy: fixed             # always `price`
+//   policy: tiered            # `price` until utilization reaches a tier
+//   price: 10
+//   tiers:                    # utilization in percent of the allocation
+//     - { from: 50, price: 12 }
+//     - { from: 80, price: 15 }
+//   floor: 8                  # optional bounds on whatever the policy says
+//   ceiling: 20
+//
+// Utilization is the share of the allocation that is no longer available,
+// so the price also rises when the disk under the IPFS repo fills up.
+export const PRICING_POLICIES = ['fixed', 'tiered'];
+// How often a running provider re-prices. A change is re-registered
+// on-chain, so this also bounds how often that transaction is sent.
+export const PRICE_CHECK_INTERVAL = 15 * 60 * 1000;
+export const PRICE_HISTORY_DAYS = 30;
+const HISTORY_SHOWN = 4;
+
+// The contract takes prices in wei, 18 decimals of AAI
+const PRICE_DECIMALS = 18;
+
+// `price` in plain decimal notation, as web3's toWei needs: String() gives
+// "1e-7" for small prices and toFixed() adds binary rounding noise
+export const priceDecimal = (price) => {
+  const [mantissa, exponent = '0'] = String(price).split('e');
+  const [whole, fraction = ''] = mantissa.split('.');
+  let digits = whole + fraction;
+  let point = whole.length + Number(exponent);
+  if (point <= 0) {
+    digits = '0'.repeat(1 - point) + digits;
+    point = 1;
+  }
+  digits = digits.padEnd(point, '0');
+  const integer = digits.slice(0, point).replace(/^0+(?=\d)/, '');
+  const decimals = digits.slice(point).replace(/0+$/, '');
+  return decimals ? `${integer}.${decimals}` : integer;
+};
+
+// A positive number of AAI the contract can represent exactly
+export const isValidPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0 &&
+  (priceDecimal(value).split('.')[1] ?? '').length <= PRICE_DECIMALS;
+
+// What the contract charges for `storage` whole GB at `price` AAI per GB,
+// in wei as a BN: purchaseStorage transfers _storageAmount * pricePerGB, so
+// the sum is done on wei rather than in floating point
+export const storageCost = (storage, price) => {
+  const { toBN, toWei } = Web3.utils;
+  return toBN(storage).mul(toBN(toWei(priceDecimal(price), 'ether')));
+};
+
+const sortTiers = (tiers) => [...tiers].sort((a, b) => a.from - b.from);
+
+// Fill in the defaults of a pricing section
+export const resolvePricing = (section) => ({ policy: 'fixed', ...section });
+
+// What is wrong with `pricing`, if anything
+export const pricingProblems = (pricing) => {
+  const problems = [];
+  if (!PRICING_POLICIES.includes(pricing.policy)) {
+    problems.push(`pricing.policy must be one of: ${PRICING_POLICIES.join(', ')}`);
+  }
+  if (!isValidPrice(pricing.price)) {
+    problems.push('pricing.price must be a positive number of AAI per GB with at most 18 decimals');
+  }
+  if (pricing.policy === 'tiered') {
+    const tiers = pricing.tiers;
+    if (!Array.isArray(tiers) || tiers.length === 0) {
+      problems.push('pricing.tiers must list at least one tier for the tiered policy');
+    } else if (!tiers.every(tier => typeof tier?.from === 'number' && tier.from > 0 && tier.from < 100 && isValidPrice(tier.price))) {
+      problems.push('each of pricing.tiers needs `from` (a utilization percent between 0 and 100) and a positive `price` with at most 18 decimals');
+    } else {
+      const prices = [pricing.price, ...sortTiers(tiers).map(tier => tier.price)];
+      if (prices.some((price, index) => index > 0 && price < prices[index - 1])) {
+        problems.push('pricing.tiers prices must not fall as utilization rises');
+      }
+    }
+  }
+  for (const bound of ['floor', 'ceiling']) {
+    if (pricing[bound] !== undefined && !isValidPrice(pricing[bound])) {
+      problems.push(`pricing.${bound} must be a positive number of AAI per GB with at most 18 decimals`);
+    }
+  }
+  if (isValidPrice(pricing.floor) && isValidPrice(pricing.ceiling) && pricing.floor > pricing.ceiling) {
+    problems.push('pricing.floor must not be above pricing.ceiling');
+  }
+  return problems;
+};
+
+// Share (0 to 1) of `allocated` GB that is not `available`
+export const utilizationOf = (allocated, available) => allocated > 0
+  ? Math.round(Math.min(1, Math.max(0, 1 - available / allocated)) * 10000) / 10000
+  : 1;
+
+// Price per GB under `pricing` at `utilization`, within its floor and ceiling
+export const priceFor = (pricing, utilization) => {
+  let price = pricing.price;
+  if (pricing.policy === 'tiered') {
+    for (const tier of sortTiers(pricing.tiers)) {
+      if (utilization * 100 >= tier.from) {
+        price = tier.price;
+      }
+    }
+  }
+  if (pricing.floor !== undefined) {
+    price = Math.max(price, pricing.floor);
+  }
+  if (pricing.ceiling !== undefined) {
+    price = Math.min(price, pricing.ceiling);
+  }
+  return price;
+};
+
+// One-line summary of a policy for logs
+export const describePricing = (pricing) => {
+  const parts = [pricing.policy === 'tiered'
+    ? `tiered: ${pricing.price} AAI/GB, ${sortTiers(pricing.tiers).map(tier => `${tier.price} from ${tier.from}%`).join(', ')}`
+    : `fixed: ${pricing.price} AAI/GB`];
+  if (pricing.floor !== undefined) {
+    parts.push(`floor ${pricing.floor}`);
+  }
+  if (pricing.ceiling !== undefined) {
+    parts.push(`ceiling ${pricing.ceiling}`);
+  }
+  return parts.join(', ');
+};
+
+// Each provider's prices over the last PRICE_HISTORY_DAYS days, oldest
+// first
+export const providerPriceHistory = async (providerIds) => {
+  const history = new Map(providerIds.map(id => [id, []]));
+  if (providerIds.length === 0) {
+    return history;
+  }
+  const since = new Date(Date.now() - PRICE_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  for (const row of await getPriceHistory({ providerIds, since })) {
+    history.get(row.provider_id).push({ price: Number(row.price_per_gb), changedAt: row.changed_at });
+  }
+  return history;
+};
+
+// "8 → 10 → 12" for the last few prices, or '-' when the price has not
+// changed within the history window
+export const formatPriceHistory = (entries = []) => {
+  if (entries.length < 2) {
+    return '-';
+  }
+  const shown = entries.slice(-HISTORY_SHOWN).map(entry => String(entry.price));
+  return `${entries.length > HISTORY_SHOWN ? '… → ' : ''}${shown.join(' → ')}`;
+};
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi } from 'vitest';
+import Web3 from 'web3';
+import {
+  resolvePricing,
+  pricingProblems,
+  utilizationOf,
+  priceFor,
+  priceDecimal,
+  isValidPrice,
+  storageCost,
+  formatPriceHistory
+} from './pricing.js';
+
+// Pricing is computed locally; nothing here reaches Supabase
+vi.mock('./supabase.js', () => ({}));
+
+const tiered = resolvePricing({
+  policy: 'tiered',
+  price: 10,
+  // Out of order on purpose: tiers apply by `from`, not by position
+  tiers: [{ from: 80, price: 15 }, { from: 50, price: 12 }]
+});
+
+describe('priceFor', () => {
+  it('charges the fixed price at any utilization', () => {
+    const fixed = resolvePricing({ price: 10 });
+    expect(fixed.policy).toBe('fixed');
+    expect([0, 0.5, 1].map(utilization => priceFor(fixed, utilization))).toEqual([10, 10, 10]);
+  });
+
+  it('picks the highest tier the utilization has reached', () => {
+    expect([0, 0.4999, 0.5, 0.79, 0.8, 1].map(utilization => priceFor(tiered, utilization)))
+      .toEqual([10, 10, 12, 12, 15, 15]);
+  });
+
+  it('keeps the price within its floor and ceiling', () => {
+    const bounded = { ...tiered, floor: 11, ceiling: 14 };
+    expect([0, 0.6, 0.9].map(utilization => priceFor(bounded, utilization))).toEqual([11, 12, 14]);
+  });
+});
+
+describe('utilizationOf', () => {
+  it('is the share of the allocation no longer available', () => {
+    expect(utilizationOf(100, 100)).toBe(0);
+    expect(utilizationOf(100, 25)).toBe(0.75);
+    expect(utilizationOf(3, 2)).toBe(0.3333);
+  });
+
+  it('stays between 0 and 1', () => {
+    expect(utilizationOf(100, 150)).toBe(0);
+    expect(utilizationOf(100, -5)).toBe(1);
+    expect(utilizationOf(0, 0)).toBe(1);
+  });
+});
+
+describe('pricingProblems', () => {
+  it('accepts fixed and tiered policies', () => {
+    expect(pricingProblems(resolvePricing({ price: 10 }))).toEqual([]);
+    expect(pricingProblems({ ...tiered, floor: 8, ceiling: 20 })).toEqual([]);
+    expect(pricingProblems(resolvePricing({ price: 0.0000001 }))).toEqual([]);
+  });
+
+  it.each([
+    [{ policy: 'auction', price: 10 }, /pricing.policy/],
+    [{ price: 0 }, /pricing.price/],
+    [{ price: '10' }, /pricing.price/],
+    [{ price: 1e-19 }, /pricing.price .* 18 decimals/],
+    [{ policy: 'tiered', price: 10 }, /at least one tier/],
+    [{ policy: 'tiered', price: 10, tiers: [{ from: 100, price: 12 }] }, /each of pricing.tiers/],
+    [{ policy: 'tiered', price: 10, tiers: [{ from: 50, price: 8 }] }, /must not fall/],
+    [{ price: 10, floor: -1 }, /pricing.floor/],
+    [{ price: 10, floor: 12, ceiling: 11 }, /floor must not be above/]
+  ])('rejects %o', (section, message) => {
+    expect(pricingProblems(resolvePricing(section)).join('; ')).toMatch(message);
+  });
+});
+
+describe('prices in wei', () => {
+  it('writes prices out in plain decimal notation', () => {
+    expect(priceDecimal(10)).toBe('10');
+    expect(priceDecimal(12.5)).toBe('12.5');
+    expect(priceDecimal(0.0000001)).toBe('0.0000001');
+    expect(priceDecimal(1.5e-12)).toBe('0.0000000000015');
+    expect(priceDecimal(1e21)).toBe('1000000000000000000000');
+    expect(priceDecimal(0.1)).toBe('0.1');
+  });
+
+  it('converts every valid price exactly', () => {
+    const web3 = new Web3();
+    expect(web3.utils.toWei(priceDecimal(0.0000001), 'ether')).toBe('100000000000');
+    expect(web3.utils.toWei(priceDecimal(0.1), 'ether')).toBe('100000000000000000');
+    expect(web3.utils.toWei(priceDecimal(1e-18), 'ether')).toBe('1');
+  });
+
+  it('rejects prices finer than a wei', () => {
+    expect(isValidPrice(1e-18)).toBe(true);
+    expect(isValidPrice(1.5e-18)).toBe(false);
+    expect(isValidPrice(Infinity)).toBe(false);
+  });
+});
+
+describe('storageCost', () => {
+  it('charges storage times price exactly, as the contract does', () => {
+    // 7 * 0.7 is 4.8999999999999995 in floating point
+    expect(storageCost(7, 0.7).toString()).toBe('4900000000000000000');
+    expect(storageCost(3, '0.1').toString()).toBe('300000000000000000');
+    expect(storageCost(1000, 0.0000001).toString()).toBe('100000000000000');
+    expect(storageCost(2, 10).toString()).toBe('20000000000000000000');
+  });
+});
+
+describe('formatPriceHistory', () => {
+  it('shows the last few prices', () => {
+    expect(formatPriceHistory([])).toBe('-');
+    expect(formatPriceHistory([{ price: 10 }])).toBe('-');
+    expect(formatPriceHistory([8, 10, 12].map(price => ({ price })))).toBe('8 → 10 → 12');
+    expect(formatPriceHistory([5, 8, 10, 12, 15].map(price => ({ price })))).toBe('… → 8 → 10 → 12 → 15');
+  });
+});
@@ -0,0 +1,492 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import chalk from 'chalk';
+import ora from 'ora';
+import { Readable, Transform, Writable } from 'stream';
+import { pipeline as streamPipeline } from 'stream/promises';
+import { Wallet, getAddress, verifyMessage } from 'ethers';
+import { getWalletAddress } from './keystore.js';
+import { configPath } from './config.js';
+import {
+  getChallengeableFiles,
+  createChallenges,
+  getChallenges,
+  getOpenChallenges,
+  getPendingChallenges,
+  answerChallenge,
+  resolveChallenge,
+  getChallengeResults
+} from './supabase.js';
+
+// Proof of storage. At upload time the client splits the encrypted bytes it
+// stores into fixed-size leaves and records the Merkle root over them (the
+// commitment) with the file, signed by its wallet over the file's CID. A verifier later picks random leaves and the
+// provider has to return their bytes with the sibling hashes up to the root.
+// Leaves are chosen when the challenge is issued, so the answer can only
+// come from the data itself.
+//
+// Challenges travel through the storage_challenges table: the verifier
+// inserts them, the provider's node answers on its next poll, and the
+// verifier checks the answer and records whether it passed. Providers can
+// write to Supabase with the anon key too, so nothing read back from it is
+// trusted: a commitment is only used when the wallet's own signature over it
+// checks out, and answers are judged against that commitment and the leaves
+// the verifier picked, both kept on the verifier's side.
+export const LEAF_SIZE = 16 * 1024;
+export const CHALLENGE_LEAVES = 4;
+export const CHALLENGE_TIMEOUT = 15 * 60 * 1000;
+export const CHALLENGE_POLL_INTERVAL = 60 * 1000;
+export const CHALLENGE_HISTORY_DAYS = 30;
+const READ_TIMEOUT = 10 * 60 * 1000;
+const RESULT_POLL_INTERVAL = 15 * 1000;
+const DEFAULT_ROUND_INTERVAL = 60 * 60 * 1000;
+
+// Leaves and inner nodes are hashed with different prefixes so an inner
+// node can never be passed off as a leaf
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+const hashLeaf = (data) => sha256(LEAF_PREFIX, data);
+const hashNode = (left, right) => sha256(NODE_PREFIX, left, right);
+
+const commitmentMessage = (cid, { root, leafSize, leafCount, size }) =>
+  `depin-storage commitment v1\n${cid}\n${root}\n${leafSize}\n${leafCount}\n${size}`;
+
+// `commitment` with the uploading wallet's signature over it and `cid`
+export const signCommitment = async (privateKey, cid, commitment) => ({
+  ...commitment,
+  signature: await new Wallet(privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`)
+    .signMessage(commitmentMessage(cid, commitment))
+});
+
+// Whether the commitment of a stored_files row was signed by `walletAddress`
+// for that row's CID
+export const commitmentSignedBy = (row, walletAddress) => {
+  try {
+    return verifyMessage(commitmentMessage(row.cid, row.commitment), row.commitment.signature) === getAddress(walletAddress);
+  } catch {
+    return false;
+  }
+};
+
+// Pass-through stage that hashes the bytes flowing through it leaf by leaf.
+// The bytes of the leaves listed in `capture` are kept. `result()` (the
+// commitment) is valid once the pipeline has finished.
+export const createMerkleStream = (leafSize = LEAF_SIZE, { capture = [] } = {}) => {
+  const wanted = new Set(capture);
+  const leafHashes = [];
+  const captured = new Map();
+  let pending = Buffer.alloc(0);
+  let size = 0;
+
+  const addLeaves = (final) => {
+    let offset = 0;
+    while (pending.length - offset >= leafSize || (final && offset < pending.length)) {
+      const leaf = pending.subarray(offset, offset + leafSize);
+      if (wanted.has(leafHashes.length)) {
+        captured.set(leafHashes.length, Buffer.from(leaf));
+      }
+      leafHashes.push(hashLeaf(leaf));
+      offset += leaf.length;
+    }
+    pending = pending.subarray(offset);
+  };
+
+  const stage = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      pending = Buffer.concat([pending, chunk]);
+      addLeaves(false);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      addLeaves(true);
+      callback();
+    }
+  });
+  stage.leafHashes = leafHashes;
+  stage.captured = captured;
+  stage.result = () => ({
+    root: merkleRoot(leafHashes).toString('hex'),
+    leafSize,
+    leafCount: leafHashes.length,
+    size
+  });
+  return stage;
+};
+
+// Every level of the tree, leaves first. A node without a partner is carried
+// up to the next level unchanged.
+const treeLevels = (leafHashes) => {
+  const levels = [leafHashes];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let index = 0; index < level.length; index += 2) {
+      next.push(index + 1 < level.length ? hashNode(level[index], level[index + 1]) : level[index]);
+    }
+    levels.push(next);
+  }
+  return levels;
+};
+
+export const merkleRoot = (leafHashes) => {
+  if (leafHashes.length === 0) {
+    return hashLeaf(Buffer.alloc(0));
+  }
+  const levels = treeLevels(leafHashes);
+  return levels[levels.length - 1][0];
+};
+
+// Sibling hashes from leaf `index` up to the root, as hex
+export const merkleProof = (levels, index) => {
+  const proof = [];
+  let position = index;
+  for (const level of levels.slice(0, -1)) {
+    const sibling = position ^ 1;
+    if (sibling < level.length) {
+      proof.push(level[sibling].toString('hex'));
+    }
+    position >>= 1;
+  }
+  return proof;
+};
+
+// Length the leaf at `index` must have: full leaves except the last
+const leafLength = (commitment, index) =>
+  Math.min(commitment.leafSize, commitment.size - index * commitment.leafSize);
+
+// Check that `data` is leaf `index` of the file `commitment` describes
+export const verifyMerkleProof = (commitment, index, data, proof) => {
+  if (!Number.isInteger(index) || index < 0 || index >= commitment.leafCount ||
+      data.length !== leafLength(commitment, index) || !Array.isArray(proof)) {
+    return false;
+  }
+  let hash = hashLeaf(data);
+  let position = index;
+  let width = commitment.leafCount;
+  let used = 0;
+  while (width > 1) {
+    const sibling = position ^ 1;
+    if (sibling < width) {
+      if (used >= proof.length || !/^[0-9a-f]{64}$/i.test(proof[used])) {
+        return false;
+      }
+      const other = Buffer.from(proof[used++], 'hex');
+      hash = position % 2 === 0 ? hashNode(hash, other) : hashNode(other, hash);
+    }
+    position >>= 1;
+    width = Math.ceil(width / 2);
+  }
+  return used === proof.length && hash.toString('hex') === commitment.root;
+};
+
+// `count` distinct random leaf indexes, in order
+const pickLeaves = (leafCount, count) => {
+  const picked = new Set();
+  while (picked.size < Math.min(count, leafCount)) {
+    picked.add(crypto.randomInt(leafCount));
+  }
+  return [...picked].sort((a, b) => a - b);
+};
+
+// Provider side: read `cid` from the node's own blockstore (offline, so a
+// provider that dropped the content cannot fetch it back from the network)
+// and prove the requested leaves
+export const proveLeaves = async (ipfs, cid, { leafSize, leaves }) => {
+  const merkle = createMerkleStream(leafSize, { capture: leaves });
+  await streamPipeline(
+    Readable.from(ipfs.cat(cid, { offline: true, timeout: READ_TIMEOUT })),
+    merkle,
+    new Writable({ write: (chunk, encoding, callback) => callback() })
+  );
+  const levels = treeLevels(merkle.leafHashes);
+  return {
+    leaves: leaves.map(index => ({
+      index,
+      data: merkle.captured.get(index)?.toString('base64') ?? null,
+      proof: merkleProof(levels, index)
+    }))
+  };
+};
+
+// Answer every open challenge addressed to this provider. A file the node
+// cannot read is answered with the error, which fails the challenge.
+export const answerChallenges = async ({ ipfs, providerId }) => {
+  const result = { answered: [], failed: [] };
+  for (const challenge of await getPendingChallenges(providerId)) {
+    let response;
+    try {
+      response = await proveLeaves(ipfs, challenge.cid, {
+        leafSize: challenge.commitment.leafSize,
+        leaves: challenge.leaves
+      });
+      result.answered.push(challenge.cid);
+    } catch (error) {
+      response = { error: error.message };
+      result.failed.push(challenge.cid);
+    }
+    await answerChallenge(challenge.id, response);
+  }
+  return result;
+};
+
+// Why `response` does not prove `leaves` of the file `commitment`
+// describes, or null if it does
+export const checkResponse = (response, { commitment, leaves }) => {
+  if (!response) {
+    return 'no response';
+  }
+  if (response.error) {
+    return `provider could not read the file: ${response.error}`;
+  }
+  const answered = new Map((response.leaves || []).map(leaf => [leaf.index, leaf]));
+  for (const index of leaves) {
+    const leaf = answered.get(index);
+    if (!leaf || typeof leaf.data !== 'string') {
+      return `leaf ${index} missing`;
+    }
+    if (!verifyMerkleProof(commitment, index, Buffer.from(leaf.data, 'base64'), leaf.proof)) {
+      return `leaf ${index} does not match the commitment`;
+    }
+  }
+  return null;
+};
+
+// The commitment and leaves of every challenge this wallet issued and has
+// not settled, by challenge ID, so a run interrupted while waiting can still
+// check the answers
+const issuedPath = (walletAddress) => configPath('challenges', `${walletAddress.toLowerCase()}.json`);
+
+const readIssued = (walletAddress) => {
+  const file = issuedPath(walletAddress);
+  return new Map(fs.existsSync(file) ? Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))) : []);
+};
+
+const writeIssued = (walletAddress, issued) => {
+  fs.writeFileSync(issuedPath(walletAddress), JSON.stringify(Object.fromEntries(issued)), { mode: 0o600 });
+};
+
+// Record the outcome of challenges that were answered or ran out of time.
+// An answer is only judged when this wallet has the challenge's expected
+// leaves; one issued elsewhere is left to its verifier. Returns the resolved
+// challenges with their status and reason.
+const settleChallenges = async (walletAddress, challenges, now = Date.now()) => {
+  const issued = readIssued(walletAddress);
+  const settled = [];
+  try {
+    for (const challenge of challenges) {
+      const expected = issued.get(String(challenge.id));
+      const expired = new Date(challenge.expires_at).getTime() <= now;
+      let reason;
+      if (challenge.status === 'answered' && expected) {
+        reason = checkResponse(challenge.response, expected);
+      } else if (expired && (challenge.status === 'pending' || expected)) {
+        reason = 'no response before the deadline';
+      } else {
+        continue;
+      }
+      const status = reason ? 'failed' : 'passed';
+      await resolveChallenge(challenge.id, { status, reason });
+      issued.delete(String(challenge.id));
+      settled.push({ ...challenge, status, reason });
+    }
+  } finally {
+    writeIssued(walletAddress, issued);
+  }
+  return settled;
+};
+
+const historyStart = () => new Date(Date.now() - CHALLENGE_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+// Passed and failed challenge counts per provider over the history window,
+// with the most recent failure
+export const providerChallengeStats = async (providerIds) => {
+  const stats = new Map(providerIds.map(id => [id, { passed: 0, failed: 0, lastFailure: null }]));
+  if (providerIds.length === 0) {
+    return stats;
+  }
+  for (const result of await getChallengeResults({ providerIds, since: historyStart() })) {
+    const entry = stats.get(result.provider_id);
+    entry[result.status]++;
+    entry.lastFailure = entry.lastFailure || (result.status === 'failed' ? result : null);
+  }
+  return stats;
+};
+
+// Most recent challenge outcome of each CID within the history window
+export const latestChallenges = async (cids) => {
+  const latest = new Map();
+  if (cids.length === 0) {
+    return latest;
+  }
+  for (const result of await getChallengeResults({ cids, since: historyStart() })) {
+    if (!latest.has(result.cid)) {
+      latest.set(result.cid, result);
+    }
+  }
+  return latest;
+};
+
+const leaseActive = (row, now) => !row.lease_expires_at || new Date(row.lease_expires_at).getTime() > now;
+
+// The wallet's files (and shards) to challenge: ones with a commitment it
+// signed and a live lease, limited to `cids` (a sharded file's CID selects
+// its shards) and to a random `sample` of them if given. Rows whose
+// commitment is unsigned or fails the check come back as `unsigned`.
+const selectTargets = async (walletAddress, { cids = [], sample } = {}) => {
+  const now = Date.now();
+  let files = (await getChallengeableFiles(walletAddress)).filter(row => leaseActive(row, now));
+  if (cids.length > 0) {
+    const requested = new Set(cids);
+    files = files.filter(row => requested.has(row.cid) || requested.has(row.parent_cid));
+    const missing = cids.filter(cid => !files.some(row => row.cid === cid || row.parent_cid === cid));
+    if (missing.length > 0) {
+      throw new Error(`No storage commitment recorded for ${missing.join(', ')}`);
+    }
+  }
+  const unsigned = files.filter(row => !commitmentSignedBy(row, walletAddress));
+  files = files.filter(row => !unsigned.includes(row));
+  if (sample !== undefined && files.length > sample) {
+    const shuffled = [...files];
+    for (let index = shuffled.length - 1; index > 0; index--) {
+      const other = crypto.randomInt(index + 1);
+      [shuffled[index], shuffled[other]] = [shuffled[other], shuffled[index]];
+    }
+    files = shuffled.slice(0, sample);
+  }
+  return { files, unsigned };
+};
+
+// Issue one challenge per file and wait for the providers to answer
+const challengeRound = async (walletAddress, files, { leaves, timeout, spinner }) => {
+  const expiresAt = new Date(Date.now() + timeout).toISOString();
+  const picks = new Map(files.map(row => [row.cid, {
+    commitment: row.commitment,
+    leaves: pickLeaves(row.commitment.leafCount, leaves)
+  }]));
+  const issued = await createChallenges(files.map(row => ({
+    cid: row.cid,
+    providerId: row.provider_id,
+    challengerAddress: walletAddress,
+    ...picks.get(row.cid),
+    expiresAt
+  })));
+  const expected = readIssued(walletAddress);
+  issued.forEach(challenge => expected.set(String(challenge.id), picks.get(challenge.cid)));
+  writeIssued(walletAddress, expected);
+
+  const results = [];
+  let open = issued.map(challenge => challenge.id);
+  while (open.length > 0) {
+    spinner.text = `Waiting for ${open.length} of ${issued.length} challenge(s) to be answered...`;
+    const settled = await settleChallenges(walletAddress, await getChallenges(open));
+    results.push(...settled);
+    const done = new Set(settled.map(challenge => challenge.id));
+    open = open.filter(id => !done.has(id));
+    if (open.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, RESULT_POLL_INTERVAL));
+    }
+  }
+  return results;
+};
+
+const printResults = (results, files) => {
+  const names = new Map(files.map(row => [row.cid, row.file_name]));
+  for (const result of results) {
+    const name = names.get(result.cid) || result.cid;
+    if (result.status === 'passed') {
+      console.log(chalk.green(`  passed  ${name}  provider ${result.provider_id}`));
+    } else {
+      console.log(chalk.red(`  failed  ${name}  provider ${result.provider_id}: ${result.reason}`));
+    }
+  }
+};
+
+const positiveWhole = (value, option) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${option} must be a whole number, at least 1`);
+  }
+  return number;
+};
+
+// Longest delay setTimeout can wait; anything longer fires at once
+const MAX_DELAY = 2 ** 31 - 1;
+
+// Minutes as milliseconds, above 0 (or at least `min`) and short enough
+// for setTimeout
+const positiveMinutes = (value, option, { min } = {}) => {
+  const number = Number(value);
+  const low = min === undefined ? number > 0 : number >= min;
+  if (!Number.isFinite(number) || !low || number * 60000 > MAX_DELAY) {
+    throw new Error(`${option} must be ${min === undefined ? 'a positive number of minutes' : `at least ${min} minute`}, at most ${Math.floor(MAX_DELAY / 60000)}`);
+  }
+  return number * 60000;
+};
+
+// Check the challenge command's options and fill in defaults. `timeout`
+// and `interval` come back in milliseconds.
+export const parseChallengeOptions = ({ leaves, sample, timeout, interval }) => ({
+  leaves: leaves === undefined ? CHALLENGE_LEAVES : positiveWhole(leaves, '--leaves'),
+  sample: sample === undefined ? undefined : positiveWhole(sample, '--sample'),
+  timeout: timeout === undefined ? CHALLENGE_TIMEOUT : positiveMinutes(timeout, '--timeout'),
+  interval: interval === undefined ? DEFAULT_ROUND_INTERVAL : positiveMinutes(interval, '--interval', { min: 1 })
+});
+
+// Challenge the providers holding the wallet's files. With `watch` this runs
+// as a verifier daemon, one round every `interval` minutes; otherwise a
+// single round, exiting non-zero if any challenge failed.
+export async function challengeProviders(cids = [], options = {}) {
+  const walletAddress = getAddress(getWalletAddress(options.wallet));
+  const { leaves, sample, timeout, interval } = parseChallengeOptions(options);
+
+  const round = async () => {
+    const spinner = ora('Checking earlier challenges...').start();
+    try {
+      // Challenges left open by an interrupted run are settled first
+      const earlier = await settleChallenges(walletAddress, await getOpenChallenges(walletAddress));
+      spinner.text = 'Selecting files to challenge...';
+      const { files, unsigned } = await selectTargets(walletAddress, { cids, sample });
+      if (unsigned.length > 0) {
+        spinner.warn(`Not challenging ${unsigned.length} file(s) whose commitment is not signed by this wallet: ${unsigned.map(row => row.cid).join(', ')}`);
+        spinner.start('Selecting files to challenge...');
+      }
+      if (files.length === 0) {
+        spinner.info('No stored files with a storage commitment to challenge');
+        return [];
+      }
+      const results = [...earlier, ...await challengeRound(walletAddress, files, { leaves, timeout, spinner })];
+      const failed = results.filter(result => result.status === 'failed').length;
+      if (failed > 0) {
+        spinner.warn(`${failed} of ${results.length} challenge(s) failed`);
+      } else {
+        spinner.succeed(`All ${results.length} challenge(s) passed`);
+      }
+      printResults(results, files);
+      return results;
+    } catch (error) {
+      spinner.fail('Challenge round failed');
+      throw error;
+    }
+  };
+
+  if (!options.watch) {
+    const results = await round();
+    if (results.some(result => result.status === 'failed')) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  console.log(chalk.blue(`Challenging providers every ${interval / 60000} minutes; press Ctrl+C to stop`));
+  for (;;) {
+    try {
+      await round();
+    } catch (error) {
+      console.error(chalk.red('Error:', error.message));
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
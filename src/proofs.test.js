@@ -0,0 +1,166 @@
+import crypto from 'crypto';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { describe, it, expect, vi } from 'vitest';
+import { Wallet } from 'ethers';
+import {
+  createMerkleStream,
+  proveLeaves,
+  verifyMerkleProof,
+  checkResponse,
+  parseChallengeOptions,
+  signCommitment,
+  commitmentSignedBy
+} from './proofs.js';
+
+// Proofs are built and checked locally; nothing here reaches Supabase
+vi.mock('./supabase.js', () => ({}));
+
+const LEAF_SIZE = 64;
+
+const commit = async (data) => {
+  const merkle = createMerkleStream(LEAF_SIZE);
+  await pipeline(Readable.from([data]), merkle, new Writable({ write: (chunk, encoding, callback) => callback() }));
+  return merkle.result();
+};
+
+// A provider node holding `data`
+const nodeWith = (data) => ({
+  cat: async function* () {
+    for (let offset = 0; offset < data.length; offset += 50) {
+      yield data.subarray(offset, offset + 50);
+    }
+  }
+});
+
+const prove = (data, leaves) => proveLeaves(nodeWith(data), 'cid', { leafSize: LEAF_SIZE, leaves });
+
+describe('verifyMerkleProof', () => {
+  // 11 leaves, the last one short, so some nodes have no partner
+  const data = crypto.randomBytes(10 * LEAF_SIZE + 17);
+
+  it('accepts every leaf of the file with its proof', async () => {
+    const commitment = await commit(data);
+    expect(commitment).toMatchObject({ leafSize: LEAF_SIZE, leafCount: 11, size: data.length });
+    const indexes = [...Array(11).keys()];
+    const { leaves } = await prove(data, indexes);
+    for (const leaf of leaves) {
+      expect(verifyMerkleProof(commitment, leaf.index, Buffer.from(leaf.data, 'base64'), leaf.proof), `leaf ${leaf.index}`).toBe(true);
+    }
+  });
+
+  it('accepts the only leaf of a one-leaf file', async () => {
+    const small = crypto.randomBytes(10);
+    const { leaves: [leaf] } = await prove(small, [0]);
+    expect(leaf.proof).toEqual([]);
+    expect(verifyMerkleProof(await commit(small), 0, small, [])).toBe(true);
+  });
+
+  it('rejects modified data, a proof for another leaf and a wrong index', async () => {
+    const commitment = await commit(data);
+    const { leaves: [three, four] } = await prove(data, [3, 4]);
+    const modified = Buffer.from(three.data, 'base64');
+    modified[0] ^= 1;
+    expect(verifyMerkleProof(commitment, 3, modified, three.proof)).toBe(false);
+    expect(verifyMerkleProof(commitment, 3, Buffer.from(three.data, 'base64'), four.proof)).toBe(false);
+    expect(verifyMerkleProof(commitment, 4, Buffer.from(three.data, 'base64'), three.proof)).toBe(false);
+    expect(verifyMerkleProof(commitment, 11, Buffer.alloc(LEAF_SIZE), three.proof)).toBe(false);
+    expect(verifyMerkleProof(commitment, -1, Buffer.alloc(LEAF_SIZE), three.proof)).toBe(false);
+  });
+
+  it('rejects proofs that are short, padded or not hex', async () => {
+    const commitment = await commit(data);
+    const { leaves: [leaf] } = await prove(data, [5]);
+    const bytes = Buffer.from(leaf.data, 'base64');
+    expect(verifyMerkleProof(commitment, 5, bytes, leaf.proof.slice(1))).toBe(false);
+    expect(verifyMerkleProof(commitment, 5, bytes, [...leaf.proof, leaf.proof[0]])).toBe(false);
+    expect(verifyMerkleProof(commitment, 5, bytes, leaf.proof.map(hash => `${hash.slice(0, -1)}z`))).toBe(false);
+    expect(verifyMerkleProof(commitment, 5, bytes, 'proof')).toBe(false);
+  });
+
+  it('rejects a leaf of the wrong length', async () => {
+    const commitment = await commit(data);
+    const { leaves: [last] } = await prove(data, [10]);
+    const padded = Buffer.concat([Buffer.from(last.data, 'base64'), Buffer.alloc(1)]);
+    expect(verifyMerkleProof(commitment, 10, padded, last.proof)).toBe(false);
+  });
+});
+
+describe('checkResponse', () => {
+  const data = crypto.randomBytes(8 * LEAF_SIZE);
+
+  it('passes an answer for the picked leaves', async () => {
+    const commitment = await commit(data);
+    expect(checkResponse(await prove(data, [1, 6]), { commitment, leaves: [1, 6] })).toBeNull();
+  });
+
+  it('judges the answer by the leaves the verifier picked, not the ones answered', async () => {
+    const commitment = await commit(data);
+    expect(checkResponse(await prove(data, [1, 2]), { commitment, leaves: [1, 6] })).toBe('leaf 6 missing');
+  });
+
+  it('fails an answer proved against another commitment', async () => {
+    const commitment = await commit(data);
+    const other = crypto.randomBytes(8 * LEAF_SIZE);
+    expect(checkResponse(await prove(other, [1, 6]), { commitment, leaves: [1, 6] })).toBe('leaf 1 does not match the commitment');
+  });
+
+  it('reports no response and read errors', async () => {
+    const expected = { commitment: await commit(data), leaves: [0] };
+    expect(checkResponse(null, expected)).toBe('no response');
+    expect(checkResponse({ error: 'block not found' }, expected)).toBe('provider could not read the file: block not found');
+    expect(checkResponse({ leaves: [{ index: 0, data: null, proof: [] }] }, expected)).toBe('leaf 0 missing');
+  });
+
+  it('fails a provider that no longer has a leaf', async () => {
+    const commitment = await commit(data);
+    const holes = Buffer.from(data);
+    holes.fill(0, 3 * LEAF_SIZE, 4 * LEAF_SIZE);
+    expect(checkResponse(await prove(holes, [3]), { commitment, leaves: [3] })).toBe('leaf 3 does not match the commitment');
+  });
+});
+
+describe('signed commitments', () => {
+  const wallet = Wallet.createRandom();
+  const data = crypto.randomBytes(3 * LEAF_SIZE);
+  const cid = 'bafkreiexamplecid';
+
+  it('accepts the commitment the wallet signed for the CID', async () => {
+    const commitment = await signCommitment(wallet.privateKey.slice(2), cid, await commit(data));
+    expect(commitmentSignedBy({ cid, commitment }, wallet.address.toLowerCase())).toBe(true);
+  });
+
+  it('rejects a replaced root, another CID, another wallet and no signature', async () => {
+    const commitment = await signCommitment(wallet.privateKey, cid, await commit(data));
+    const forged = { ...await commit(crypto.randomBytes(3 * LEAF_SIZE)), signature: commitment.signature };
+    expect(commitmentSignedBy({ cid, commitment: forged }, wallet.address)).toBe(false);
+    expect(commitmentSignedBy({ cid: 'bafkreiothercid', commitment }, wallet.address)).toBe(false);
+    expect(commitmentSignedBy({ cid, commitment }, Wallet.createRandom().address)).toBe(false);
+    expect(commitmentSignedBy({ cid, commitment: await commit(data) }, wallet.address)).toBe(false);
+    const resigned = await signCommitment(Wallet.createRandom().privateKey, cid, await commit(data));
+    expect(commitmentSignedBy({ cid, commitment: resigned }, wallet.address)).toBe(false);
+  });
+});
+
+describe('parseChallengeOptions', () => {
+  it('fills in defaults and converts minutes', () => {
+    expect(parseChallengeOptions({})).toEqual({ leaves: 4, sample: undefined, timeout: 15 * 60000, interval: 60 * 60000 });
+    expect(parseChallengeOptions({ leaves: '8', sample: '20', timeout: '0.5', interval: '30' }))
+      .toEqual({ leaves: 8, sample: 20, timeout: 30000, interval: 30 * 60000 });
+  });
+
+  it.each([
+    [{ leaves: '0' }, /--leaves/],
+    [{ leaves: '2.5' }, /--leaves/],
+    [{ sample: 'many' }, /--sample/],
+    [{ sample: '-1' }, /--sample/],
+    [{ timeout: 'soon' }, /--timeout/],
+    [{ timeout: '0' }, /--timeout/],
+    [{ timeout: 'Infinity' }, /--timeout/],
+    [{ interval: 'NaN' }, /--interval/],
+    [{ interval: '0.01' }, /--interval/],
+    [{ interval: '1e9' }, /--interval/]
+  ])('rejects %o', (options, message) => {
+    expect(() => parseChallengeOptions(options)).toThrow(message);
+  });
+});
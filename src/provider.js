@@ -6,11 +6,42 @@ import { promisify } from 'util';
 import Web3 from 'web3';
 import HDWalletProvider from '@truffle/hdwallet-provider';
 import * as IPFS from 'ipfs-http-client';
-import { savePrivateKey, loadPrivateKey } from './keystore.js';
-import { createProvider, updateProviderStorage, getProviderFiles } from './supabase.js';
+import { savePrivateKey, loadPrivateKey, KeystorePassphraseError } from './keystore.js';
+import { promptWalletCredentials } from './wallet.js';
+import {
+  createProvider,
+  updateProviderStorage,
+  updateProviderPrice,
+  recordProviderPrice,
+  PROVIDER_ACTIVE_WINDOW
+} from './supabase.js';
+import { loadConfig } from './config.js';
+import { measureCapacity, offerableStorage, enforceStorageMax, bytesToGB } from './capacity.js';
+import { syncPins, fetchPlacedFiles, PIN_SYNC_INTERVAL, PLACEMENT_FETCH_INTERVAL } from './pinning.js';
+import { answerChallenges, CHALLENGE_POLL_INTERVAL } from './proofs.js';
+import { createScheduler } from './scheduler.js';
+import {
+  resolvePricing,
+  pricingProblems,
+  priceDecimal,
+  isValidPrice,
+  priceFor,
+  utilizationOf,
+  describePricing,
+  PRICE_CHECK_INTERVAL
+} from './pricing.js';
+import { createProviderMetrics, serveMetrics, timed } from './metrics.js';
 
 const execAsync = promisify(exec);
 
+// Heartbeat and reward-claim intervals in seconds, and the jitter (a
+// fraction) applied to every task's delays
+export const DEFAULT_SCHEDULE = { heartbeat: 60, claim: 300, jitter: 0.1 };
+// A failed heartbeat is retried after this long at first, backing off to
+// the heartbeat interval
+const HEARTBEAT_RETRY = 5 * 1000;
+const HEARTBEAT_WATCH_INTERVAL = 15 * 1000;
+
 // BSC Testnet configuration
 const BSC_TESTNET_RPC = 'https://data-seed-prebsc-1-s1.binance.org:8545/';
 const AAI_TOKEN_ADDRESS = '0xd5F6a56c8B273854fbd135239FcbcC2B8142585a';
@@ -96,30 +127,29 @@ const STORAGE_CONTRACT_ABI = [
   }
 ];
 
-// Function to check actual available storage
-async function checkAvailableStorage() {
+// GB the IPFS node can offer, from the filesystem holding its repo
+async function checkAvailableStorage(ipfs) {
   try {
-    const { stdout } = await execAsync('wmic logicaldisk get freespace,caption');
-    const lines = stdout.trim().split('\n');
-    let totalFreeGB = 0;
-    
-    // Skip header line and process each drive
-    for (let i = 1; i < lines.length; i++) {
-      const [drive, freeSpace] = lines[i].trim().split(/\s+/);
-      if (drive && freeSpace) {
-        totalFreeGB += Math.floor(parseInt(freeSpace) / (1024 * 1024 * 1024));
-      }
-    }
-    return totalFreeGB;
+    return offerableStorage(await measureCapacity(ipfs));
   } catch (error) {
     console.error(chalk.red('Error checking storage:', error.message));
     return 0;
   }
 }
 
+// Peer ID and dialable multiaddrs of the local IPFS node. Loopback addresses
+// are useless to clients and are left out.
+async function advertisedNode(ipfs) {
+  const { id, addresses } = await ipfs.id();
+  const ipfsMultiaddrs = addresses
+    .map(address => address.toString())
+    .filter(address => !/^\/ip4\/127\.|^\/ip6\/::1\//.test(address));
+  return { ipfsPeerId: id.toString(), ipfsMultiaddrs };
+}
+
 // Function to verify and update provider storage
-async function verifyProviderStorage(providerId, allocatedStorage) {
-  const availableStorage = await checkAvailableStorage();
+async function verifyProviderStorage(ipfs, allocatedStorage) {
+  const availableStorage = await checkAvailableStorage(ipfs);
   if (availableStorage < allocatedStorage) {
     console.log(chalk.yellow(`Warning: Requested storage (${allocatedStorage}GB) exceeds available storage (${availableStorage}GB)`));
     return availableStorage;
@@ -127,275 +157,515 @@ async function verifyProviderStorage(providerId, allocatedStorage) {
   return allocatedStorage;
 }
 
-export const startProvider = async () => {
-  const spinner = ora('Starting DePIN Storage Provider...').start();
-  let provider;
-  
+// Make sure the IPFS CLI is installed and a daemon is running, starting one
+// (with garbage collection, so Datastore.StorageMax is enforced) if not
+export const ensureIpfsDaemon = async (spinner) => {
+  spinner.text = 'Checking IPFS installation and daemon status...';
+  await execAsync('ipfs --version');
+  spinner.succeed('IPFS is installed');
+
   try {
-    // Check and initialize IPFS
-    spinner.text = 'Checking IPFS installation and daemon status...';
-    try {
-      // Check IPFS installation
-      await execAsync('ipfs --version');
-      spinner.succeed('IPFS is installed');
-
-      // Check if IPFS daemon is already running
-      try {
-        await execAsync('ipfs swarm peers');
-        spinner.info('IPFS daemon already running');
-      } catch {
-        // Initialize IPFS if not already initialized
-        spinner.text = 'Initializing IPFS...';
-        try {
-          await execAsync('ipfs init');
-          spinner.succeed('IPFS initialized successfully');
-        } catch (initError) {
-          if (!initError.message.includes('already initialized')) {
-            throw initError;
-          }
-          spinner.info('IPFS already initialized');
-        }
+    await execAsync('ipfs swarm peers');
+    spinner.info('IPFS daemon already running');
+    return;
+  } catch {
+    // Not running yet
+  }
+
+  spinner.start('Initializing IPFS...');
+  try {
+    await execAsync('ipfs init');
+    spinner.succeed('IPFS initialized successfully');
+  } catch (initError) {
+    if (!initError.message.includes('already initialized')) {
+      throw initError;
+    }
+    spinner.info('IPFS already initialized');
+  }
+
+  spinner.start('Starting IPFS daemon...');
+  exec('ipfs daemon --enable-gc', (error) => {
+    if (error) {
+      console.error(chalk.red('IPFS daemon error:', error.message));
+    }
+  });
+  // Wait for daemon to start
+  await new Promise(resolve => setTimeout(resolve, 3000));
+  spinner.succeed('IPFS daemon started successfully');
+};
+
+// Register the provider on-chain and in Supabase with `storage` GB (capped
+// at what the IPFS repo's filesystem can hold) at the price `pricing` sets
+// for its current usage. Returns what the periodic tasks need.
+export const registerProvider = async ({ web3, walletAddress, ipfs, storage, pricing, publicApiUrl, spinner }) => {
+  spinner.start('Connecting to IPFS node...');
+  const version = await ipfs.version();
+  spinner.succeed(`Successfully connected to IPFS node (version ${version.version})`);
+
+  // Advertise how clients reach this node so uploads land here rather
+  // than on the client's own node
+  const node = await advertisedNode(ipfs);
+  if (node.ipfsMultiaddrs.length === 0) {
+    console.log(chalk.yellow('Warning: this IPFS node has no public swarm addresses, so clients cannot place uploads with it'));
+  }
+
+  // Get actual system storage and verify
+  const availableStorage = await checkAvailableStorage(ipfs);
+  const verifiedStorage = Math.min(parseInt(storage), availableStorage);
+  if (verifiedStorage <= 0) {
+    throw new Error('No disk space is available for the IPFS repo');
+  }
+
+  // Storage figures come from the repo itself: what it holds, and what
+  // is left on the filesystem it lives on
+  const storageStatus = async () => {
+    const capacity = await measureCapacity(ipfs);
+    const used = bytesToGB(capacity.repoSize);
+    return {
+      capacity,
+      used,
+      total: bytesToGB(capacity.totalBytes),
+      available: Math.max(0, Math.min(verifiedStorage - used, bytesToGB(capacity.freeBytes)))
+    };
+  };
+  const initialStatus = await storageStatus();
+  console.log(chalk.blue(`IPFS repo ${initialStatus.capacity.repoPath}: ${formatStorageSize(initialStatus.used)} used, ${formatStorageSize(bytesToGB(initialStatus.capacity.freeBytes))} free on disk`));
+
+  // Keep the repo inside the allocation
+  if (await enforceStorageMax(ipfs, verifiedStorage, initialStatus.capacity)) {
+    console.log(chalk.yellow(`Set Datastore.StorageMax to ${verifiedStorage}GiB. Restart the IPFS daemon with --enable-gc for the limit to take effect.`));
+  }
+
+  const utilization = utilizationOf(verifiedStorage, initialStatus.available);
+  const price = priceFor(pricing, utilization);
+
+  // Generate a unique provider ID based on wallet address
+  const providerId = web3.utils.keccak256(walletAddress).slice(2, 10);
+  const storageContract = new web3.eth.Contract(STORAGE_CONTRACT_ABI, STORAGE_CONTRACT_ADDRESS);
+
+  spinner.start('Registering provider on blockchain and database...');
+  await storageContract.methods.registerProvider(
+    web3.utils.toWei(verifiedStorage.toString(), 'ether'),
+    web3.utils.toWei(priceDecimal(price), 'ether')
+  ).send({ from: walletAddress });
 
-        // Start IPFS daemon
-        spinner.text = 'Starting IPFS daemon...';
-        const daemonProcess = exec('ipfs daemon', (error) => {
-          if (error) {
-            console.error(chalk.red('IPFS daemon error:', error.message));
-          }
-        });
-        // Wait for daemon to start
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        spinner.succeed('IPFS daemon started successfully');
+  try {
+    await createProvider({
+      id: providerId,
+      address: walletAddress,
+      storage: verifiedStorage,
+      price,
+      totalStorage: initialStatus.total,
+      availableStorage: initialStatus.available,
+      usedStorage: initialStatus.used,
+      ipfsApiUrl: publicApiUrl,
+      ...node,
+      is_active: true,
+      last_updated: new Date().toISOString()
+    });
+    spinner.succeed('Provider registered successfully');
+  } catch (dbError) {
+    if (!dbError.message.includes('providers_pkey')) {
+      throw dbError;
+    }
+    // Provider already exists, update their record
+    await updateProviderStorage(providerId, {
+      allocated: verifiedStorage,
+      available: initialStatus.available,
+      total: initialStatus.total,
+      used: initialStatus.used,
+      price,
+      ipfsApiUrl: publicApiUrl,
+      ...node,
+      last_updated: new Date().toISOString()
+    });
+    spinner.succeed('Provider information updated successfully');
+  }
+  await recordProviderPrice({ providerId, price, utilization });
+
+  updateProviderStatus(providerId, {
+    address: walletAddress,
+    storage: verifiedStorage,
+    price,
+    lastSeen: Date.now(),
+    ipfsNode: ipfs,
+    contract: storageContract
+  });
+
+  return { providerId, storage: verifiedStorage, price, pricing, storageStatus, storageContract };
+};
+
+// What is wrong with `schedule`, if anything. A heartbeat has to land well
+// inside the active window, with room for a retry, or a single failure
+// takes the provider out of clients' lists.
+export const scheduleProblems = (schedule) => {
+  const problems = [];
+  const { heartbeat, claim, jitter } = schedule;
+  if (!(typeof jitter === 'number' && jitter >= 0 && jitter <= 0.5)) {
+    problems.push('schedule.jitter must be a fraction between 0 and 0.5');
+  }
+  const limit = PROVIDER_ACTIVE_WINDOW / 2000;
+  if (!(typeof heartbeat === 'number' && heartbeat > 0)) {
+    problems.push('schedule.heartbeat must be a positive number of seconds');
+  } else if (heartbeat * (1 + (Number(jitter) || 0)) >= limit) {
+    problems.push(`schedule.heartbeat must stay under ${limit}s, jitter included, so a failed heartbeat can be retried before clients drop the provider`);
+  }
+  if (!(typeof claim === 'number' && claim > 0)) {
+    problems.push('schedule.claim must be a positive number of seconds');
+  }
+  return problems;
+};
+
+// The `provider.schedule` section of config.json
+export const scheduleSettings = () => {
+  const schedule = { ...DEFAULT_SCHEDULE, ...loadConfig().provider?.schedule };
+  const problems = scheduleProblems(schedule);
+  if (problems.length > 0) {
+    throw new Error(`Invalid provider.schedule in config.json: ${problems.join('; ')}`);
+  }
+  return schedule;
+};
+
+// The `provider.pricing` section of config.json, or null without one
+export const pricingSettings = () => {
+  const section = loadConfig().provider?.pricing;
+  if (!section) {
+    return null;
+  }
+  const pricing = resolvePricing(section);
+  const problems = pricingProblems(pricing);
+  if (problems.length > 0) {
+    throw new Error(`Invalid provider.pricing in config.json: ${problems.join('; ')}`);
+  }
+  return pricing;
+};
+
+// Log when heartbeats have not reached Supabase for long enough that
+// clients are about to stop listing the provider, or already have, and
+// when one gets through again. Only changes are logged.
+const checkHeartbeat = (context) => {
+  const age = Date.now() - context.lastHeartbeat;
+  const state = age >= PROVIDER_ACTIVE_WINDOW ? 'offline' : age >= PROVIDER_ACTIVE_WINDOW / 2 ? 'at-risk' : 'ok';
+  const previous = context.heartbeatState;
+  if (state === previous) {
+    return;
+  }
+  context.heartbeatState = state;
+  const seconds = Math.round(age / 1000);
+  if (state === 'at-risk') {
+    console.log(chalk.yellow(`Warning: no heartbeat has reached Supabase for ${seconds}s; clients stop listing this provider after ${PROVIDER_ACTIVE_WINDOW / 1000}s`));
+  } else if (state === 'offline') {
+    console.log(chalk.red(`No heartbeat has reached Supabase for ${seconds}s; clients no longer list this provider`));
+  } else if (previous === 'offline') {
+    console.log(chalk.green('Heartbeat restored; clients list this provider again'));
+  } else {
+    console.log(chalk.green('Heartbeat restored'));
+  }
+};
+
+// The provider's periodic work, for createScheduler. `context` is what
+// registerProvider returned plus the IPFS client, the wallet's web3 and
+// address, the RPC URL events are read from, the metrics to update and the
+// schedule.
+const providerTasks = (context) => {
+  const { ipfs, web3, walletAddress, providerId, storageContract, metrics, schedule } = context;
+  // Events are read through a plain RPC connection, since pinning does not
+  // need the wallet
+  const pinContext = { ipfs, web3: new Web3(context.rpcUrl || BSC_TESTNET_RPC), providerId, walletAddress };
+  const aaiToken = new web3.eth.Contract(AAI_TOKEN_ABI, AAI_TOKEN_ADDRESS);
+  // Registration has just written the provider's row
+  context.lastHeartbeat = Date.now();
+  context.heartbeatState = 'ok';
+
+  return [
+    {
+      // Report storage to Supabase; this is also the heartbeat that keeps
+      // the provider in clients' lists
+      name: 'heartbeat',
+      description: 'updating storage status',
+      interval: schedule.heartbeat * 1000,
+      retryDelay: HEARTBEAT_RETRY,
+      maxRetryDelay: schedule.heartbeat * 1000,
+      run: async () => {
+        const { capacity, used, available, total } = await context.storageStatus();
+        metrics.setRepo(capacity);
+        metrics.setStorage({ allocated: context.storage, used, available });
+        metrics.setPrice(context.price);
+        await timed(metrics.supabaseLatency, { operation: 'update_provider' }, () => updateProviderStorage(providerId, {
+          allocated: context.storage,
+          available,
+          total,
+          used,
+          price: context.price,
+          is_active: true,
+          last_updated: new Date().toISOString()
+        }));
+        context.lastHeartbeat = Date.now();
+        checkHeartbeat(context);
+        context.usage = { used, available, total };
+        if (used > 0) {
+          console.log(chalk.yellow(`Storage Usage: ${formatStorageSize(used)} used out of ${formatStorageSize(context.storage)} allocated`));
+        }
       }
+    },
+    {
+      // Local check only: warns while heartbeats are failing or stuck
+      name: 'heartbeat-watch',
+      description: 'checking the heartbeat',
+      interval: HEARTBEAT_WATCH_INTERVAL,
+      run: async () => checkHeartbeat(context)
+    },
+    {
+      // Fetch files clients are placing with this provider; their upload
+      // waits for the pin to be reported
+      name: 'placements',
+      description: 'fetching new client files',
+      interval: PLACEMENT_FETCH_INTERVAL,
+      run: async () => {
+        const result = await fetchPlacedFiles(pinContext);
+        if (result.pinned.length > 0) {
+          console.log(chalk.green(`Fetched ${result.pinned.length} new client file(s)`));
+        }
+        if (result.failed.length > 0) {
+          console.log(chalk.yellow(`Could not fetch ${result.failed.length} new client file(s) yet, retrying`));
+        }
+      }
+    },
+    {
+      // Pin the files clients store with this provider and garbage collect
+      // released ones
+      name: 'pins',
+      description: 'syncing pins',
+      interval: PIN_SYNC_INTERVAL,
+      run: async () => {
+        const result = await syncPins(pinContext);
+        metrics.setPinned(result.pinCount);
+        if (result.pinned.length > 0) {
+          console.log(chalk.green(`Pinned ${result.pinned.length} new client file(s)`));
+        }
+        if (result.failed.length > 0) {
+          console.log(chalk.yellow(`Could not pin ${result.failed.length} client file(s), retrying on the next pass`));
+        }
+        if (result.released.length > 0) {
+          console.log(chalk.yellow(`${result.released.length} file(s) released; they will be unpinned after the grace period`));
+        }
+        if (result.unpinned.length > 0) {
+          console.log(chalk.blue(`Unpinned ${result.unpinned.length} released file(s)`));
+        }
+      }
+    },
+    {
+      // Answer proof-of-storage challenges from the node's own copy
+      name: 'challenges',
+      description: 'answering storage challenges',
+      interval: CHALLENGE_POLL_INTERVAL,
+      run: async () => {
+        const result = await answerChallenges({ ipfs, providerId });
+        if (result.answered.length > 0) {
+          console.log(chalk.green(`Answered ${result.answered.length} storage challenge(s)`));
+        }
+        if (result.failed.length > 0) {
+          console.log(chalk.red(`Could not read ${result.failed.length} challenged file(s): ${result.failed.join(', ')}`));
+        }
+      }
+    },
+    {
+      // Re-price under the pricing policy. A new price is registered
+      // on-chain first; the listing and price history follow, and are
+      // retried on their own if Supabase fails.
+      name: 'pricing',
+      description: 'updating the price',
+      interval: PRICE_CHECK_INTERVAL,
+      delay: PRICE_CHECK_INTERVAL,
+      run: async () => {
+        const { available } = await context.storageStatus();
+        const utilization = utilizationOf(context.storage, available);
+        const price = priceFor(context.pricing, utilization);
+        if (price !== context.price) {
+          await timed(metrics.rpcLatency, { operation: 'register_provider' }, () => storageContract.methods.registerProvider(
+            web3.utils.toWei(context.storage.toString(), 'ether'),
+            web3.utils.toWei(priceDecimal(price), 'ether')
+          ).send({ from: walletAddress }));
+          console.log(chalk.blue(`Price changed from ${context.price} to ${price} AAI per GB at ${Math.round(utilization * 100)}% utilization`));
+          context.price = price;
+          context.priceListed = false;
+          metrics.setPrice(price);
+        }
+        if (context.priceListed === false) {
+          await timed(metrics.supabaseLatency, { operation: 'update_price' }, () => updateProviderPrice(providerId, price));
+          await timed(metrics.supabaseLatency, { operation: 'record_price' }, () => recordProviderPrice({ providerId, price, utilization }));
+          context.priceListed = true;
+        }
+      }
+    },
+    {
+      // Distribute mining rewards based on storage utilization
+      name: 'rewards',
+      description: 'claiming mining rewards',
+      interval: schedule.claim * 1000,
+      delay: schedule.claim * 1000,
+      run: async () => {
+        const balanceOf = () => timed(metrics.rpcLatency, { operation: 'balance_of' },
+          () => aaiToken.methods.balanceOf(walletAddress).call());
+        const before = web3.utils.toBN(await balanceOf());
+        await timed(metrics.rpcLatency, { operation: 'distribute_rewards' },
+          () => storageContract.methods.distributeMiningRewards().send({ from: walletAddress }));
+        const balance = web3.utils.toBN(await balanceOf());
+
+        // What the claim paid is read from the balance, as the contract
+        // does not report it
+        const gained = balance.sub(before);
+        if (gained.gtn(0)) {
+          metrics.rewardClaimed.inc({}, Number(web3.utils.fromWei(gained, 'ether')));
+        }
+        metrics.setBalance(web3.utils.fromWei(balance, 'ether'));
+        console.log(chalk.blue(`Mining rewards claimed! Current AAI Balance: ${web3.utils.fromWei(balance, 'ether')} AAI`));
+      }
+    }
+  ];
+};
+
+// Abort signal raised by SIGINT or SIGTERM. A second signal exits at once.
+export const shutdownSignal = () => {
+  const controller = new AbortController();
+  const stop = (signal) => {
+    if (controller.signal.aborted) {
+      process.exit(1);
+    }
+    console.log(chalk.yellow(`\nReceived ${signal}, gracefully shutting down...`));
+    controller.abort();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+  return controller.signal;
+};
+
+// Run the provider's tasks until `signal` aborts, then mark it offline,
+// release the wallet connection and exit. Tasks still in flight (a slow pin,
+// say) are not waited for.
+export const serveProvider = async (context, scheduler, signal) => {
+  try {
+    await scheduler.run(signal);
+  } finally {
+    await cleanupProviderStatus(context.providerId);
+    context.wallet.engine.stop();
+  }
+  console.log(chalk.yellow('Provider stopped'));
+  process.exit(0);
+};
+
+// Schedule the provider's tasks, logging failures and counting every run
+export const createProviderScheduler = (context) => createScheduler(providerTasks(context), {
+  jitter: context.schedule.jitter,
+  onError: (task, error, { failures, retryIn }) => console.error(
+    chalk.red(`Error ${task.description} (failed ${failures} time(s) in a row, retrying in ${Math.round(retryIn / 1000)}s):`, error.message)
+  ),
+  onRun: (task, error) => context.metrics.taskRuns.inc({ task: task.name, result: error ? 'failure' : 'success' })
+});
+
+// Interactive provider: prompts for anything not stored yet, then runs in
+// the foreground until interrupted
+export const startProvider = async (options = {}) => {
+  const spinner = ora('Starting DePIN Storage Provider...').start();
+  let wallet;
+
+  try {
+    try {
+      await ensureIpfsDaemon(spinner);
     } catch (error) {
       spinner.fail('IPFS setup failed');
       console.error(chalk.red('Error:', error.message));
       return;
     }
 
+    // Fail on a bad schedule or pricing policy before asking for anything
+    const schedule = scheduleSettings();
+    const configuredPricing = pricingSettings();
+
     // Try to load existing private key
-    let privateKey = loadPrivateKey();
-    
+    let privateKey = await loadPrivateKey(options.wallet);
+
     if (!privateKey) {
       // Get wallet details only if no stored key exists
       spinner.start('Waiting for wallet details...');
-      const walletDetails = await inquirer.prompt([
-        {
-          type: 'password',
-          name: 'privateKey',
-          message: 'Enter your BSC wallet private key (for receiving AAI tokens):',
-          validate: input => {
-            if (!input) return 'Private key cannot be empty';
-            if (!(input.length === 64 || input.startsWith('0x'))) {
-              return 'Invalid private key format. Must be 64 characters or start with 0x';
-            }
-            return true;
-          }
-        }
-      ]);
-
-      if (!walletDetails || !walletDetails.privateKey) {
-        throw new Error('Wallet details not provided');
-      }
-
-      privateKey = walletDetails.privateKey;
+      const credentials = await promptWalletCredentials('How do you want to import the BSC wallet that receives AAI tokens?');
+      privateKey = credentials.privateKey;
       // Save the private key for future use
-      savePrivateKey(privateKey);
+      await savePrivateKey(privateKey, options.wallet, credentials.details);
     }
 
     // Initialize Web3 provider
-    spinner.text = 'Initializing Web3 provider...';
-    provider = new HDWalletProvider(privateKey, BSC_TESTNET_RPC);
-    const web3 = new Web3(provider);
+    spinner.start('Initializing Web3 provider...');
+    wallet = new HDWalletProvider(privateKey, BSC_TESTNET_RPC);
+    const web3 = new Web3(wallet);
     const accounts = await web3.eth.getAccounts();
     const walletAddress = accounts[0];
     spinner.succeed(`Connected to BSC Testnet with address: ${walletAddress}`);
 
-    // Get storage configuration with fixed price
-    spinner.start('Waiting for storage configuration...');
+    spinner.stop();
     const answers = await inquirer.prompt([
       {
         type: 'input',
         name: 'storage',
         message: 'How much storage would you like to allocate (in GB)?',
         validate: input => !isNaN(input) && parseInt(input) > 0
+      },
+      {
+        type: 'input',
+        name: 'price',
+        message: 'Price per GB (in AAI):',
+        default: '10',
+        validate: input => isValidPrice(Number(input)) || 'Please enter a positive price with at most 18 decimals',
+        when: () => !configuredPricing
       }
     ]);
-    
-    // Set fixed price of 10 AAI per GB
-    answers.price = 10;
 
-    // Connect to IPFS
-    spinner.text = 'Connecting to IPFS node...';
+    const ipfs = IPFS.create({ url: 'http://127.0.0.1:5001' });
+    let registration;
     try {
-      const ipfs = IPFS.create({ url: 'http://127.0.0.1:5001' });
-      const version = await ipfs.version();
-      spinner.succeed(`Successfully connected to IPFS node (version ${version.version})`);
-
-      // Get actual system storage and verify
-      const availableStorage = await checkAvailableStorage();
-      const verifiedStorage = Math.min(parseInt(answers.storage), availableStorage);
-      
-      // Generate a unique provider ID based on wallet address
-      const providerId = web3.utils.keccak256(walletAddress).slice(2, 10);
-      
-      // Initialize storage contract
-      const storageContract = new web3.eth.Contract(STORAGE_CONTRACT_ABI, STORAGE_CONTRACT_ADDRESS);
-      
-      // Register provider on the smart contract
-      spinner.text = 'Registering provider on blockchain and database...';
-      try {
-        // Register on blockchain
-        await storageContract.methods.registerProvider(
-          web3.utils.toWei(verifiedStorage.toString(), 'ether'),
-          web3.utils.toWei(answers.price.toString(), 'ether')
-        ).send({ from: walletAddress });
-
-        // Register in Supabase with proper error handling
-        try {
-          await createProvider({
-            id: providerId,
-            address: walletAddress,
-            storage: verifiedStorage,
-            price: answers.price,
-            totalStorage: availableStorage,
-            availableStorage: availableStorage,
-            is_active: true,
-            last_updated: new Date().toISOString()
-          });
-          spinner.succeed('Provider registered successfully');
-        } catch (dbError) {
-          if (dbError.message.includes('providers_pkey')) {
-            // Provider already exists, update their record
-            await updateProviderStorage(providerId, {
-              allocated: verifiedStorage,
-              available: availableStorage,
-              last_updated: new Date().toISOString()
-            });
-            spinner.succeed('Provider information updated successfully');
-          } else {
-            throw dbError;
-          }
-        }
-
-        // Update local provider status
-        updateProviderStatus(providerId, {
-          address: walletAddress,
-          storage: verifiedStorage,
-          price: answers.price,
-          lastSeen: Date.now(),
-          ipfsNode: ipfs,
-          contract: storageContract
-        });
-
-        // Set up storage monitoring interval with error handling
-        const monitorStorage = async () => {
-          try {
-            const currentStorage = await checkAvailableStorage();
-            const files = await getProviderFiles(providerId);
-            const usedStorage = files.reduce((total, file) => total + (file.file_size || 0), 0);
-            const availableAllocated = verifiedStorage - usedStorage;
-
-            await updateProviderStorage(providerId, {
-              allocated: verifiedStorage,
-              available: availableAllocated,
-              last_updated: new Date().toISOString()
-            });
-
-            if (usedStorage > 0) {
-              console.log(chalk.yellow(`Storage Usage: ${formatStorageSize(usedStorage)} used out of ${formatStorageSize(verifiedStorage)} allocated`));
-            }
-          } catch (error) {
-            console.error(chalk.red('Error monitoring storage:', error.message));
-          }
-        };
-
-        // Initial storage check
-        await monitorStorage();
-        // Set up periodic monitoring
-        setInterval(monitorStorage, 300000); // Check every 5 minutes
-
-        spinner.succeed('Provider service started successfully');
-        console.log(chalk.green('\nProvider is now online and ready to accept storage requests'));
-        console.log(chalk.blue(`Provider ID: ${providerId}`));
-        console.log(chalk.blue(`Wallet Address: ${walletAddress}`));
-        console.log(chalk.blue(`Storage Allocated: ${verifiedStorage}GB`));
-        console.log(chalk.blue(`Price per GB: ${answers.price} AAI`));
-
-      } catch (error) {
-        spinner.fail('Provider registration failed');
-        console.error(chalk.red('Error:', error.message));
-        return;
-      }
-
-      // Monitor storage and update Supabase
-      // Monitor storage and update Supabase
-      // Monitor storage and update Supabase
-      setInterval(async () => {
-        try {
-          const files = await getProviderFiles(providerId);
-          const usedStorage = files.reduce((total, file) => total + file.file_size, 0);
-          const availableAllocated = verifiedStorage - usedStorage;
-      
-          await updateProviderStorage(providerId, {
-            allocated: verifiedStorage,
-            available: availableAllocated,
-            price: answers.price,
-            is_active: true,
-            last_updated: new Date().toISOString()
-          });
-      
-          // Only show storage usage when there are actual changes
-          if (usedStorage > 0) {
-            console.log(chalk.yellow(`Storage Usage Update: ${formatStorageSize(usedStorage)} used out of ${formatStorageSize(verifiedStorage)} allocated`));
-          }
-      
-          console.log(chalk.yellow(`Storage status: ${formatStorageSize(availableAllocated)} available out of ${formatStorageSize(verifiedStorage)} total`));
-      } catch (error) {
-        console.error(chalk.red('Error updating storage status:', error.message));
-      }
-      }, 300000); // Check every 5 minutes
-
-      // Display success information
-      console.log(chalk.green('\nProvider service started successfully! 🚀'));
-      console.log(chalk.yellow(`Allocated Storage: ${answers.storage}GB`));
-      console.log(chalk.yellow(`Price per GB: ${answers.price} AAI`));
-      console.log(chalk.yellow(`Wallet Address: ${walletAddress}`));
-      console.log(chalk.yellow(`Provider ID: ${providerId}`));
-
-      // Start mining rewards and balance checking interval
-      const aaiToken = new web3.eth.Contract(AAI_TOKEN_ABI, AAI_TOKEN_ADDRESS);
-      setInterval(async () => {
-        try {
-          // Distribute mining rewards based on storage utilization
-          await onlineProviders.get(providerId).contract.methods.distributeMiningRewards()
-            .send({ from: walletAddress });
-          
-          // Check updated balance
-          const balance = await aaiToken.methods.balanceOf(walletAddress).call();
-          const formattedBalance = web3.utils.fromWei(balance, 'ether');
-          console.log(chalk.blue(`Mining rewards claimed! Current AAI Balance: ${formattedBalance} AAI`));
-        } catch (error) {
-          console.error(chalk.red('Error in mining process:', error.message));
-        }
-      }, 300000); // Check every 5 minutes
+      registration = await registerProvider({
+        web3,
+        walletAddress,
+        ipfs,
+        storage: parseInt(answers.storage),
+        pricing: configuredPricing || resolvePricing({ price: Number(answers.price) }),
+        publicApiUrl: process.env.IPFS_PUBLIC_API_URL,
+        spinner
+      });
+    } catch (error) {
+      spinner.fail('Provider registration failed');
+      console.error(chalk.red('Error:', error.message));
+      wallet.engine.stop();
+      return;
+    }
 
-    } catch (ipfsError) {
-      spinner.fail('Failed to connect to IPFS node');
-      console.error(chalk.red('IPFS Error:', ipfsError.message));
-      throw ipfsError;
+    const context = { ...registration, ipfs, web3, wallet, walletAddress, schedule, metrics: createProviderMetrics() };
+    const scheduler = createProviderScheduler(context);
+
+    spinner.succeed('Provider service started successfully');
+    console.log(chalk.green('\nProvider is now online and ready to accept storage requests'));
+    console.log(chalk.blue(`Provider ID: ${context.providerId}`));
+    console.log(chalk.blue(`Wallet Address: ${walletAddress}`));
+    console.log(chalk.blue(`Storage Allocated: ${context.storage}GB`));
+    console.log(chalk.blue(`Price per GB: ${context.price} AAI (${describePricing(context.pricing)})`));
+    console.log(chalk.blue(`Heartbeat every ${schedule.heartbeat}s, reward claims every ${schedule.claim}s`));
+    console.log(chalk.gray('Press Ctrl+C to stop'));
+
+    if (options.metricsPort) {
+      serveMetrics(context.metrics, { port: options.metricsPort }, {
+        onListening: url => console.log(chalk.blue(`Metrics at ${url}`)),
+        onError: error => console.error(chalk.red('Metrics endpoint error:', error.message))
+      });
     }
 
+    await serveProvider(context, scheduler, shutdownSignal());
   } catch (error) {
     spinner.fail('Error starting provider');
     console.error(chalk.red('Error:', error.message));
-    if (error.stack) {
+    if (error.stack && !(error instanceof KeystorePassphraseError)) {
       console.error(chalk.red('Stack trace:', error.stack));
     }
-  } finally {
-    if (provider) {
-      provider.engine.stop();
-    }
+    wallet?.engine.stop();
   }
 };
 
@@ -410,6 +680,10 @@ export const getOnlineProviders = async () => {
         address: provider.wallet_address,
         storage: provider.allocated_storage,
         price: provider.price_per_gb,
+        availableStorage: provider.available_storage,
+        ipfsApiUrl: provider.ipfs_api_url,
+        peerId: provider.ipfs_peer_id,
+        multiaddrs: provider.ipfs_multiaddrs || [],
         lastSeen: new Date(provider.last_updated).getTime()
       }
     ]);
@@ -427,7 +701,7 @@ const formatStorageSize = (sizeInGB) => {
 };
 
 // Function to cleanup provider status when stopping
-const cleanupProviderStatus = async (providerId) => {
+export const cleanupProviderStatus = async (providerId) => {
   try {
     await updateProviderStorage(providerId, {
       is_active: false,
@@ -441,12 +715,3 @@ const cleanupProviderStatus = async (providerId) => {
     console.error(chalk.red('Error cleaning up provider status:', error.message));
   }
 };
-
-// Add cleanup handler for process termination
-process.on('SIGINT', async () => {
-  console.log(chalk.yellow('\nGracefully shutting down...'));
-  for (const [providerId] of onlineProviders) {
-    await cleanupProviderStatus(providerId);
-  }
-  process.exit(0);
-});
\ No newline at end of file
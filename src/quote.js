@@ -0,0 +1,241 @@
+import chalk from 'chalk';
+import ora from 'ora';
+import Web3 from 'web3';
+import { getOnlineProviders } from './provider.js';
+import { getWalletAddress } from './keystore.js';
+import { applyProviderPolicy, rankProviders, validateStrategy } from './selection.js';
+import { inspectUploadPath, applyCompression, contractFileSize, contractStorageUsage } from './client.js';
+import { resolveAlgorithm } from './compression.js';
+
+// BSC Testnet configuration
+const BSC_TESTNET_RPC = 'https://data-seed-prebsc-1-s1.binance.org:8545/';
+const AAI_TOKEN_ADDRESS = '0xd5F6a56c8B273854fbd135239FcbcC2B8142585a';
+const STORAGE_CONTRACT_ADDRESS = '0xD87FC38Eab64Ddde4dED5D1c020Ea5EF1a69f412';
+const STORAGE_CONTRACT_ABI = [
+  {
+    "inputs": [{ "name": "_provider", "type": "address" }, { "name": "_storageAmount", "type": "uint256" }],
+    "name": "purchaseStorage",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [{ "name": "_provider", "type": "address" }, { "name": "_cid", "type": "string" }, { "name": "_fileSize", "type": "uint256" }],
+    "name": "storeFile",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [{ "name": "_provider", "type": "address" }],
+    "name": "getProviderDetails",
+    "outputs": [
+      { "name": "allocatedStorage", "type": "uint256" },
+      { "name": "usedStorage", "type": "uint256" },
+      { "name": "pricePerGB", "type": "uint256" },
+      { "name": "isActive", "type": "bool" }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{ "name": "_provider", "type": "address" }, { "name": "_client", "type": "address" }],
+    "name": "getClientStorageDetails",
+    "outputs": [
+      { "name": "allocatedSpace", "type": "uint256" },
+      { "name": "usedSpace", "type": "uint256" },
+      { "name": "paymentAmount", "type": "uint256" },
+      { "name": "lastPaymentTime", "type": "uint256" }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+
+const AAI_TOKEN_ABI = [
+  {
+    "constant": true,
+    "inputs": [{"name": "_owner", "type": "address"}],
+    "name": "balanceOf",
+    "outputs": [{"name": "balance", "type": "uint256"}],
+    "type": "function"
+  },
+  {
+    "constant": true,
+    "inputs": [
+      {"name": "_owner", "type": "address"},
+      {"name": "_spender", "type": "address"}
+    ],
+    "name": "allowance",
+    "outputs": [{"name": "remaining", "type": "uint256"}],
+    "type": "function"
+  },
+  {
+    "constant": false,
+    "inputs": [
+      {"name": "_spender", "type": "address"},
+      {"name": "_value", "type": "uint256"}
+    ],
+    "name": "approve",
+    "outputs": [{"name": "success", "type": "bool"}],
+    "type": "function"
+  }
+];
+
+// storeFile gas depends on the CID length, so estimate with a CID of the
+// length ipfs.add returns
+const PLACEHOLDER_CID = `bafybei${'a'.repeat(52)}`;
+
+const formatSize = (sizeGB) => sizeGB < 1 ?
+  `${(sizeGB * 1024).toFixed(2)}MB` :
+  `${sizeGB.toFixed(2)}GB`;
+
+// Estimate gas for a call, or explain why the node refused to. Calls that
+// depend on an earlier step (purchase after approve, store after purchase)
+// revert until that step is mined.
+const estimate = async (method, from, blockedBy) => {
+  try {
+    return { gas: await method.estimateGas({ from }) };
+  } catch (error) {
+    return { error: blockedBy || error.message };
+  }
+};
+
+const resolveQuoteProvider = async (requested, strategy, storage) => {
+  const providers = (await getOnlineProviders()).map(([id, provider]) => ({ id, ...provider }));
+  if (requested) {
+    const match = providers.find(provider =>
+      provider.id === requested || provider.address.toLowerCase() === requested.toLowerCase()
+    );
+    if (!match) {
+      throw new Error(`Provider ${requested} is not among the active providers`);
+    }
+    return match;
+  }
+
+  const { allowed } = applyProviderPolicy(providers);
+  const eligible = allowed.filter(provider => provider.storage >= storage);
+  if (eligible.length === 0) {
+    throw new Error(`No active provider has ${storage}GB available`);
+  }
+  const [best] = await rankProviders(eligible, strategy);
+  console.log(chalk.blue(`Quoting provider ${best.id}, picked by ${strategy}. Pass --provider to quote another.`));
+  return best;
+};
+
+// Work out what an upload would cost without sending any transaction: the AAI
+// price computed like purchaseStorage does, gas for each transaction, and
+// whether the wallet's balance, allowance or existing storage cover it
+export async function quoteUpload(files, options = {}) {
+  const strategy = options.select || 'cheapest';
+  const check = validateStrategy(strategy);
+  if (check !== true) {
+    throw new Error(check);
+  }
+
+  const uploads = [];
+  for (const filePath of files) {
+    const upload = await inspectUploadPath(filePath);
+    if (upload.error) {
+      throw new Error(`${filePath}: ${upload.error}`);
+    }
+    uploads.push(upload);
+  }
+  await applyCompression(uploads, resolveAlgorithm(options.compress));
+  const totalSizeGB = uploads.reduce((total, upload) => total + upload.sizeGB, 0);
+  const storage = options.storage ?? Math.max(1, Math.ceil(totalSizeGB));
+  if (!Number.isInteger(storage) || storage <= 0) {
+    throw new Error('--storage must be a whole number of GB greater than 0');
+  }
+
+  const walletAddress = getWalletAddress(options.wallet);
+  const provider = await resolveQuoteProvider(options.provider, strategy, storage);
+
+  const spinner = ora('Reading prices and balances...').start();
+  const web3 = new Web3(BSC_TESTNET_RPC);
+  const { toBN, fromWei } = web3.utils;
+  const aaiToken = new web3.eth.Contract(AAI_TOKEN_ABI, AAI_TOKEN_ADDRESS);
+  const storageContract = new web3.eth.Contract(STORAGE_CONTRACT_ABI, STORAGE_CONTRACT_ADDRESS);
+
+  const [details, clientStorage, balance, allowance, gasPrice] = await Promise.all([
+    storageContract.methods.getProviderDetails(provider.address).call(),
+    storageContract.methods.getClientStorageDetails(provider.address, walletAddress).call(),
+    aaiToken.methods.balanceOf(walletAddress).call(),
+    aaiToken.methods.allowance(walletAddress, STORAGE_CONTRACT_ADDRESS).call(),
+    web3.eth.getGasPrice()
+  ]);
+
+  if (!details.isActive) {
+    spinner.fail(`Provider ${provider.id} is not active on-chain`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Same arithmetic as purchaseStorage: _storageAmount * pricePerGB
+  const cost = toBN(storage).mul(toBN(details.pricePerGB));
+  const providerFree = toBN(details.allocatedStorage).sub(toBN(details.usedStorage));
+
+  // storeFile is called once per upload argument, each charged separately
+  const usage = uploads.map(upload => contractStorageUsage(upload.storedBytes ?? upload.sizeBytes));
+  const needed = usage.reduce((total, amount) => total + amount, 0);
+  const existingFree = Number(clientStorage.allocatedSpace) - Number(clientStorage.usedSpace);
+  const coveredByExisting = existingFree >= needed;
+
+  const approveGas = await estimate(aaiToken.methods.approve(STORAGE_CONTRACT_ADDRESS, cost.toString()), walletAddress);
+  const purchaseGas = await estimate(
+    storageContract.methods.purchaseStorage(provider.address, storage),
+    walletAddress,
+    toBN(allowance).lt(cost) ? 'needs the approval to be mined first' : null
+  );
+  const storeGas = await estimate(
+    storageContract.methods.storeFile(provider.address, PLACEHOLDER_CID, contractFileSize(uploads[0].storedBytes ?? uploads[0].sizeBytes)),
+    walletAddress,
+    coveredByExisting ? null : 'needs the storage purchase to be mined first'
+  );
+  spinner.stop();
+
+  const aai = value => `${fromWei(value.toString(), 'ether')} AAI`;
+  const bnb = gas => `${fromWei(toBN(gas).mul(toBN(gasPrice)).toString(), 'ether')} BNB`;
+
+  console.log(chalk.bold(`\nQuote for ${uploads.length} item(s), ${formatSize(totalSizeGB)} total, with provider ${provider.id}`));
+  console.log(`  Provider address:  ${provider.address}`);
+  console.log(`  Storage to buy:    ${storage}GB at ${aai(details.pricePerGB)}/GB (on-chain price)`);
+  if (parseFloat(fromWei(details.pricePerGB, 'ether')) !== parseFloat(provider.price)) {
+    console.log(chalk.yellow(`  Advertised price:  ${provider.price} AAI/GB differs from the on-chain price, which is what is charged`));
+  }
+  console.log(`  Cost:              ${aai(cost)}`);
+  if (providerFree.lt(toBN(storage))) {
+    console.log(chalk.red(`  Provider has only ${providerFree.toString()}GB left to sell on-chain`));
+  }
+
+  const balanceOk = toBN(balance).gte(cost);
+  const allowanceOk = toBN(allowance).gte(cost);
+  console.log(`  Balance:           ${aai(balance)} ${balanceOk ? chalk.green('(sufficient)') : chalk.red('(insufficient)')}`);
+  console.log(`  Allowance:         ${aai(allowance)} ${allowanceOk ? chalk.green('(covers the cost)') : chalk.yellow('(approve needed)')}`);
+  console.log(`  Purchased space:   ${clientStorage.allocatedSpace}GB bought, ${clientStorage.usedSpace}GB used with this provider`);
+  console.log(coveredByExisting
+    ? chalk.green(`  Existing space already covers these files (${needed} needed); no purchase is required`)
+    : chalk.yellow(`  Existing space does not cover these files (${needed} needed, ${Math.max(existingFree, 0)} free)`));
+
+  console.log(chalk.bold(`\nGas at ${fromWei(gasPrice, 'gwei')} gwei`));
+  let totalGas = toBN(0);
+  const rows = [
+    ['approve', approveGas, !allowanceOk && !coveredByExisting],
+    ['purchaseStorage', purchaseGas, !coveredByExisting],
+    [`storeFile x${uploads.length}`, storeGas, true]
+  ];
+  for (const [name, result, required] of rows) {
+    const count = name.startsWith('storeFile') ? uploads.length : 1;
+    if (!required) {
+      console.log(chalk.gray(`  ${name.padEnd(18)} not needed`));
+    } else if (result.gas) {
+      const gas = toBN(result.gas).muln(count);
+      totalGas = totalGas.add(gas);
+      console.log(`  ${name.padEnd(18)} ${gas.toString().padStart(8)} gas  ${bnb(gas)}`);
+    } else {
+      console.log(chalk.yellow(`  ${name.padEnd(18)} cannot estimate yet: ${result.error}`));
+    }
+  }
+  console.log(`  ${'Total (estimated)'.padEnd(18)} ${totalGas.toString().padStart(8)} gas  ${bnb(totalGas)}`);
+  console.log(chalk.gray('\nNothing was sent. Prices and gas may change before you upload.'));
+}
@@ -0,0 +1,300 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Shards are spread across providers in one of two schemes:
+//
+//   replica  every shard holds the full encrypted payload (any 1 restores it)
+//   rs       Reed-Solomon over GF(2^8): k data shards plus m parity shards,
+//            any k of them restore the payload
+//
+// Each shard starts with a small header so replicas of the same payload still
+// get distinct CIDs, and a shard can be identified on its own:
+//
+//   magic "DPSH" (4) | version (1) | scheme (1) | index (1) | k (1) | m (1) |
+//   payload length (8) | shard size (8)
+export const SHARD_FORMAT_VERSION = 1;
+export const SCHEMES = { replica: 0, rs: 1 };
+
+const MAGIC = Buffer.from('DPSH');
+export const SHARD_HEADER_LENGTH = MAGIC.length + 5 + 8 + 8;
+const STRIPE_SIZE = 64 * 1024;
+const MAX_SHARDS = 255;
+
+// --- GF(2^8) arithmetic (primitive polynomial x^8 + x^4 + x^3 + x^2 + 1) ---
+
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+{
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) {
+      x ^= 0x11d;
+    }
+  }
+  for (let i = 255; i < 512; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+}
+
+const gfMul = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+const gfInv = (a) => {
+  if (a === 0) {
+    throw new Error('Division by zero in GF(256)');
+  }
+  return EXP[255 - LOG[a]];
+};
+
+// Row `index` of the systematic encoding matrix: identity rows for data
+// shards, Cauchy rows for parity shards. Any k rows form an invertible matrix.
+const encodingRow = (index, k) => {
+  const row = new Uint8Array(k);
+  if (index < k) {
+    row[index] = 1;
+    return row;
+  }
+  for (let i = 0; i < k; i++) {
+    row[i] = gfInv(index ^ i);
+  }
+  return row;
+};
+
+const invertMatrix = (matrix) => {
+  const size = matrix.length;
+  const work = matrix.map((row, i) => {
+    const extended = new Uint8Array(size * 2);
+    extended.set(row);
+    extended[size + i] = 1;
+    return extended;
+  });
+
+  for (let col = 0; col < size; col++) {
+    const pivot = work.findIndex((row, r) => r >= col && row[col] !== 0);
+    if (pivot === -1) {
+      throw new Error('Shard matrix is not invertible');
+    }
+    [work[col], work[pivot]] = [work[pivot], work[col]];
+    const scale = gfInv(work[col][col]);
+    for (let c = 0; c < size * 2; c++) {
+      work[col][c] = gfMul(work[col][c], scale);
+    }
+    for (let r = 0; r < size; r++) {
+      if (r !== col && work[r][col] !== 0) {
+        const factor = work[r][col];
+        for (let c = 0; c < size * 2; c++) {
+          work[r][c] ^= gfMul(factor, work[col][c]);
+        }
+      }
+    }
+  }
+  return work.map(row => row.slice(size));
+};
+
+// out ^= coefficient * input, byte by byte
+const mulAccumulate = (out, input, coefficient) => {
+  if (coefficient === 0) {
+    return;
+  }
+  const logC = LOG[coefficient];
+  for (let i = 0; i < input.length; i++) {
+    if (input[i] !== 0) {
+      out[i] ^= EXP[LOG[input[i]] + logC];
+    }
+  }
+};
+
+// --- Scheme parsing ---
+
+// Parse `--replicas N` / `--erasure k/m` into a scheme description
+export const parseScheme = ({ replicas, erasure }) => {
+  if (replicas !== undefined && erasure !== undefined) {
+    throw new Error('Use either --replicas or --erasure, not both');
+  }
+  if (replicas !== undefined) {
+    const count = Number(replicas);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SHARDS) {
+      throw new Error('--replicas must be a whole number between 1 and 255');
+    }
+    return { type: 'replica', dataShards: 1, parityShards: count - 1, totalShards: count };
+  }
+  if (erasure !== undefined) {
+    const match = /^(\d+)\/(\d+)$/.exec(String(erasure));
+    if (!match) {
+      throw new Error('--erasure must look like k/m, for example 4/2');
+    }
+    const dataShards = Number(match[1]);
+    const parityShards = Number(match[2]);
+    if (dataShards < 1 || parityShards < 1 || dataShards + parityShards > MAX_SHARDS) {
+      throw new Error('--erasure needs k >= 1, m >= 1 and k + m <= 255');
+    }
+    return { type: 'rs', dataShards, parityShards, totalShards: dataShards + parityShards };
+  }
+  return null;
+};
+
+export const shardSizeFor = (scheme, payloadLength) => scheme.type === 'replica'
+  ? payloadLength
+  : Math.ceil(payloadLength / scheme.dataShards);
+
+// --- Shard files ---
+
+const encodeShardHeader = (scheme, index, payloadLength, shardSize) => {
+  const header = Buffer.alloc(SHARD_HEADER_LENGTH);
+  let offset = MAGIC.copy(header, 0);
+  offset = header.writeUInt8(SHARD_FORMAT_VERSION, offset);
+  offset = header.writeUInt8(SCHEMES[scheme.type], offset);
+  offset = header.writeUInt8(index, offset);
+  offset = header.writeUInt8(scheme.dataShards, offset);
+  offset = header.writeUInt8(scheme.parityShards, offset);
+  offset = header.writeBigUInt64BE(BigInt(payloadLength), offset);
+  header.writeBigUInt64BE(BigInt(shardSize), offset);
+  return header;
+};
+
+export const decodeShardHeader = (header) => {
+  if (header.length < SHARD_HEADER_LENGTH || !header.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('Not a DePIN storage shard');
+  }
+  let offset = MAGIC.length;
+  const version = header.readUInt8(offset++);
+  if (version !== SHARD_FORMAT_VERSION) {
+    throw new Error(`Unsupported shard format version ${version}`);
+  }
+  const schemeId = header.readUInt8(offset++);
+  const type = Object.keys(SCHEMES).find(name => SCHEMES[name] === schemeId);
+  const index = header.readUInt8(offset++);
+  const dataShards = header.readUInt8(offset++);
+  const parityShards = header.readUInt8(offset++);
+  const payloadLength = Number(header.readBigUInt64BE(offset));
+  const shardSize = Number(header.readBigUInt64BE(offset + 8));
+  return { type, index, dataShards, parityShards, payloadLength, shardSize };
+};
+
+const readAt = async (handle, length, position) => {
+  const buffer = Buffer.alloc(length);
+  let filled = 0;
+  while (filled < length) {
+    const { bytesRead } = await handle.read(buffer, filled, length - filled, position + filled);
+    if (bytesRead === 0) {
+      break;
+    }
+    filled += bytesRead;
+  }
+  return buffer;
+};
+
+// Split the encrypted payload at `payloadPath` into shard files in `workDir`.
+// Data is processed in stripes so memory use stays flat for large payloads.
+export const encodeShards = async (payloadPath, workDir, scheme) => {
+  const { size: payloadLength } = await fs.stat(payloadPath);
+  const shardSize = shardSizeFor(scheme, payloadLength);
+  const k = scheme.dataShards;
+  await fs.mkdir(workDir, { recursive: true });
+
+  const shardPaths = Array.from({ length: scheme.totalShards }, (_, index) => path.join(workDir, `shard-${index}`));
+  const input = await fs.open(payloadPath, 'r');
+  const outputs = await Promise.all(shardPaths.map(shardPath => fs.open(shardPath, 'w')));
+
+  try {
+    for (const [index, output] of outputs.entries()) {
+      await output.write(encodeShardHeader(scheme, index, payloadLength, shardSize));
+    }
+
+    for (let offset = 0; offset < shardSize; offset += STRIPE_SIZE) {
+      const length = Math.min(STRIPE_SIZE, shardSize - offset);
+
+      if (scheme.type === 'replica') {
+        const block = await readAt(input, length, offset);
+        for (const output of outputs) {
+          await output.write(block);
+        }
+        continue;
+      }
+
+      // Bytes past the end of the payload read as zero padding
+      const dataBlocks = [];
+      for (let i = 0; i < k; i++) {
+        dataBlocks.push(await readAt(input, length, i * shardSize + offset));
+      }
+      for (let index = 0; index < scheme.totalShards; index++) {
+        let block;
+        if (index < k) {
+          block = dataBlocks[index];
+        } else {
+          block = Buffer.alloc(length);
+          const row = encodingRow(index, k);
+          for (let i = 0; i < k; i++) {
+            mulAccumulate(block, dataBlocks[i], row[i]);
+          }
+        }
+        await outputs[index].write(block);
+      }
+    }
+  } finally {
+    await input.close();
+    await Promise.all(outputs.map(output => output.close()));
+  }
+
+  return { payloadLength, shardSize, shardPaths };
+};
+
+// Rebuild the encrypted payload from shard files. `shards` maps shard index to
+// a file path and must hold at least k entries.
+export const decodeShards = async (shards, outputPath) => {
+  const available = Object.keys(shards).map(Number).sort((a, b) => a - b);
+  if (available.length === 0) {
+    throw new Error('No shards available');
+  }
+
+  const handles = {};
+  const output = await fs.open(outputPath, 'w');
+  try {
+    for (const index of available) {
+      handles[index] = await fs.open(shards[index], 'r');
+    }
+    const header = decodeShardHeader(await readAt(handles[available[0]], SHARD_HEADER_LENGTH, 0));
+    const { type, dataShards: k, payloadLength, shardSize } = header;
+
+    if (type === 'replica') {
+      for (let offset = 0; offset < payloadLength; offset += STRIPE_SIZE) {
+        const length = Math.min(STRIPE_SIZE, payloadLength - offset);
+        await output.write(await readAt(handles[available[0]], length, SHARD_HEADER_LENGTH + offset), 0, length, offset);
+      }
+      return payloadLength;
+    }
+
+    if (available.length < k) {
+      throw new Error(`Need ${k} shards to rebuild the file but only ${available.length} are available`);
+    }
+
+    // Prefer data shards so the common case needs no matrix math
+    const chosen = [...available.filter(index => index < k), ...available.filter(index => index >= k)].slice(0, k);
+    const decodeMatrix = invertMatrix(chosen.map(index => encodingRow(index, k)));
+
+    for (let offset = 0; offset < shardSize; offset += STRIPE_SIZE) {
+      const length = Math.min(STRIPE_SIZE, shardSize - offset);
+      const blocks = [];
+      for (const index of chosen) {
+        blocks.push(await readAt(handles[index], length, SHARD_HEADER_LENGTH + offset));
+      }
+      for (let i = 0; i < k; i++) {
+        const start = i * shardSize + offset;
+        if (start >= payloadLength) {
+          break;
+        }
+        const block = Buffer.alloc(length);
+        for (let j = 0; j < k; j++) {
+          mulAccumulate(block, blocks[j], decodeMatrix[i][j]);
+        }
+        const usable = Math.min(length, payloadLength - start);
+        await output.write(block, 0, usable, start);
+      }
+    }
+    return payloadLength;
+  } finally {
+    await output.close();
+    await Promise.all(Object.values(handles).map(handle => handle.close()));
+  }
+};
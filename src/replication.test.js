@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { parseScheme, encodeShards, decodeShards, decodeShardHeader, SHARD_HEADER_LENGTH } from './replication.js';
+
+// Every way to pick `size` of `items`
+const combinations = (items, size) => size === 0
+  ? [[]]
+  : items.flatMap((item, index) => combinations(items.slice(index + 1), size - 1).map(rest => [item, ...rest]));
+
+describe('parseScheme', () => {
+  it('parses replicas and erasure schemes', () => {
+    expect(parseScheme({ replicas: '3' })).toEqual({ type: 'replica', dataShards: 1, parityShards: 2, totalShards: 3 });
+    expect(parseScheme({ erasure: '4/2' })).toEqual({ type: 'rs', dataShards: 4, parityShards: 2, totalShards: 6 });
+    expect(parseScheme({})).toBeNull();
+  });
+
+  it.each([
+    [{ replicas: '2', erasure: '4/2' }],
+    [{ replicas: '0' }],
+    [{ replicas: '1.5' }],
+    [{ erasure: '4' }],
+    [{ erasure: '0/2' }],
+    [{ erasure: '200/100' }]
+  ])('rejects %o', (options) => {
+    expect(() => parseScheme(options)).toThrow();
+  });
+});
+
+describe('shard encoding', () => {
+  let workDir;
+  let payloadPath;
+  let payload;
+
+  const writePayload = async (size) => {
+    payload = crypto.randomBytes(size);
+    await fs.writeFile(payloadPath, payload);
+  };
+
+  const rebuild = async (shardPaths, indexes) => {
+    const outputPath = path.join(workDir, `rebuilt-${indexes.join('-')}`);
+    const length = await decodeShards(Object.fromEntries(indexes.map(index => [index, shardPaths[index]])), outputPath);
+    return (await fs.readFile(outputPath)).subarray(0, length);
+  };
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'depin-shards-'));
+    payloadPath = path.join(workDir, 'payload');
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('rebuilds a 4/2 payload from any 4 of its 6 shards', async () => {
+    // Larger than one stripe per shard, and not a multiple of k
+    await writePayload(300001);
+    const scheme = parseScheme({ erasure: '4/2' });
+    const { shardPaths, shardSize } = await encodeShards(payloadPath, workDir, scheme);
+    expect(shardSize).toBe(Math.ceil(300001 / 4));
+
+    for (const indexes of combinations([0, 1, 2, 3, 4, 5], 4)) {
+      expect((await rebuild(shardPaths, indexes)).equals(payload), `shards ${indexes}`).toBe(true);
+    }
+  });
+
+  it('rebuilds a small 2/1 payload from any 2 shards', async () => {
+    await writePayload(5);
+    const { shardPaths } = await encodeShards(payloadPath, workDir, parseScheme({ erasure: '2/1' }));
+    for (const indexes of combinations([0, 1, 2], 2)) {
+      expect((await rebuild(shardPaths, indexes)).equals(payload)).toBe(true);
+    }
+  });
+
+  it('rebuilds a replicated payload from any single replica', async () => {
+    await writePayload(70000);
+    const { shardPaths } = await encodeShards(payloadPath, workDir, parseScheme({ replicas: '3' }));
+    for (const index of [0, 1, 2]) {
+      expect((await rebuild(shardPaths, [index])).equals(payload)).toBe(true);
+    }
+  });
+
+  it('gives every shard its own header', async () => {
+    await writePayload(1000);
+    const { shardPaths } = await encodeShards(payloadPath, workDir, parseScheme({ erasure: '3/2' }));
+    const headers = await Promise.all(shardPaths.map(async shardPath =>
+      decodeShardHeader((await fs.readFile(shardPath)).subarray(0, SHARD_HEADER_LENGTH))));
+    expect(headers.map(header => header.index)).toEqual([0, 1, 2, 3, 4]);
+    expect(headers[0]).toMatchObject({ type: 'rs', dataShards: 3, parityShards: 2, payloadLength: 1000 });
+  });
+
+  it('refuses to rebuild from fewer than k shards', async () => {
+    await writePayload(1000);
+    const { shardPaths } = await encodeShards(payloadPath, workDir, parseScheme({ erasure: '4/2' }));
+    await expect(rebuild(shardPaths, [0, 4, 5])).rejects.toThrow(/Need 4 shards/);
+  });
+});
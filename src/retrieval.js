@@ -0,0 +1,356 @@
+import path from 'path';
+import { promises as fs, createWriteStream } from 'fs';
+import { Readable, Transform } from 'stream';
+import { pipeline as streamPipeline } from 'stream/promises';
+import { configDir, loadConfig } from './config.js';
+import { openCarFile, verifyBlock, parseCid, toCidV1, directoryLink, ContentVerificationError } from './car.js';
+
+// Encrypted content is fetched into a per-user download cache before it is
+// decrypted, one file per CID. A transfer that is interrupted leaves the
+// bytes it received there, and the next attempt asks only for the rest.
+// Cached content is removed once it has been decrypted.
+//
+// Content can come from several sources: the local IPFS API, the provider's
+// node and HTTP gateways. A few are raced for each transfer and the first to
+// answer is used; if it fails, another takes over from the cached offset.
+// Only the local node is trusted to check what it returns. Everything else
+// is fetched as a CAR and each block is checked against its CID (car.js).
+const DOWNLOAD_DIR = configDir('downloads');
+// A transfer is abandoned (and retried) after this long without any data
+const IDLE_TIMEOUT = 60000;
+const PROGRESS_INTERVAL = 200;
+const MAX_STALLED_ATTEMPTS = 3;
+const CAR_ACCEPT = 'application/vnd.ipld.car';
+
+const DEFAULT_SETTINGS = {
+  sources: ['local', 'provider', 'https://trustless-gateway.link', 'https://ipfs.io'],
+  race: 2,
+  localApi: 'http://127.0.0.1:5001'
+};
+
+// The `retrieval` section of config.json
+export const retrievalSettings = () => ({ ...DEFAULT_SETTINGS, ...loadConfig().retrieval });
+
+export const cachedPath = (cid) => path.join(DOWNLOAD_DIR, `${cid.replace(/[^A-Za-z0-9]/g, '_')}.part`);
+
+export const discardCached = (cid) => fs.rm(cachedPath(cid), { force: true });
+
+const fileSize = async (target) => {
+  try {
+    return (await fs.stat(target)).size;
+  } catch {
+    return 0;
+  }
+};
+
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)}${units[unit]}`;
+};
+
+const formatDuration = (seconds) => {
+  if (!isFinite(seconds)) {
+    return '--:--';
+  }
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const rest = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${rest}` : `${minutes}:${rest}`;
+};
+
+// Progress line for `total` bytes with a bar, rate and ETA. The rate only
+// counts bytes received in this run, so a resumed transfer does not report
+// the cached bytes as instant.
+export const createProgressBar = (label, total, { width = 24, onUpdate = () => {} } = {}) => {
+  const started = Date.now();
+  let initial = null;
+  let shown = 0;
+  return (done) => {
+    if (initial === null) {
+      initial = done;
+    }
+    if (done < total && Date.now() - shown < PROGRESS_INTERVAL) {
+      return;
+    }
+    shown = Date.now();
+    const fraction = total > 0 ? Math.min(done / total, 1) : 1;
+    const filled = Math.round(fraction * width);
+    const elapsed = (Date.now() - started) / 1000;
+    const rate = elapsed > 0 ? (done - initial) / elapsed : 0;
+    const eta = rate > 0 ? (total - done) / rate : Infinity;
+    onUpdate(
+      `${label} [${'#'.repeat(filled)}${'-'.repeat(width - filled)}] ${(fraction * 100).toFixed(1)}% ` +
+      `${formatBytes(done)}/${formatBytes(total)} ${formatBytes(rate)}/s ETA ${formatDuration(eta)}`
+    );
+  };
+};
+
+// Aborts its signal after `timeout` without a call to `touch`
+const createWatchdog = (timeout) => {
+  const controller = new AbortController();
+  let timer = null;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(new Error(`no data for ${timeout / 1000}s`)), timeout);
+  };
+  touch();
+  return {
+    signal: controller.signal,
+    touch,
+    stop: () => clearTimeout(timer),
+    abort: () => {
+      clearTimeout(timer);
+      controller.abort();
+    }
+  };
+};
+
+async function* withActivity(chunks, onActivity) {
+  for await (const chunk of chunks) {
+    onActivity();
+    yield chunk;
+  }
+}
+
+// Drop the first `offset` bytes, for sources that cannot start mid-file
+async function* skipBytes(chunks, offset) {
+  let remaining = offset;
+  for await (const chunk of chunks) {
+    if (remaining >= chunk.length) {
+      remaining -= chunk.length;
+      continue;
+    }
+    yield remaining > 0 ? chunk.subarray(remaining) : chunk;
+    remaining = 0;
+  }
+}
+
+const fetchOk = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new Error(`${url.origin} answered ${response.status} ${response.statusText}`);
+  }
+  return response;
+};
+
+// Every source has a name and two operations, both taking an abort signal:
+//   open(cid, { offset, signal, onActivity }) -> { total, chunks }
+//     the file's size, and its bytes from `offset`
+//   block(cid, { signal }) -> the raw block, already checked against `cid`
+const localSource = (ipfs) => ({
+  name: 'local IPFS node',
+  open: async (cid, { offset, signal, onActivity }) => {
+    const { size } = await ipfs.files.stat(`/ipfs/${cid}`, { signal });
+    return { total: size, chunks: withActivity(ipfs.cat(cid, { offset, signal }), onActivity) };
+  },
+  block: async (cid, { signal }) => {
+    const data = Buffer.from(await ipfs.block.get(cid, { signal }));
+    verifyBlock(parseCid(cid), data);
+    return data;
+  }
+});
+
+// A provider's published IPFS API, asked for a CAR with `dag export`
+const providerSource = (node) => ({
+  name: `provider ${node.id}`,
+  open: async (cid, { offset, signal, onActivity }) => {
+    const response = await fetchOk(new URL(`/api/v0/dag/export?arg=${cid}`, node.ipfsApiUrl), { method: 'POST', signal });
+    const file = await openCarFile(withActivity(response.body, onActivity), cid);
+    return { total: file.total, chunks: skipBytes(file.chunks, offset) };
+  },
+  block: async (cid, { signal }) => {
+    const response = await fetchOk(new URL(`/api/v0/block/get?arg=${cid}`, node.ipfsApiUrl), { method: 'POST', signal });
+    const data = Buffer.from(await response.arrayBuffer());
+    verifyBlock(parseCid(cid), data);
+    return data;
+  }
+});
+
+// A trustless HTTP gateway. A plain URL is a path gateway (<url>/ipfs/<cid>);
+// a URL containing {cid} is a subdomain gateway, which needs CIDv1.
+const gatewayUrl = (template, cid, format) => {
+  const url = template.includes('{cid}')
+    ? new URL(template.replace('{cid}', toCidV1(cid)))
+    : new URL(`${template.replace(/\/+$/, '')}/ipfs/${cid}`);
+  url.searchParams.set('format', format);
+  return url;
+};
+
+const gatewaySource = (template) => ({
+  name: template,
+  open: async (cid, { offset, signal, onActivity }) => {
+    const response = await fetchOk(gatewayUrl(template, cid, 'car'), { headers: { Accept: CAR_ACCEPT }, signal });
+    const file = await openCarFile(withActivity(response.body, onActivity), cid);
+    return { total: file.total, chunks: skipBytes(file.chunks, offset) };
+  },
+  block: async (cid, { signal }) => {
+    const response = await fetchOk(gatewayUrl(template, cid, 'raw'), { headers: { Accept: 'application/vnd.ipld.raw' }, signal });
+    const data = Buffer.from(await response.arrayBuffer());
+    verifyBlock(parseCid(cid), data);
+    return data;
+  }
+});
+
+// Retrieval sources in the order configured. `ipfs` is the local node's API
+// client and `provider` the provider node holding the content (from
+// lookupProviderNode); either may be null.
+export const createSources = ({ ipfs = null, provider = null } = {}, settings = retrievalSettings()) => {
+  const sources = [];
+  for (const entry of settings.sources) {
+    if (entry === 'local') {
+      if (ipfs) {
+        sources.push(localSource(ipfs));
+      }
+    } else if (entry === 'provider') {
+      if (provider && provider.ipfsApiUrl) {
+        sources.push(providerSource(provider));
+      }
+    } else if (/^https?:\/\//.test(entry)) {
+      sources.push(gatewaySource(entry));
+    } else {
+      throw new Error(`Unknown retrieval source "${entry}" in config.json`);
+    }
+  }
+  if (sources.length === 0) {
+    throw new Error('No retrieval source is available: start the local IPFS node or add a gateway to retrieval.sources in config.json');
+  }
+  return sources;
+};
+
+// Open `cid` on up to `count` sources at once and keep the first to answer.
+// The others are cancelled. Resolves to null if every one of them failed,
+// after recording why on each.
+const raceSources = async (racers, cid, offset, timeout) => {
+  const attempts = racers.map(state => {
+    const watchdog = createWatchdog(timeout);
+    const opened = state.source.open(cid, { offset, signal: watchdog.signal, onActivity: watchdog.touch });
+    return { state, watchdog, opened };
+  });
+  let winner = null;
+  try {
+    winner = await Promise.any(attempts.map(attempt => attempt.opened.then(
+      file => ({ ...attempt, file }),
+      error => {
+        attempt.state.error = error;
+        throw error;
+      }
+    )));
+  } catch {
+    // Every racer failed
+  }
+  for (const attempt of attempts) {
+    if (!winner || attempt.state !== winner.state) {
+      attempt.watchdog.abort();
+    }
+  }
+  return winner;
+};
+
+// Fetch `cid` into the download cache, continuing from whatever an earlier
+// attempt left there, and return the cached path. `onProgress` receives the
+// number of bytes on disk and the total; `onSourceError` is told when a
+// source fails and another is tried. A source that fails a few times
+// without making progress is given up on, and one that returns content not
+// matching its CID is not used again.
+export const fetchToCache = async (sources, cid, { timeout = IDLE_TIMEOUT, race = retrievalSettings().race, onProgress = () => {}, onSourceError = () => {} } = {}) => {
+  const target = cachedPath(cid);
+  const states = sources.map(source => ({ source, failures: 0, error: null }));
+  let offset = await fileSize(target);
+  let total = null;
+
+  const fail = (state, error) => {
+    state.failures = error instanceof ContentVerificationError ? MAX_STALLED_ATTEMPTS : state.failures + 1;
+    state.error = error;
+    onSourceError(state.source.name, error);
+  };
+
+  while (total === null || offset < total) {
+    const available = states
+      .filter(state => state.failures < MAX_STALLED_ATTEMPTS)
+      .sort((a, b) => a.failures - b.failures);
+    if (available.length === 0) {
+      const reason = states.map(state => `${state.source.name}: ${state.error ? state.error.message : 'the transfer ended early'}`).join('; ');
+      throw new Error(`Could not fetch ${cid} (${reason}). Run the download again to continue from ${formatBytes(offset)}.`);
+    }
+
+    const racers = available.slice(0, Math.max(1, race));
+    const winner = await raceSources(racers, cid, offset, timeout);
+    if (!winner) {
+      racers.forEach(state => fail(state, state.error));
+      continue;
+    }
+
+    const { state, watchdog, file } = winner;
+    if (total !== null && file.total !== total) {
+      watchdog.abort();
+      fail(state, new ContentVerificationError(`reported ${file.total} bytes, expected ${total}`));
+      continue;
+    }
+    total = file.total;
+    if (offset > total) {
+      // Not a prefix of this content; start again
+      watchdog.abort();
+      await fs.rm(target, { force: true });
+      offset = 0;
+      continue;
+    }
+    onProgress(offset, total);
+
+    let received = offset;
+    let failure = null;
+    try {
+      await streamPipeline(
+        Readable.from(file.chunks),
+        new Transform({
+          transform(chunk, encoding, callback) {
+            received += chunk.length;
+            onProgress(received, total);
+            callback(null, chunk);
+          }
+        }),
+        createWriteStream(target, { flags: 'a' })
+      );
+    } catch (error) {
+      failure = error;
+    } finally {
+      watchdog.stop();
+    }
+
+    const reached = await fileSize(target);
+    if (reached > total) {
+      await fs.rm(target, { force: true });
+      throw new Error(`Fetched more data than ${cid} contains; the cached copy was discarded`);
+    }
+    if (reached > offset) {
+      state.failures = 0;
+    }
+    if (reached < total && (failure || reached === offset)) {
+      fail(state, failure || new Error('the transfer ended early'));
+    }
+    offset = reached;
+  }
+  return target;
+};
+
+// CID of the entry `name` in the UnixFS directory `rootCid`. The directory
+// block is taken from the first source that returns one matching its CID.
+export const resolveLink = async (sources, rootCid, name, { timeout = IDLE_TIMEOUT } = {}) => {
+  const errors = [];
+  for (const source of sources) {
+    try {
+      const block = await source.block(rootCid, { signal: AbortSignal.timeout(timeout) });
+      return directoryLink(rootCid, block, name);
+    } catch (error) {
+      errors.push(`${source.name}: ${error.message}`);
+    }
+  }
+  throw new Error(`Could not read directory ${rootCid} (${errors.join('; ')})`);
+};
@@ -0,0 +1,110 @@
+// A provider's periodic work (heartbeats, pinning, challenges, reward
+// claims) runs from one loop instead of a setInterval per job. Each task
+// keeps its own schedule; a task still running when it comes due again is
+// skipped rather than started twice. A failed run is retried with
+// exponential backoff, and every delay is jittered so a fleet of providers
+// restarted together does not hit Supabase and the RPC node in lockstep.
+
+const MAX_WAIT = 60 * 1000;
+
+// Resolves after `ms`, or as soon as `signal` aborts
+export const sleep = (ms, signal) => new Promise(resolve => {
+  let timer;
+  const done = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', done);
+    resolve();
+  };
+  timer = setTimeout(done, ms);
+  signal?.addEventListener('abort', done, { once: true });
+});
+
+// Spread `ms` evenly over ±`jitter` (a fraction of it)
+export const withJitter = (ms, jitter) => Math.max(0, Math.round(ms * (1 + jitter * (2 * Math.random() - 1))));
+
+// Delay before retrying a task that failed `failures` times in a row: from
+// `retryDelay` (default: its interval), doubling up to `maxRetryDelay`
+// (default: eight intervals)
+export const retryDelay = (task, failures) => Math.min(
+  task.maxRetryDelay ?? task.interval * 8,
+  (task.retryDelay ?? task.interval) * 2 ** (failures - 1)
+);
+
+// `tasks` are { name, interval, run, delay, retryDelay, maxRetryDelay }:
+// `run` is called every `interval` ms, the first time after `delay`
+// (default: straight away). `onError` hears about each failure with the
+// number in a row and the delay before the retry; `onRun` about every
+// finished run, with its error if it failed. `status()` reports when each
+// task last ran and how that went.
+export const createScheduler = (tasks, { jitter = 0, onError = () => {}, onRun = () => {} } = {}) => {
+  const state = new Map(tasks.map(task => [task.name, {
+    running: false,
+    nextRun: Date.now() + withJitter(task.delay ?? 0, jitter),
+    lastRun: null,
+    lastSuccess: null,
+    lastError: null,
+    failures: 0
+  }]));
+  let wake = () => {};
+
+  const start = (task, entry, now) => {
+    entry.running = true;
+    entry.lastRun = now;
+    Promise.resolve()
+      .then(() => task.run())
+      .then(() => {
+        entry.lastSuccess = Date.now();
+        entry.lastError = null;
+        entry.failures = 0;
+        // A run that overran its interval replaces the one it overlapped
+        const due = entry.lastRun + withJitter(task.interval, jitter);
+        entry.nextRun = due > Date.now() ? due : Date.now() + withJitter(task.interval, jitter);
+        onRun(task, null);
+      }, error => {
+        entry.lastError = error.message;
+        entry.failures += 1;
+        const delay = withJitter(retryDelay(task, entry.failures), jitter);
+        entry.nextRun = Date.now() + delay;
+        onError(task, error, { failures: entry.failures, retryIn: delay });
+        onRun(task, error);
+      })
+      .finally(() => {
+        entry.running = false;
+        wake();
+      });
+  };
+
+  // Run until `signal` aborts. Tasks still in flight are left to finish on
+  // their own.
+  const run = async (signal) => {
+    while (!signal.aborted) {
+      const now = Date.now();
+      for (const task of tasks) {
+        const entry = state.get(task.name);
+        if (!entry.running && entry.nextRun <= now) {
+          start(task, entry, now);
+        }
+      }
+      // Running tasks are rescheduled when they finish, which wakes the loop
+      const idle = [...state.values()].filter(entry => !entry.running);
+      const next = Math.min(Date.now() + MAX_WAIT, ...idle.map(entry => entry.nextRun));
+      const woken = new AbortController();
+      wake = () => woken.abort();
+      const stop = () => woken.abort();
+      signal.addEventListener('abort', stop, { once: true });
+      await sleep(Math.max(0, next - Date.now()), woken.signal);
+      signal.removeEventListener('abort', stop);
+    }
+  };
+
+  const status = () => Object.fromEntries([...state].map(([name, entry]) => [name, {
+    running: entry.running,
+    lastRun: entry.lastRun && new Date(entry.lastRun).toISOString(),
+    lastSuccess: entry.lastSuccess && new Date(entry.lastSuccess).toISOString(),
+    lastError: entry.lastError,
+    failures: entry.failures,
+    nextRun: entry.running ? null : new Date(entry.nextRun).toISOString()
+  }]));
+
+  return { run, status };
+};
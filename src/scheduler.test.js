@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { withJitter, retryDelay, createScheduler } from './scheduler.js';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe('withJitter', () => {
+  it('spreads a delay evenly over ±jitter', () => {
+    const random = vi.spyOn(Math, 'random');
+    random.mockReturnValue(0);
+    expect(withJitter(1000, 0.1)).toBe(900);
+    random.mockReturnValue(0.5);
+    expect(withJitter(1000, 0.1)).toBe(1000);
+    random.mockReturnValue(0.999999);
+    expect(withJitter(1000, 0.1)).toBe(1100);
+  });
+
+  it('leaves the delay alone without jitter and never goes below zero', () => {
+    expect(withJitter(1000, 0)).toBe(1000);
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(withJitter(1000, 2)).toBe(0);
+  });
+});
+
+describe('retryDelay', () => {
+  it('doubles from the interval up to eight intervals', () => {
+    const task = { interval: 60000 };
+    expect([1, 2, 3, 4, 5, 10].map(failures => retryDelay(task, failures)))
+      .toEqual([60000, 120000, 240000, 480000, 480000, 480000]);
+  });
+
+  it('doubles from retryDelay up to maxRetryDelay', () => {
+    const heartbeat = { interval: 60000, retryDelay: 5000, maxRetryDelay: 60000 };
+    expect([1, 2, 3, 4, 5, 6].map(failures => retryDelay(heartbeat, failures)))
+      .toEqual([5000, 10000, 20000, 40000, 60000, 60000]);
+  });
+});
+
+describe('createScheduler', () => {
+  // Let the scheduler's promise chains settle between timer steps
+  const advance = async (ms) => {
+    await vi.advanceTimersByTimeAsync(ms);
+  };
+
+  it('runs each task on its interval and backs off after failures', async () => {
+    vi.useFakeTimers();
+    const runs = [];
+    let failing = true;
+    const onError = vi.fn();
+    const tasks = [
+      { name: 'steady', interval: 1000, run: async () => { runs.push(['steady', Date.now()]); } },
+      {
+        name: 'flaky',
+        interval: 1000,
+        retryDelay: 100,
+        maxRetryDelay: 400,
+        run: async () => {
+          runs.push(['flaky', Date.now()]);
+          if (failing) {
+            throw new Error('down');
+          }
+        }
+      }
+    ];
+    const start = Date.now();
+    const controller = new AbortController();
+    const scheduler = createScheduler(tasks, { onError });
+    const running = scheduler.run(controller.signal);
+
+    await advance(1000);
+    const flakyRuns = () => runs.filter(([name]) => name === 'flaky').map(([, at]) => at - start);
+    // First run straight away, then retries after 100, 200 and 400 ms
+    expect(flakyRuns()).toEqual([0, 100, 300, 700]);
+    expect(onError.mock.calls.map(([, , details]) => details)).toEqual([
+      { failures: 1, retryIn: 100 },
+      { failures: 2, retryIn: 200 },
+      { failures: 3, retryIn: 400 },
+      { failures: 4, retryIn: 400 }
+    ]);
+    expect(scheduler.status().flaky).toMatchObject({ failures: 4, lastError: 'down' });
+
+    failing = false;
+    await advance(1200);
+    // A success resets the backoff to the interval
+    expect(flakyRuns().slice(4)).toEqual([1100, 2100]);
+    expect(scheduler.status().flaky).toMatchObject({ failures: 0, lastError: null });
+    expect(runs.filter(([name]) => name === 'steady').map(([, at]) => at - start)).toEqual([0, 1000, 2000]);
+
+    controller.abort();
+    await advance(0);
+    await running;
+  });
+
+  it('never starts a task that is still running', async () => {
+    vi.useFakeTimers();
+    let active = 0;
+    let most = 0;
+    const task = {
+      name: 'slow',
+      interval: 100,
+      run: async () => {
+        active++;
+        most = Math.max(most, active);
+        await new Promise(resolve => setTimeout(resolve, 350));
+        active--;
+      }
+    };
+    const controller = new AbortController();
+    const running = createScheduler([task]).run(controller.signal);
+    await advance(2000);
+    expect(most).toBe(1);
+    controller.abort();
+    await advance(400);
+    await running;
+  });
+
+  it('jitters each delay within its bounds', async () => {
+    vi.useFakeTimers();
+    const starts = [];
+    const controller = new AbortController();
+    const scheduler = createScheduler([
+      { name: 'jittered', interval: 1000, delay: 1000, run: async () => { starts.push(Date.now()); } }
+    ], { jitter: 0.1 });
+    const start = Date.now();
+    const running = scheduler.run(controller.signal);
+    await advance(10000);
+    const gaps = starts.map((at, index) => at - (index === 0 ? start : starts[index - 1]));
+    expect(gaps.length).toBeGreaterThanOrEqual(9);
+    gaps.forEach(gap => {
+      expect(gap).toBeGreaterThanOrEqual(900);
+      expect(gap).toBeLessThanOrEqual(1100);
+    });
+    controller.abort();
+    await advance(0);
+    await running;
+  });
+});
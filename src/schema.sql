@@ -7,6 +7,10 @@ CREATE TABLE providers (
     is_active BOOLEAN DEFAULT true,
     total_storage DECIMAL NOT NULL,
     available_storage DECIMAL NOT NULL,
+    used_storage DECIMAL NOT NULL DEFAULT 0,
+    ipfs_api_url VARCHAR,
+    ipfs_peer_id VARCHAR,
+    ipfs_multiaddrs JSONB NOT NULL DEFAULT '[]',
     last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -15,11 +19,19 @@ CREATE TABLE providers (
 CREATE TABLE stored_files (
     id SERIAL PRIMARY KEY,
     cid VARCHAR NOT NULL UNIQUE,
-    provider_id VARCHAR NOT NULL REFERENCES providers(provider_id),
+    provider_id VARCHAR REFERENCES providers(provider_id),
     client_address VARCHAR NOT NULL,
     file_size DECIMAL NOT NULL,
     file_name VARCHAR NOT NULL,
     encryption_salt VARCHAR NOT NULL,
+    entry_type VARCHAR NOT NULL DEFAULT 'file' CHECK (entry_type IN ('file', 'directory', 'sharded', 'shard')),
+    parent_cid VARCHAR,
+    compression VARCHAR CHECK (compression IN ('zstd', 'brotli', 'gzip')),
+    shard_map JSONB,
+    plaintext_size BIGINT,
+    plaintext_sha256 VARCHAR,
+    lease_expires_at TIMESTAMP WITH TIME ZONE,
+    commitment JSONB,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT fk_provider
         FOREIGN KEY(provider_id)
@@ -27,8 +39,175 @@ CREATE TABLE stored_files (
         ON DELETE CASCADE
 );
 
+-- Public keys wallets have published so files can be shared with them
+CREATE TABLE wallet_keys (
+    wallet_address VARCHAR PRIMARY KEY,
+    public_key VARCHAR NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create file_shares table: file keys wrapped to a recipient's public key
+CREATE TABLE file_shares (
+    id SERIAL PRIMARY KEY,
+    cid VARCHAR NOT NULL REFERENCES stored_files(cid) ON DELETE CASCADE,
+    owner_address VARCHAR NOT NULL,
+    recipient_address VARCHAR NOT NULL,
+    wrapped_keys JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (cid, recipient_address)
+);
+
+-- Create object_versions table: named bucket paths, one row per version.
+-- A version whose stored file is untracked can no longer be read, so it is
+-- deleted with it.
+CREATE TABLE object_versions (
+    id SERIAL PRIMARY KEY,
+    owner_address VARCHAR NOT NULL,
+    bucket VARCHAR NOT NULL,
+    path VARCHAR NOT NULL,
+    version INTEGER NOT NULL,
+    cid VARCHAR NOT NULL REFERENCES stored_files(cid) ON DELETE CASCADE,
+    restored_from INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (owner_address, bucket, path, version)
+);
+
+-- Create provider_pins table: what each provider's node has pinned for
+-- clients. Rows outlive the stored_files row so released content can be
+-- garbage collected after a grace period.
+CREATE TABLE provider_pins (
+    id SERIAL PRIMARY KEY,
+    provider_id VARCHAR NOT NULL REFERENCES providers(provider_id) ON DELETE CASCADE,
+    cid VARCHAR NOT NULL,
+    status VARCHAR NOT NULL CHECK (status IN ('pinned', 'failed', 'released', 'unpinned')),
+    lease_expires_at TIMESTAMP WITH TIME ZONE,
+    released_at TIMESTAMP WITH TIME ZONE,
+    error TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider_id, cid)
+);
+
+-- Create storage_challenges table: proof-of-storage challenges issued to a
+-- provider for random leaves of a file, and their outcome
+CREATE TABLE storage_challenges (
+    id SERIAL PRIMARY KEY,
+    cid VARCHAR NOT NULL,
+    provider_id VARCHAR NOT NULL REFERENCES providers(provider_id) ON DELETE CASCADE,
+    challenger_address VARCHAR NOT NULL,
+    commitment JSONB NOT NULL,
+    leaves JSONB NOT NULL,
+    status VARCHAR NOT NULL CHECK (status IN ('pending', 'answered', 'passed', 'failed')),
+    response JSONB,
+    reason TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    answered_at TIMESTAMP WITH TIME ZONE,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create provider_prices table: every price a provider has charged, so
+-- clients can see how it has moved
+CREATE TABLE provider_prices (
+    id SERIAL PRIMARY KEY,
+    provider_id VARCHAR NOT NULL REFERENCES providers(provider_id) ON DELETE CASCADE,
+    price_per_gb DECIMAL NOT NULL,
+    utilization DECIMAL,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes for better query performance
 CREATE INDEX idx_provider_active ON providers(is_active);
 CREATE INDEX idx_provider_last_updated ON providers(last_updated);
 CREATE INDEX idx_stored_files_provider ON stored_files(provider_id);
-CREATE INDEX idx_stored_files_client ON stored_files(client_address);
\ No newline at end of file
+CREATE INDEX idx_stored_files_client ON stored_files(client_address);
+CREATE INDEX idx_stored_files_parent ON stored_files(parent_cid);
+CREATE INDEX idx_file_shares_recipient ON file_shares(recipient_address);
+CREATE INDEX idx_object_versions_bucket ON object_versions(owner_address, bucket);
+CREATE INDEX idx_provider_pins_cid ON provider_pins(cid);
+CREATE INDEX idx_storage_challenges_provider ON storage_challenges(provider_id, status);
+CREATE INDEX idx_storage_challenges_cid ON storage_challenges(cid);
+CREATE INDEX idx_provider_prices_provider ON provider_prices(provider_id, changed_at);
+
+-- Migrations for databases created from an earlier version of this schema
+ALTER TABLE stored_files ADD COLUMN IF NOT EXISTS entry_type VARCHAR NOT NULL DEFAULT 'file' CHECK (entry_type IN ('file', 'directory'));
+ALTER TABLE stored_files ALTER COLUMN provider_id DROP NOT NULL;
+ALTER TABLE stored_files ADD COLUMN IF NOT EXISTS parent_cid VARCHAR;
+ALTER TABLE stored_files ADD COLUMN IF NOT EXISTS shard_map JSONB;
+ALTER TABLE stored_files DROP CONSTRAINT IF EXISTS stored_files_entry_type_check;
+ALTER TABLE stored_files ADD CONSTRAINT stored_files_entry_type_check CHECK (entry_type IN ('file', 'directory', 'sharded', 'shard'));
+CREATE INDEX IF NOT EXISTS idx_stored_files_parent ON stored_files(parent_cid);
+ALTER TABLE providers ADD COLUMN IF NOT EXISTS ipfs_api_url VARCHAR;
+ALTER TABLE providers ADD COLUMN IF NOT EXISTS ipfs_peer_id VARCHAR;
+ALTER TABLE providers ADD COLUMN IF NOT EXISTS ipfs_multiaddrs JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE stored_files ADD COLUMN IF NOT EXISTS compression VARCHAR CHECK (compression IN ('zstd', 'brotli', 'gzip'));
+ALTER TABLE stored_files ADD COLUMN IF NOT EXISTS plaintext_size BIGINT;
+ALTER TABLE stored_files ADD COLUMN IF NOT EXISTS plaintext_sha256 VARCHAR;
+CREATE TABLE IF NOT EXISTS wallet_keys (
+    wallet_address VARCHAR PRIMARY KEY,
+    public_key VARCHAR NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS file_shares (
+    id SERIAL PRIMARY KEY,
+    cid VARCHAR NOT NULL REFERENCES stored_files(cid) ON DELETE CASCADE,
+    owner_address VARCHAR NOT NULL,
+    recipient_address VARCHAR NOT NULL,
+    wrapped_keys JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (cid, recipient_address)
+);
+CREATE INDEX IF NOT EXISTS idx_file_shares_recipient ON file_shares(recipient_address);
+CREATE TABLE IF NOT EXISTS object_versions (
+    id SERIAL PRIMARY KEY,
+    owner_address VARCHAR NOT NULL,
+    bucket VARCHAR NOT NULL,
+    path VARCHAR NOT NULL,
+    version INTEGER NOT NULL,
+    cid VARCHAR NOT NULL REFERENCES stored_files(cid) ON DELETE CASCADE,
+    restored_from INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (owner_address, bucket, path, version)
+);
+CREATE INDEX IF NOT EXISTS idx_object_versions_bucket ON object_versions(owner_address, bucket);
+ALTER TABLE object_versions DROP CONSTRAINT IF EXISTS object_versions_cid_fkey;
+ALTER TABLE object_versions ADD CONSTRAINT object_versions_cid_fkey FOREIGN KEY (cid) REFERENCES stored_files(cid) ON DELETE CASCADE;
+ALTER TABLE providers ADD COLUMN IF NOT EXISTS used_storage DECIMAL NOT NULL DEFAULT 0;
+ALTER TABLE stored_files ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMP WITH TIME ZONE;
+CREATE TABLE IF NOT EXISTS provider_pins (
+    id SERIAL PRIMARY KEY,
+    provider_id VARCHAR NOT NULL REFERENCES providers(provider_id) ON DELETE CASCADE,
+    cid VARCHAR NOT NULL,
+    status VARCHAR NOT NULL CHECK (status IN ('pinned', 'failed', 'released', 'unpinned')),
+    lease_expires_at TIMESTAMP WITH TIME ZONE,
+    released_at TIMESTAMP WITH TIME ZONE,
+    error TEXT,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (provider_id, cid)
+);
+CREATE INDEX IF NOT EXISTS idx_provider_pins_cid ON provider_pins(cid);
+ALTER TABLE stored_files ADD COLUMN IF NOT EXISTS commitment JSONB;
+CREATE TABLE IF NOT EXISTS storage_challenges (
+    id SERIAL PRIMARY KEY,
+    cid VARCHAR NOT NULL,
+    provider_id VARCHAR NOT NULL REFERENCES providers(provider_id) ON DELETE CASCADE,
+    challenger_address VARCHAR NOT NULL,
+    commitment JSONB NOT NULL,
+    leaves JSONB NOT NULL,
+    status VARCHAR NOT NULL CHECK (status IN ('pending', 'answered', 'passed', 'failed')),
+    response JSONB,
+    reason TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    answered_at TIMESTAMP WITH TIME ZONE,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_storage_challenges_provider ON storage_challenges(provider_id, status);
+CREATE INDEX IF NOT EXISTS idx_storage_challenges_cid ON storage_challenges(cid);
+CREATE TABLE IF NOT EXISTS provider_prices (
+    id SERIAL PRIMARY KEY,
+    provider_id VARCHAR NOT NULL REFERENCES providers(provider_id) ON DELETE CASCADE,
+    price_per_gb DECIMAL NOT NULL,
+    utilization DECIMAL,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_provider_prices_provider ON provider_prices(provider_id, changed_at);
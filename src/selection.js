@@ -0,0 +1,191 @@
+import chalk from 'chalk';
+import { performance } from 'perf_hooks';
+import { loadConfig } from './config.js';
+import { getOnlineProviders } from './provider.js';
+import { providerChallengeStats, CHALLENGE_HISTORY_DAYS } from './proofs.js';
+import { providerPriceHistory, formatPriceHistory } from './pricing.js';
+
+// Strategies for picking providers without a prompt. Each one scores every
+// provider between 0 and 1 on a set of metrics and combines them with fixed
+// weights; `weighted` blends all of them.
+export const STRATEGIES = ['cheapest', 'most-free', 'freshest', 'weighted'];
+
+const DEFAULT_WEIGHTS = { price: 0.4, free: 0.3, freshness: 0.1, latency: 0.2 };
+const STRATEGY_WEIGHTS = {
+  cheapest: { price: 1 },
+  'most-free': { free: 1 },
+  freshest: { freshness: 1 }
+};
+const LATENCY_TIMEOUT = 3000;
+
+export const validateStrategy = (strategy) => STRATEGIES.includes(strategy)
+  ? true
+  : `Unknown selection strategy "${strategy}". Use one of: ${STRATEGIES.join(', ')}`;
+
+// Provider settings from config.json:
+//
+//   "providers": {
+//     "allow": ["<provider id or address>", ...],
+//     "deny": ["<provider id or address>", ...],
+//     "weights": { "price": 0.4, "free": 0.3, "freshness": 0.1, "latency": 0.2 }
+//   }
+//
+// An empty allow list allows every provider that is not denied.
+export const providerSettings = () => {
+  const settings = loadConfig().providers || {};
+  const allow = settings.allow || [];
+  const deny = settings.deny || [];
+  const weights = { ...DEFAULT_WEIGHTS, ...settings.weights };
+  if (!Array.isArray(allow) || !Array.isArray(deny)) {
+    throw new Error('providers.allow and providers.deny in config.json must be lists');
+  }
+  for (const [metric, weight] of Object.entries(weights)) {
+    if (!(metric in DEFAULT_WEIGHTS) || typeof weight !== 'number' || weight < 0) {
+      throw new Error(`Invalid weight providers.weights.${metric} in config.json`);
+    }
+  }
+  return { allow: allow.map(String), deny: deny.map(String), weights };
+};
+
+const listed = (list, provider) => list.some(entry =>
+  entry === provider.id || entry.toLowerCase() === provider.address.toLowerCase()
+);
+
+// Split providers into those the allow/deny lists permit and those they
+// exclude, with the reason
+export const applyProviderPolicy = (providers, { allow, deny } = providerSettings()) => {
+  const allowed = [];
+  const excluded = [];
+  for (const provider of providers) {
+    if (listed(deny, provider)) {
+      excluded.push({ ...provider, excludedBy: 'deny list' });
+    } else if (allow.length > 0 && !listed(allow, provider)) {
+      excluded.push({ ...provider, excludedBy: 'not on allow list' });
+    } else {
+      allowed.push(provider);
+    }
+  }
+  return { allowed, excluded };
+};
+
+// Round-trip time of the provider's public IPFS API in milliseconds, or null
+// when it does not publish one or does not answer in time
+export const measureLatency = async (provider, timeout = LATENCY_TIMEOUT) => {
+  if (!provider.ipfsApiUrl) {
+    return null;
+  }
+  const started = performance.now();
+  try {
+    const response = await fetch(new URL('/api/v0/version', provider.ipfsApiUrl), {
+      method: 'POST',
+      signal: AbortSignal.timeout(timeout)
+    });
+    await response.arrayBuffer();
+    return response.ok ? Math.round(performance.now() - started) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Min-max scale values so the best scores 1 and the worst 0. Unknown values
+// score 0; if every known value is equal they all score 1.
+const normalize = (values, higherIsBetter) => {
+  const known = values.filter(value => value !== null && !isNaN(value));
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  return values.map(value => {
+    if (value === null || isNaN(value)) {
+      return 0;
+    }
+    if (max === min) {
+      return 1;
+    }
+    const scaled = (value - min) / (max - min);
+    return higherIsBetter ? scaled : 1 - scaled;
+  });
+};
+
+// Measure and score providers, best first. Every metric score is kept on the
+// result so callers can show why a provider ranked where it did.
+export const rankProviders = async (providers, strategy = 'weighted', { weights = providerSettings().weights } = {}) => {
+  const latencies = await Promise.all(providers.map(provider => measureLatency(provider)));
+  const measured = providers.map((provider, index) => ({ ...provider, latency: latencies[index] }));
+
+  const metrics = {
+    price: normalize(measured.map(provider => parseFloat(provider.price)), false),
+    free: normalize(measured.map(provider => parseFloat(provider.availableStorage)), true),
+    freshness: normalize(measured.map(provider => provider.lastSeen), true),
+    latency: normalize(measured.map(provider => provider.latency), false)
+  };
+  const strategyWeights = STRATEGY_WEIGHTS[strategy] || weights;
+  const totalWeight = Object.values(strategyWeights).reduce((total, weight) => total + weight, 0) || 1;
+
+  return measured
+    .map((provider, index) => {
+      const scores = Object.fromEntries(Object.keys(metrics).map(metric => [metric, metrics[metric][index]]));
+      const score = Object.entries(strategyWeights)
+        .reduce((total, [metric, weight]) => total + weight * scores[metric], 0) / totalWeight;
+      return { ...provider, scores, score };
+    })
+    .sort((a, b) => b.score - a.score || parseFloat(a.price) - parseFloat(b.price));
+};
+
+const formatAge = (timestamp) => {
+  const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+  return seconds < 60 ? `${seconds}s ago` : `${Math.round(seconds / 60)}m ago`;
+};
+
+// Storage challenges passed out of those verified, or '-' without any
+const formatChallenges = ({ passed, failed }) => passed + failed === 0 ? '-' : `${passed}/${passed + failed}`;
+
+// Print the ranked provider table for a strategy, including providers the
+// allow/deny lists exclude
+export async function showProviders(options = {}) {
+  const strategy = options.select || 'weighted';
+  const check = validateStrategy(strategy);
+  if (check !== true) {
+    throw new Error(check);
+  }
+
+  const providers = (await getOnlineProviders()).map(([id, provider]) => ({ id, ...provider }));
+  if (providers.length === 0) {
+    console.log(chalk.yellow('No active providers'));
+    return;
+  }
+
+  const { allowed, excluded } = applyProviderPolicy(providers);
+  const ranked = await rankProviders(allowed, strategy);
+
+  const ids = ranked.map(provider => provider.id);
+  const [challenges, prices] = await Promise.all([providerChallengeStats(ids), providerPriceHistory(ids)]);
+
+  console.log(chalk.blue(`Providers ranked by ${strategy}\n`));
+  const header = ['#', 'Provider', 'Price/GB', 'Price history', 'Free GB', 'Last seen', 'Latency', 'Proofs', 'Score', 'price/free/fresh/latency'];
+  const rows = ranked.map((provider, index) => [
+    String(index + 1),
+    provider.id,
+    `${provider.price} AAI`,
+    formatPriceHistory(prices.get(provider.id)),
+    String(provider.availableStorage),
+    formatAge(provider.lastSeen),
+    provider.latency === null ? 'n/a' : `${provider.latency}ms`,
+    formatChallenges(challenges.get(provider.id)),
+    provider.score.toFixed(3),
+    Object.values(provider.scores).map(score => score.toFixed(2)).join('/')
+  ]);
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ');
+
+  console.log(chalk.bold(formatRow(header)));
+  rows.forEach((row, index) => console.log(index === 0 ? chalk.green(formatRow(row)) : formatRow(row)));
+
+  for (const provider of ranked) {
+    const { failed, passed, lastFailure } = challenges.get(provider.id);
+    if (failed > 0) {
+      console.log(chalk.red(`   ${provider.id}  failed ${failed} of ${failed + passed} storage challenges in the last ${CHALLENGE_HISTORY_DAYS} days (last: ${lastFailure.reason})`));
+    }
+  }
+  for (const provider of excluded) {
+    console.log(chalk.gray(`   ${provider.id}  excluded (${provider.excludedBy})`));
+  }
+}
@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import chalk from 'chalk';
+import ora from 'ora';
+import { create } from 'ipfs-http-client';
+import { Wallet, SigningKey, computeAddress, getAddress, isAddress } from 'ethers';
+import { loadPrivateKey, getWalletAddress } from './keystore.js';
+import {
+  getStoredFile,
+  publishWalletKey,
+  getWalletKey,
+  saveFileShare,
+  getFileShare,
+  deleteFileShare,
+  getSharesForRecipient,
+  getSharesForFile
+} from './supabase.js';
+import {
+  CONTAINER_HEADER_LENGTH,
+  EncryptionFormatError,
+  KEY_DERIVATION_ITERATIONS,
+  deriveFileKey,
+  readContainerHeader,
+  walletKeySource
+} from './encryption.js';
+import { manifestPath, readManifest } from './directory.js';
+import { createSources } from './retrieval.js';
+
+// A share grant hands the recipient the keys of one upload, never anything
+// that derives them. File keys are PBKDF2 outputs, one per container salt, so
+// the grant is a map of salt to key, sealed with ECIES to the recipient's
+// secp256k1 public key:
+//
+//   ephemeral ECDH on secp256k1 -> HKDF-SHA256 -> AES-256-GCM
+//
+// The CID and recipient address are authenticated with the keys, so a grant
+// cannot be moved to another file or wallet.
+export const GRANT_VERSION = 1;
+const GRANT_INFO = Buffer.from('depin-storage file share v1');
+const IV_LENGTH = 12;
+
+const normalizePrivateKey = (privateKey) => privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+
+const grantAAD = (cid, recipientAddress) => Buffer.from(`${cid}\n${getAddress(recipientAddress)}`);
+
+const grantKey = (sharedSecret, ephemeralPublicKey) =>
+  Buffer.from(crypto.hkdfSync('sha256', sharedSecret, ephemeralPublicKey, GRANT_INFO, 32));
+
+// Uncompressed public key (0x04...) of a wallet's private key
+export const publicKeyFor = (privateKey) => new Wallet(normalizePrivateKey(privateKey)).signingKey.publicKey;
+
+// Check that a public key belongs to `address` and return it uncompressed.
+// The address is derived from the key, so a key published for the wrong
+// address is always caught.
+export const verifyPublicKey = (publicKey, address) => {
+  let uncompressed;
+  try {
+    uncompressed = SigningKey.computePublicKey(publicKey, false);
+  } catch {
+    throw new Error(`Invalid public key for ${address}`);
+  }
+  if (computeAddress(uncompressed) !== getAddress(address)) {
+    throw new Error(`The public key does not belong to ${address}`);
+  }
+  return uncompressed;
+};
+
+// Seal `keys` (salt hex -> key hex) for the recipient
+export const wrapFileKeys = (keys, { cid, recipientAddress, recipientPublicKey }) => {
+  const ecdh = crypto.createECDH('secp256k1');
+  const ephemeralPublicKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(Buffer.from(recipientPublicKey.slice(2), 'hex'));
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', grantKey(sharedSecret, ephemeralPublicKey), iv);
+  cipher.setAAD(grantAAD(cid, recipientAddress));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(keys)), cipher.final()]);
+  return {
+    version: GRANT_VERSION,
+    ephemeralPublicKey: ephemeralPublicKey.toString('hex'),
+    iv: iv.toString('hex'),
+    ciphertext: ciphertext.toString('base64'),
+    tag: cipher.getAuthTag().toString('hex')
+  };
+};
+
+// Open a grant with the recipient's private key
+export const unwrapFileKeys = (grant, { cid, recipientAddress, privateKey }) => {
+  if (grant.version !== GRANT_VERSION) {
+    throw new Error(`Unsupported share grant version ${grant.version}`);
+  }
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.setPrivateKey(Buffer.from(normalizePrivateKey(privateKey).slice(2), 'hex'));
+  const ephemeralPublicKey = Buffer.from(grant.ephemeralPublicKey, 'hex');
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    grantKey(ecdh.computeSecret(ephemeralPublicKey), ephemeralPublicKey),
+    Buffer.from(grant.iv, 'hex')
+  );
+  decipher.setAAD(grantAAD(cid, recipientAddress));
+  decipher.setAuthTag(Buffer.from(grant.tag, 'hex'));
+  try {
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(grant.ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw new Error('Could not open the share grant: it was made for another wallet or has been modified');
+  }
+};
+
+// `getKey` for createDecryptStream backed by the keys of a grant
+export const grantKeySource = (keys) => ({ salt }) => {
+  const key = keys[salt.toString('hex')];
+  if (!key) {
+    throw new EncryptionFormatError('The share grant does not include the key for this content', 'ERR_NOT_GRANTED');
+  }
+  return Buffer.from(key, 'hex');
+};
+
+// Key sources for downloading `entry`: the wallet's own keys if it owns the
+// file, otherwise the keys from a grant made to it. Returns null when the
+// wallet has no access.
+export const resolveKeySource = async (entry, walletAddress, privateKey) => {
+  if (entry.client_address.toLowerCase() === walletAddress.toLowerCase()) {
+    return { getKey: walletKeySource(walletAddress, privateKey), shared: false };
+  }
+  const share = await getFileShare(entry.cid, getAddress(walletAddress));
+  if (!share) {
+    return null;
+  }
+  const keys = unwrapFileKeys(share.wrapped_keys, { cid: entry.cid, recipientAddress: walletAddress, privateKey });
+  return { getKey: grantKeySource(keys), shared: true };
+};
+
+const headerKey = async (ipfs, path, walletAddress, privateKey) => {
+  let header;
+  try {
+    header = await readContainerHeader(ipfs.cat(path, { length: CONTAINER_HEADER_LENGTH }));
+  } catch (error) {
+    if (error.code === 'ERR_NOT_CONTAINER') {
+      throw new Error('This file was uploaded in the legacy encryption format and cannot be shared. Upload it again to share it.');
+    }
+    throw error;
+  }
+  const key = await deriveFileKey(walletAddress, privateKey, header.salt, header.iterations);
+  return [header.salt.toString('hex'), key.toString('hex')];
+};
+
+// Every key needed to download `entry`: the file's own key, the payload key
+// of a sharded file, or the manifest key plus one key per file of a
+// directory. Salts come from the container headers wherever they are on IPFS.
+const collectFileKeys = async (ipfs, entry, walletAddress, privateKey, onProgress) => {
+  if (entry.entry_type === 'sharded') {
+    const salt = Buffer.from(entry.encryption_salt, 'hex');
+    const key = await deriveFileKey(walletAddress, privateKey, salt, KEY_DERIVATION_ITERATIONS);
+    return { [entry.encryption_salt]: key.toString('hex') };
+  }
+  if (entry.entry_type === 'directory') {
+    const keys = Object.fromEntries([await headerKey(ipfs, manifestPath(entry.cid), walletAddress, privateKey)]);
+    const manifest = await readManifest(createSources({ ipfs }), entry.cid, walletKeySource(walletAddress, privateKey));
+    for (const [index, file] of manifest.files.entries()) {
+      onProgress(`Reading keys for ${file.path} (${index + 1}/${manifest.files.length})`);
+      const [salt, key] = await headerKey(ipfs, file.cid, walletAddress, privateKey);
+      keys[salt] = key;
+    }
+    return keys;
+  }
+  return Object.fromEntries([await headerKey(ipfs, entry.cid, walletAddress, privateKey)]);
+};
+
+const unlockWallet = async (name) => {
+  const privateKey = await loadPrivateKey(name);
+  if (!privateKey) {
+    throw new Error('No wallet found. Add one with `wallet add <name>` first.');
+  }
+  return { privateKey, walletAddress: new Wallet(normalizePrivateKey(privateKey)).address };
+};
+
+const parseAddress = (address) => {
+  if (!isAddress(address)) {
+    throw new Error(`Invalid wallet address: ${address}`);
+  }
+  return getAddress(address);
+};
+
+// Look up the file and make sure `walletAddress` owns it
+const ownedFile = async (cid, walletAddress) => {
+  const entry = await getStoredFile(cid);
+  if (!entry) {
+    throw new Error(`File ${cid} was not found`);
+  }
+  if (entry.entry_type === 'shard') {
+    throw new Error(`${cid} is a single shard of ${entry.parent_cid}. Share that CID instead.`);
+  }
+  if (entry.client_address.toLowerCase() !== walletAddress.toLowerCase()) {
+    throw new Error('Only the owner of a file can manage who it is shared with');
+  }
+  return entry;
+};
+
+const recipientPublicKey = async (recipientAddress, publicKey) => {
+  if (publicKey) {
+    return verifyPublicKey(publicKey, recipientAddress);
+  }
+  const published = await getWalletKey(recipientAddress);
+  if (!published) {
+    throw new Error(
+      `${recipientAddress} has not published a public key. Ask them to run \`wallet publish-key\`, or pass their key with --public-key.`
+    );
+  }
+  return verifyPublicKey(published, recipientAddress);
+};
+
+// Publish the wallet's public key so others can share files with it
+export async function publishPublicKey(options = {}) {
+  const { privateKey, walletAddress } = await unlockWallet(options.wallet);
+  await publishWalletKey(walletAddress, publicKeyFor(privateKey));
+  console.log(chalk.green(`Published the public key of ${walletAddress}. Other wallets can now share files with it.`));
+}
+
+// Grant `recipient` access to a file, or list who has access when no
+// recipient is given
+export async function shareFile(cid, recipient, options = {}) {
+  if (!recipient) {
+    const walletAddress = getWalletAddress(options.wallet);
+    const entry = await ownedFile(cid, walletAddress);
+    const shares = await getSharesForFile(cid);
+    if (shares.length === 0) {
+      console.log(chalk.yellow(`${entry.file_name} is not shared with anyone`));
+      return;
+    }
+    console.log(chalk.blue(`${entry.file_name} is shared with:`));
+    for (const share of shares) {
+      console.log(`  ${share.recipient_address}  ${chalk.gray(`since ${new Date(share.created_at).toLocaleString()}`)}`);
+    }
+    return;
+  }
+
+  const recipientAddress = parseAddress(recipient);
+  const { privateKey, walletAddress } = await unlockWallet(options.wallet);
+  if (recipientAddress === walletAddress) {
+    throw new Error('You cannot share a file with its owner');
+  }
+  const entry = await ownedFile(cid, walletAddress);
+  const publicKey = await recipientPublicKey(recipientAddress, options.publicKey);
+
+  const spinner = ora('Collecting file keys...').start();
+  try {
+    const ipfs = create({ url: 'http://127.0.0.1:5001' });
+    const keys = await collectFileKeys(ipfs, entry, walletAddress, privateKey, text => { spinner.text = text; });
+
+    spinner.text = 'Saving share grant...';
+    await saveFileShare({
+      cid,
+      ownerAddress: walletAddress,
+      recipientAddress,
+      wrappedKeys: wrapFileKeys(keys, { cid, recipientAddress, recipientPublicKey: publicKey })
+    });
+    // Publishing our own key lets the recipient share files back
+    await publishWalletKey(walletAddress, publicKeyFor(privateKey)).catch(() => {});
+    spinner.succeed(`Shared ${entry.file_name} with ${recipientAddress}`);
+  } catch (error) {
+    spinner.fail('Could not share the file');
+    throw error;
+  }
+  console.log(chalk.gray(`They can download it with \`download ${cid}\` using their own wallet.`));
+  console.log(chalk.gray('Unsharing stops further downloads, but cannot take back a copy they have already saved.'));
+}
+
+export async function unshareFile(cid, recipient, options = {}) {
+  const recipientAddress = parseAddress(recipient);
+  const walletAddress = getWalletAddress(options.wallet);
+  const entry = await ownedFile(cid, walletAddress);
+  const removed = await deleteFileShare(cid, recipientAddress);
+  if (!removed || removed.length === 0) {
+    console.log(chalk.yellow(`${entry.file_name} was not shared with ${recipientAddress}`));
+    return;
+  }
+  console.log(chalk.green(`${recipientAddress} can no longer download ${entry.file_name}`));
+}
+
+export async function showSharedWithMe(options = {}) {
+  const walletAddress = getAddress(getWalletAddress(options.wallet));
+  const shares = await getSharesForRecipient(walletAddress);
+  if (shares.length === 0) {
+    console.log(chalk.yellow(`Nothing has been shared with ${walletAddress}`));
+    if (!await getWalletKey(walletAddress)) {
+      console.log(chalk.gray('Run `wallet publish-key` so other wallets can share files with you.'));
+    }
+    return;
+  }
+
+  console.log(chalk.blue(`Files shared with ${walletAddress}\n`));
+  for (const share of shares) {
+    const entry = await getStoredFile(share.cid);
+    const name = entry ? entry.file_name : chalk.gray('(no longer stored)');
+    const type = entry && entry.entry_type !== 'file' ? chalk.gray(` [${entry.entry_type}]`) : '';
+    console.log(`${chalk.bold(name)}${type}`);
+    console.log(`  CID:    ${share.cid}`);
+    console.log(`  Owner:  ${share.owner_address}`);
+    console.log(`  Shared: ${new Date(share.created_at).toLocaleString()}`);
+  }
+}
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { Wallet } from 'ethers';
+import { describe, it, expect, vi } from 'vitest';
+import { publicKeyFor, verifyPublicKey, wrapFileKeys, unwrapFileKeys, grantKeySource } from './sharing.js';
+
+// Grants are sealed and opened locally; nothing here reaches Supabase
+vi.mock('./supabase.js', () => ({}));
+
+const CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+
+const recipient = Wallet.createRandom();
+const keys = {
+  [crypto.randomBytes(16).toString('hex')]: crypto.randomBytes(32).toString('hex'),
+  [crypto.randomBytes(16).toString('hex')]: crypto.randomBytes(32).toString('hex')
+};
+
+const wrap = () => wrapFileKeys(keys, {
+  cid: CID,
+  recipientAddress: recipient.address,
+  recipientPublicKey: publicKeyFor(recipient.privateKey)
+});
+
+const unwrap = (grant, overrides = {}) => unwrapFileKeys(grant, {
+  cid: CID,
+  recipientAddress: recipient.address,
+  privateKey: recipient.privateKey,
+  ...overrides
+});
+
+describe('share grants', () => {
+  it('opens with the recipient key', () => {
+    expect(unwrap(wrap())).toEqual(keys);
+    // Keys without the 0x prefix work too
+    expect(unwrap(wrap(), { privateKey: recipient.privateKey.slice(2) })).toEqual(keys);
+  });
+
+  it('uses a fresh ephemeral key for every grant', () => {
+    expect(wrap().ephemeralPublicKey).not.toBe(wrap().ephemeralPublicKey);
+  });
+
+  it('does not open with another wallet', () => {
+    const other = Wallet.createRandom();
+    expect(() => unwrap(wrap(), { privateKey: other.privateKey, recipientAddress: other.address })).toThrow(/another wallet/);
+    expect(() => unwrap(wrap(), { privateKey: other.privateKey })).toThrow(/another wallet/);
+  });
+
+  it('is bound to its CID and recipient address', () => {
+    expect(() => unwrap(wrap(), { cid: 'bafkreia' })).toThrow(/another wallet or has been modified/);
+    expect(() => unwrap(wrap(), { recipientAddress: Wallet.createRandom().address })).toThrow(/has been modified/);
+  });
+
+  it('detects a modified grant', () => {
+    const grant = wrap();
+    const ciphertext = Buffer.from(grant.ciphertext, 'base64');
+    ciphertext[0] ^= 1;
+    expect(() => unwrap({ ...grant, ciphertext: ciphertext.toString('base64') })).toThrow(/has been modified/);
+    expect(() => unwrap({ ...grant, version: 2 })).toThrow(/Unsupported share grant version 2/);
+  });
+
+  it('hands out only the granted keys', () => {
+    const getKey = grantKeySource(unwrap(wrap()));
+    const [salt, key] = Object.entries(keys)[0];
+    expect(getKey({ salt: Buffer.from(salt, 'hex') }).toString('hex')).toBe(key);
+    expect(() => getKey({ salt: crypto.randomBytes(16) })).toThrow(expect.objectContaining({ code: 'ERR_NOT_GRANTED' }));
+  });
+});
+
+describe('verifyPublicKey', () => {
+  it('accepts the key of the address, compressed or not', () => {
+    const publicKey = publicKeyFor(recipient.privateKey);
+    expect(verifyPublicKey(publicKey, recipient.address)).toBe(publicKey);
+    expect(verifyPublicKey(recipient.signingKey.compressedPublicKey, recipient.address.toLowerCase())).toBe(publicKey);
+  });
+
+  it('rejects a key published for another address', () => {
+    expect(() => verifyPublicKey(publicKeyFor(recipient.privateKey), Wallet.createRandom().address)).toThrow(/does not belong/);
+    expect(() => verifyPublicKey('0x1234', recipient.address)).toThrow(/Invalid public key/);
+  });
+});
@@ -26,7 +26,11 @@ export async function createProvider(providerData) {
         price_per_gb: providerData.price,
         is_active: true,
         total_storage: providerData.totalStorage,
-        available_storage: providerData.availableStorage
+        available_storage: providerData.availableStorage,
+        used_storage: providerData.usedStorage ?? 0,
+        ipfs_api_url: providerData.ipfsApiUrl || null,
+        ipfs_peer_id: providerData.ipfsPeerId || null,
+        ipfs_multiaddrs: providerData.ipfsMultiaddrs || []
       }
     ]);
 
@@ -40,8 +44,13 @@ export async function updateProviderStorage(providerId, storageData) {
     .update({
       allocated_storage: storageData.allocated,
       available_storage: storageData.available,
+      total_storage: storageData.total,
+      used_storage: storageData.used,
       price_per_gb: storageData.price,
       is_active: storageData.is_active !== undefined ? storageData.is_active : true,
+      ipfs_api_url: storageData.ipfsApiUrl,
+      ipfs_peer_id: storageData.ipfsPeerId,
+      ipfs_multiaddrs: storageData.ipfsMultiaddrs,
       last_updated: new Date().toISOString()
     })
     .eq('provider_id', providerId);
@@ -50,8 +59,37 @@ export async function updateProviderStorage(providerId, storageData) {
   return data;
 }
 
+// Cheapest round trip to the database, for health checks
+export async function pingSupabase() {
+  const { error } = await supabase
+    .from('providers')
+    .select('provider_id')
+    .limit(1);
+
+  if (error) throw error;
+}
+
+const WALLET_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// Look up one provider by ID or wallet address, active or not. Addresses
+// are matched case-insensitively; the pattern check keeps ilike wildcards
+// out of the match.
+export async function getProvider(idOrAddress) {
+  const query = supabase.from('providers').select('*');
+  const { data, error } = await (WALLET_ADDRESS_PATTERN.test(idOrAddress)
+    ? query.ilike('wallet_address', idOrAddress)
+    : query.eq('provider_id', idOrAddress)
+  ).limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// Providers whose last heartbeat is older than this are treated as offline
+export const PROVIDER_ACTIVE_WINDOW = 5 * 60 * 1000;
+
 export async function getActiveProviders() {
-  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+  const fiveMinutesAgo = new Date(Date.now() - PROVIDER_ACTIVE_WINDOW).toISOString();
   
   const { data, error } = await supabase
     .from('providers')
@@ -84,7 +122,37 @@ export async function trackFileStorage(fileData) {
         client_address: fileData.clientAddress,
         file_size: fileData.fileSize,
         file_name: fileData.fileName,
-        encryption_salt: fileData.salt
+        encryption_salt: fileData.salt,
+        entry_type: fileData.entryType || 'file',
+        compression: fileData.compression || null,
+        plaintext_size: fileData.plaintextSize ?? null,
+        plaintext_sha256: fileData.plaintextSha256 || null,
+        lease_expires_at: fileData.leaseExpiresAt || null,
+        commitment: fileData.commitment || null
+      }
+    ]);
+
+  if (error) throw error;
+  return data;
+}
+
+// Record one shard of a sharded file before it is handed to its provider,
+// so the provider learns about the CID and fetches it. The shard is linked
+// to its file by trackShardedFile once every shard is placed.
+export async function trackShard(shardData) {
+  const { data, error } = await supabase
+    .from('stored_files')
+    .insert([
+      {
+        cid: shardData.cid,
+        provider_id: shardData.providerId,
+        client_address: shardData.clientAddress,
+        file_size: shardData.fileSize,
+        file_name: shardData.fileName,
+        encryption_salt: shardData.salt,
+        entry_type: 'shard',
+        lease_expires_at: shardData.leaseExpiresAt || null,
+        commitment: shardData.commitment || null
       }
     ]);
 
@@ -92,6 +160,60 @@ export async function trackFileStorage(fileData) {
   return data;
 }
 
+// Record a sharded file, keyed by its shard map CID, and link the shard
+// rows trackShard wrote to it
+export async function trackShardedFile(fileData) {
+  const { shardMap } = fileData;
+  const { error } = await supabase
+    .from('stored_files')
+    .insert([
+      {
+        cid: fileData.cid,
+        provider_id: null,
+        client_address: fileData.clientAddress,
+        file_size: fileData.fileSize,
+        file_name: fileData.fileName,
+        encryption_salt: fileData.salt,
+        entry_type: 'sharded',
+        compression: shardMap.compression,
+        shard_map: shardMap,
+        plaintext_size: fileData.plaintextSize ?? null,
+        plaintext_sha256: fileData.plaintextSha256 || null,
+        lease_expires_at: fileData.leaseExpiresAt || null
+      }
+    ]);
+
+  // A unique violation means the row was written before an interruption
+  if (error && error.code !== '23505') throw error;
+
+  const { data, error: linkError } = await supabase
+    .from('stored_files')
+    .update({ parent_cid: fileData.cid })
+    .in('cid', shardMap.shards.map(shard => shard.cid));
+
+  if (linkError) throw linkError;
+  return data;
+}
+
+// Remove a file's row, and its shard rows if it was sharded
+// Delete a file's row and the rows of its shards
+export async function untrackFileStorage(cid) {
+  const { error: shardError } = await supabase
+    .from('stored_files')
+    .delete()
+    .eq('parent_cid', cid);
+
+  if (shardError) throw shardError;
+
+  const { data, error } = await supabase
+    .from('stored_files')
+    .delete()
+    .eq('cid', cid);
+
+  if (error) throw error;
+  return data;
+}
+
 export async function getProviderFiles(providerId) {
   const { data, error } = await supabase
     .from('stored_files')
@@ -100,4 +222,381 @@ export async function getProviderFiles(providerId) {
 
   if (error) throw error;
   return data;
-}
\ No newline at end of file
+}
+
+// What a provider's node has pinned for clients, as it last reported
+export async function getProviderPins(providerId) {
+  const { data, error } = await supabase
+    .from('provider_pins')
+    .select('*')
+    .eq('provider_id', providerId);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// A provider's last report on one CID, or null if it has not reported it
+export async function getProviderPin(providerId, cid) {
+  const { data, error } = await supabase
+    .from('provider_pins')
+    .select('*')
+    .eq('provider_id', providerId)
+    .eq('cid', cid)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function savePinStatuses(statuses) {
+  if (statuses.length === 0) {
+    return [];
+  }
+  const { data, error } = await supabase
+    .from('provider_pins')
+    .upsert(statuses.map(status => ({
+      provider_id: status.providerId,
+      cid: status.cid,
+      status: status.status,
+      lease_expires_at: status.leaseExpiresAt,
+      released_at: status.releasedAt,
+      error: status.error,
+      updated_at: new Date().toISOString()
+    })), { onConflict: 'provider_id,cid' });
+
+  if (error) throw error;
+  return data;
+}
+
+// Files a client has stored, newest first. Shard rows are left out; they
+// belong to their sharded file and are listed through its shard map.
+export async function getClientFiles(clientAddress) {
+  const { data, error } = await supabase
+    .from('stored_files')
+    .select('*')
+    .eq('client_address', clientAddress)
+    .neq('entry_type', 'shard')
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function getProvidersById(providerIds) {
+  if (providerIds.length === 0) {
+    return [];
+  }
+  const { data, error } = await supabase
+    .from('providers')
+    .select('*')
+    .in('provider_id', providerIds);
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function getStoredFile(cid) {
+  const { data, error } = await supabase
+    .from('stored_files')
+    .select('*')
+    .eq('cid', cid)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Wallet public keys, published so other wallets can share files with them
+export async function publishWalletKey(address, publicKey) {
+  const { data, error } = await supabase
+    .from('wallet_keys')
+    .upsert({
+      wallet_address: address,
+      public_key: publicKey,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'wallet_address' });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getWalletKey(address) {
+  const { data, error } = await supabase
+    .from('wallet_keys')
+    .select('public_key')
+    .eq('wallet_address', address)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? data.public_key : null;
+}
+
+// File share grants: the file keys wrapped to the recipient's public key
+export async function saveFileShare(shareData) {
+  const { data, error } = await supabase
+    .from('file_shares')
+    .upsert({
+      cid: shareData.cid,
+      owner_address: shareData.ownerAddress,
+      recipient_address: shareData.recipientAddress,
+      wrapped_keys: shareData.wrappedKeys,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'cid,recipient_address' });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getFileShare(cid, recipientAddress) {
+  const { data, error } = await supabase
+    .from('file_shares')
+    .select('*')
+    .eq('cid', cid)
+    .eq('recipient_address', recipientAddress)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Returns the removed grants, so callers can tell whether one existed
+export async function deleteFileShare(cid, recipientAddress) {
+  const { data, error } = await supabase
+    .from('file_shares')
+    .delete()
+    .eq('cid', cid)
+    .eq('recipient_address', recipientAddress)
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getSharesForRecipient(recipientAddress) {
+  const { data, error } = await supabase
+    .from('file_shares')
+    .select('*')
+    .eq('recipient_address', recipientAddress)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getSharesForFile(cid) {
+  const { data, error } = await supabase
+    .from('file_shares')
+    .select('*')
+    .eq('cid', cid);
+
+  if (error) throw error;
+  return data;
+}
+
+// Versions of a bucket path, newest first. Each version points at the CID
+// of a stored file; the newest is the current one.
+export async function getObjectVersions(ownerAddress, bucket, path) {
+  const { data, error } = await supabase
+    .from('object_versions')
+    .select('*')
+    .eq('owner_address', ownerAddress)
+    .eq('bucket', bucket)
+    .eq('path', path)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+// Add a version on top of the current one. Writing the CID that is already
+// current returns that version instead, so a resumed upload does not record
+// itself twice. Concurrent writers that pick the same number retry.
+export async function addObjectVersion(versionData, attempts = 3) {
+  const { ownerAddress, bucket, path, cid, restoredFrom = null } = versionData;
+  const [current] = await getObjectVersions(ownerAddress, bucket, path);
+  if (current && current.cid === cid && restoredFrom === null) {
+    return current;
+  }
+
+  const { data, error } = await supabase
+    .from('object_versions')
+    .insert([
+      {
+        owner_address: ownerAddress,
+        bucket,
+        path,
+        version: current ? current.version + 1 : 1,
+        cid,
+        restored_from: restoredFrom
+      }
+    ])
+    .select()
+    .single();
+
+  if (error && error.code === '23505' && attempts > 1) {
+    return addObjectVersion(versionData, attempts - 1);
+  }
+  if (error) throw error;
+  return data;
+}
+
+// Stored files and shards of a client that carry a storage commitment and
+// sit with a provider, so they can be challenged
+export async function getChallengeableFiles(clientAddress) {
+  const { data, error } = await supabase
+    .from('stored_files')
+    .select('*')
+    .eq('client_address', clientAddress)
+    .not('commitment', 'is', null)
+    .not('provider_id', 'is', null);
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function createChallenges(challenges) {
+  if (challenges.length === 0) {
+    return [];
+  }
+  const { data, error } = await supabase
+    .from('storage_challenges')
+    .insert(challenges.map(challenge => ({
+      cid: challenge.cid,
+      provider_id: challenge.providerId,
+      challenger_address: challenge.challengerAddress,
+      commitment: challenge.commitment,
+      leaves: challenge.leaves,
+      status: 'pending',
+      expires_at: challenge.expiresAt
+    })))
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getChallenges(ids) {
+  const { data, error } = await supabase
+    .from('storage_challenges')
+    .select('*')
+    .in('id', ids);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Challenges a verifier issued that have no outcome yet
+export async function getOpenChallenges(challengerAddress) {
+  const { data, error } = await supabase
+    .from('storage_challenges')
+    .select('*')
+    .eq('challenger_address', challengerAddress)
+    .in('status', ['pending', 'answered']);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Challenges a provider still has time to answer
+export async function getPendingChallenges(providerId) {
+  const { data, error } = await supabase
+    .from('storage_challenges')
+    .select('*')
+    .eq('provider_id', providerId)
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString());
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function answerChallenge(id, response) {
+  const { data, error } = await supabase
+    .from('storage_challenges')
+    .update({ status: 'answered', response, answered_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'pending');
+
+  if (error) throw error;
+  return data;
+}
+
+// The response holds the leaf bytes, which are not needed once the outcome
+// is recorded
+export async function resolveChallenge(id, { status, reason }) {
+  const { data, error } = await supabase
+    .from('storage_challenges')
+    .update({ status, reason, response: null, verified_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) throw error;
+  return data;
+}
+
+// Outcomes of challenges verified since `since`, newest first, for the given
+// providers or CIDs
+export async function getChallengeResults({ providerIds, cids, since }) {
+  let query = supabase
+    .from('storage_challenges')
+    .select('cid, provider_id, status, reason, verified_at')
+    .in('status', ['passed', 'failed'])
+    .gte('verified_at', since.toISOString())
+    .order('verified_at', { ascending: false });
+  if (providerIds) {
+    query = query.in('provider_id', providerIds);
+  }
+  if (cids) {
+    query = query.in('cid', cids);
+  }
+  const { data, error } = await query;
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Change a provider's listed price without touching its heartbeat
+export async function updateProviderPrice(providerId, price) {
+  const { data, error } = await supabase
+    .from('providers')
+    .update({ price_per_gb: price })
+    .eq('provider_id', providerId);
+
+  if (error) throw error;
+  return data;
+}
+
+// Add `price` to a provider's price history, unless it is the price last
+// recorded (a restart at the same price is not a change)
+export async function recordProviderPrice({ providerId, price, utilization }) {
+  const { data: latest, error: readError } = await supabase
+    .from('provider_prices')
+    .select('price_per_gb')
+    .eq('provider_id', providerId)
+    .order('changed_at', { ascending: false })
+    .limit(1);
+
+  if (readError) throw readError;
+  if (latest?.[0] && Number(latest[0].price_per_gb) === Number(price)) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('provider_prices')
+    .insert([{ provider_id: providerId, price_per_gb: price, utilization }]);
+
+  if (error) throw error;
+  return data;
+}
+
+// Price changes of the given providers since `since`, oldest first
+export async function getPriceHistory({ providerIds, since }) {
+  const { data, error } = await supabase
+    .from('provider_prices')
+    .select('provider_id, price_per_gb, utilization, changed_at')
+    .in('provider_id', providerIds)
+    .gte('changed_at', since.toISOString())
+    .order('changed_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,163 @@
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import {
+  savePrivateKey,
+  clearPrivateKey,
+  listWallets,
+  walletExists,
+  setDefaultWallet,
+  getWalletAddress,
+  validateWalletName,
+  validatePrivateKey,
+  validateMnemonic,
+  validateDerivationPath,
+  deriveFromMnemonic,
+  DEFAULT_DERIVATION_PATH
+} from './keystore.js';
+
+// Prompt for wallet credentials, either a raw private key or a BIP-39
+// mnemonic with a derivation path and account index. Returns the private key
+// to use and the details to record alongside it in the keystore.
+export async function promptWalletCredentials(message, options = {}) {
+  if (!process.stdin.isTTY) {
+    throw new Error('No wallet found. Add one with `wallet add <name>` before running non-interactively.');
+  }
+
+  const { importType } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'importType',
+      message,
+      choices: [
+        { name: 'Private key', value: 'private-key' },
+        { name: 'Mnemonic (seed phrase)', value: 'mnemonic' }
+      ],
+      when: () => !options.mnemonic
+    }
+  ]);
+
+  if (!options.mnemonic && importType === 'private-key') {
+    const { privateKey } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'privateKey',
+        message: 'Enter your BSC wallet private key:',
+        validate: validatePrivateKey
+      }
+    ]);
+    return { privateKey: privateKey.trim(), details: { source: 'private-key' } };
+  }
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'mnemonic',
+      message: 'Enter your mnemonic (seed phrase):',
+      validate: validateMnemonic
+    },
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: 'Enter the BIP-39 passphrase (leave empty if none):'
+    },
+    {
+      type: 'input',
+      name: 'basePath',
+      message: 'Derivation path:',
+      default: DEFAULT_DERIVATION_PATH,
+      validate: validateDerivationPath,
+      when: () => !options.derivationPath
+    },
+    {
+      type: 'number',
+      name: 'accountIndex',
+      message: 'Account index:',
+      default: 0,
+      validate: input => Number.isInteger(input) && input >= 0 ? true : 'Account index must be a non-negative integer',
+      when: () => options.accountIndex === undefined
+    }
+  ]);
+
+  const basePath = options.derivationPath || answers.basePath;
+  const accountIndex = options.accountIndex !== undefined ? Number(options.accountIndex) : answers.accountIndex;
+  const pathCheck = validateDerivationPath(basePath);
+  if (pathCheck !== true) {
+    throw new Error(pathCheck);
+  }
+  if (!Number.isInteger(accountIndex) || accountIndex < 0) {
+    throw new Error('Account index must be a non-negative integer');
+  }
+
+  const { privateKey, address, derivationPath } = deriveFromMnemonic(answers.mnemonic, {
+    passphrase: answers.passphrase,
+    basePath,
+    accountIndex
+  });
+  console.log(chalk.blue(`Derived address ${address} at ${derivationPath}`));
+  return { privateKey, details: { source: 'mnemonic', derivationPath } };
+}
+
+export async function addWallet(name, options = {}) {
+  const nameCheck = validateWalletName(name);
+  if (nameCheck !== true) {
+    throw new Error(nameCheck);
+  }
+  if (walletExists(name)) {
+    throw new Error(`Wallet "${name}" already exists. Remove it first to replace it.`);
+  }
+
+  const { privateKey, details } = await promptWalletCredentials(`How do you want to import "${name}"?`, options);
+
+  if (!await savePrivateKey(privateKey, name, details)) {
+    throw new Error(`Could not save wallet "${name}"`);
+  }
+  console.log(chalk.green(`Wallet "${name}" added with address ${getWalletAddress(name)}`));
+}
+
+export function showWallets() {
+  const wallets = listWallets();
+  if (wallets.length === 0) {
+    console.log(chalk.yellow('No wallets found. Add one with `wallet add <name>`.'));
+    return;
+  }
+  for (const wallet of wallets) {
+    const marker = wallet.isDefault ? chalk.green('*') : ' ';
+    const origin = wallet.source === 'mnemonic' ? `mnemonic ${wallet.derivationPath}` : 'private key';
+    console.log(`${marker} ${wallet.name.padEnd(20)} ${wallet.address}  ${chalk.gray(origin)}`);
+  }
+}
+
+export function useWallet(name) {
+  setDefaultWallet(name);
+  console.log(chalk.green(`Wallet "${name}" is now the default`));
+}
+
+export async function removeWallet(name, { yes = false } = {}) {
+  if (!walletExists(name)) {
+    throw new Error(`Wallet "${name}" does not exist`);
+  }
+
+  if (!yes) {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: `Remove wallet "${name}" (${getWalletAddress(name)})? The key cannot be recovered unless you have a backup.`,
+        default: false
+      }
+    ]);
+    if (!confirmed) {
+      console.log(chalk.yellow('Aborted'));
+      return;
+    }
+  }
+
+  if (!clearPrivateKey(name)) {
+    throw new Error(`Could not remove wallet "${name}"`);
+  }
+  console.log(chalk.green(`Wallet "${name}" removed`));
+}
+
+export function exportWalletAddress(name) {
+  console.log(getWalletAddress(name));
+}